@@ -7,6 +7,7 @@ import { initializeAnalytics } from './utils/analytics';
 // Context Providers
 import { AuthProvider } from './contexts/AuthContext';
 import { RequestBasketProvider } from './contexts/RequestBasketContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
 import { ProductProvider } from './hooks/useProducts';
 
 // Components
@@ -43,6 +44,8 @@ const RequestConfirmation = lazy(() => import('./pages/RequestConfirmation'));
 const MyRequests = lazy(() => import('./pages/MyRequests'));
 const Profile = lazy(() => import('./pages/Profile'));
 const RequestBasketPage = lazy(() => import('./pages/RequestBasketPage'));
+const SharedBasket = lazy(() => import('./pages/SharedBasket'));
+const VerifyInvoice = lazy(() => import('./pages/VerifyInvoice'));
 const BrandPage = lazy(() => import('./pages/BrandPage'));
 const NotFound = lazy(() => import('./pages/NotFound'));
 
@@ -78,256 +81,276 @@ function App() {
   return (
     <HelmetProvider>
       <AuthProvider>
-        <RequestBasketProvider>
-          <ProductProvider>
-            <PerformanceMonitor />
-            <ScrollToTop />
-            <div className="App w-full overflow-x-hidden">
-              <ErrorBoundary>
-                <Suspense fallback={<PageLoadingSkeleton />}>
-                  <AnimatePresence mode="wait">
-                    <Routes>
-                      {/* Admin Routes - Outside main layout */}
-                      <Route 
-                        path="/admin/*" 
-                        element={
-                          <Suspense fallback={<PageLoadingSkeleton />}>
-                            <AdminRoutes />
-                          </Suspense>
-                        } 
-                      />
+        <CurrencyProvider>
+          <RequestBasketProvider>
+            <ProductProvider>
+              <PerformanceMonitor />
+              <ScrollToTop />
+              <div className="App w-full overflow-x-hidden">
+                <ErrorBoundary>
+                  <Suspense fallback={<PageLoadingSkeleton />}>
+                    <AnimatePresence mode="wait">
+                      <Routes>
+                        {/* Admin Routes - Outside main layout */}
+                        <Route 
+                          path="/admin/*" 
+                          element={
+                            <Suspense fallback={<PageLoadingSkeleton />}>
+                              <AdminRoutes />
+                            </Suspense>
+                          } 
+                        />
                       
-                      {/* Main Layout Routes */}
-                      <Route path="/*" element={
-                        <>
-                          <Header />
-                          <RequestBasket />
-                          <main className="w-full">
-                            <Routes>
-                              <Route 
-                                path="/" 
-                                element={
-                                  <PageWrapper>
-                                    <Home />
-                                  </PageWrapper>
-                                } 
-                              />
-                              
-                              <Route 
-                                path="/products" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <Products />
-                                  </PageWrapper>
-                                } 
-                              />
+                        {/* Main Layout Routes */}
+                        <Route path="/*" element={
+                          <>
+                            <Header />
+                            <RequestBasket />
+                            <main className="w-full">
+                              <Routes>
+                                <Route 
+                                  path="/" 
+                                  element={
+                                    <PageWrapper>
+                                      <Home />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/product/:slug" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <ProductDetail />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/products" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <Products />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              {/* Featured Product Detail Route */}
-                              <Route 
-                                path="/featured-product/:id" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <FeaturedProductDetail />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/product/:slug" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <ProductDetail />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/about" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <About />
-                                  </PageWrapper>
-                                } 
-                              />
+                                {/* Featured Product Detail Route */}
+                                <Route 
+                                  path="/featured-product/:id" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <FeaturedProductDetail />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/contact" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <Contact />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/about" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <About />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/stories" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <Stories />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/contact" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <Contact />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/story/:slug" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <StoryDetail />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/stories" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <Stories />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/login" 
-                                element={
-                                  <PageWrapper>
-                                    <Login />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/story/:slug" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <StoryDetail />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/register" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <Register />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/login" 
+                                  element={
+                                    <PageWrapper>
+                                      <Login />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/forgot-password" 
-                                element={
-                                  <PageWrapper>
-                                    <ForgotPassword />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/register" 
+                                  element={
+                                    <PageWrapper>
+                                      <Breadcrumbs />
+                                      <Register />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/reset-password" 
-                                element={
-                                  <PageWrapper>
-                                    <ResetPassword />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/forgot-password" 
+                                  element={
+                                    <PageWrapper>
+                                      <ForgotPassword />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/verify-email" 
-                                element={
-                                  <PageWrapper>
-                                    <VerifyEmail />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/reset-password" 
+                                  element={
+                                    <PageWrapper>
+                                      <ResetPassword />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/verify-email-pending" 
-                                element={
-                                  <PageWrapper>
-                                    <VerifyEmailPending />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/verify-email" 
+                                  element={
+                                    <PageWrapper>
+                                      <VerifyEmail />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/request-form" 
-                                element={
-                                  <ProtectedCustomerRoute>
+                                <Route 
+                                  path="/verify-email-pending" 
+                                  element={
                                     <PageWrapper>
-                                      <Breadcrumbs />
-                                      <RequestForm />
+                                      <VerifyEmailPending />
                                     </PageWrapper>
-                                  </ProtectedCustomerRoute>
-                                } 
-                              />
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/request-confirmation" 
-                                element={
-                                  <PageWrapper>
-                                    <RequestConfirmation />
-                                  </PageWrapper>
-                                } 
-                              />
+                                <Route 
+                                  path="/request-form" 
+                                  element={
+                                    <ProtectedCustomerRoute>
+                                      <PageWrapper>
+                                        <Breadcrumbs />
+                                        <RequestForm />
+                                      </PageWrapper>
+                                    </ProtectedCustomerRoute>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/my-requests" 
-                                element={
-                                  <ProtectedCustomerRoute>
+                                <Route 
+                                  path="/request-confirmation" 
+                                  element={
                                     <PageWrapper>
-                                      <Breadcrumbs />
-                                      <MyRequests />
+                                      <RequestConfirmation />
                                     </PageWrapper>
-                                  </ProtectedCustomerRoute>
-                                } 
-                              />
+                                  } 
+                                />
+                              
+                                <Route 
+                                  path="/my-requests" 
+                                  element={
+                                    <ProtectedCustomerRoute>
+                                      <PageWrapper>
+                                        <Breadcrumbs />
+                                        <MyRequests />
+                                      </PageWrapper>
+                                    </ProtectedCustomerRoute>
+                                  } 
+                                />
+                              
+                                <Route 
+                                  path="/profile" 
+                                  element={
+                                    <ProtectedCustomerRoute>
+                                      <PageWrapper>
+                                        <Breadcrumbs />
+                                        <Profile />
+                                      </PageWrapper>
+                                    </ProtectedCustomerRoute>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/profile" 
-                                element={
-                                  <ProtectedCustomerRoute>
+                                <Route 
+                                  path="/request-basket" 
+                                  element={
+                                    <ProtectedCustomerRoute>
+                                      <PageWrapper>
+                                        <Breadcrumbs />
+                                        <RequestBasketPage />
+                                      </PageWrapper>
+                                    </ProtectedCustomerRoute>
+                                  } 
+                                />
+                              
+                                <Route 
+                                  path="/shared-basket/:token" 
+                                  element={
                                     <PageWrapper>
-                                      <Breadcrumbs />
-                                      <Profile />
+                                      <SharedBasket />
                                     </PageWrapper>
-                                  </ProtectedCustomerRoute>
-                                } 
-                              />
+                                  } 
+                                />
+
+                                <Route 
+                                  path="/verify-invoice/:number" 
+                                  element={
+                                    <PageWrapper>
+                                      <VerifyInvoice />
+                                    </PageWrapper>
+                                  } 
+                                />
                               
-                              <Route 
-                                path="/request-basket" 
-                                element={
-                                  <ProtectedCustomerRoute>
+                                {/* Brand Pages */}
+                                <Route 
+                                  path="/brand/:brandSlug" 
+                                  element={
                                     <PageWrapper>
                                       <Breadcrumbs />
-                                      <RequestBasketPage />
+                                      <BrandPage />
                                     </PageWrapper>
-                                  </ProtectedCustomerRoute>
-                                } 
-                              />
-                              
-                              {/* Brand Pages */}
-                              <Route 
-                                path="/brand/:brandSlug" 
-                                element={
-                                  <PageWrapper>
-                                    <Breadcrumbs />
-                                    <BrandPage />
-                                  </PageWrapper>
-                                } 
-                              />
+                                  } 
+                                />
                               
-                              {/* 404 Route */}
-                              <Route 
-                                path="*" 
-                                element={
-                                  <PageWrapper>
-                                    <NotFound />
-                                  </PageWrapper>
-                                } 
-                              />
-                            </Routes>
-                          </main>
-                          <Footer />
-                        </>
-                      } />
-                    </Routes>
-                  </AnimatePresence>
-                </Suspense>
-              </ErrorBoundary>
-            </div>
-          </ProductProvider>
-        </RequestBasketProvider>
+                                {/* 404 Route */}
+                                <Route 
+                                  path="*" 
+                                  element={
+                                    <PageWrapper>
+                                      <NotFound />
+                                    </PageWrapper>
+                                  } 
+                                />
+                              </Routes>
+                            </main>
+                            <Footer />
+                          </>
+                        } />
+                      </Routes>
+                    </AnimatePresence>
+                  </Suspense>
+                </ErrorBoundary>
+              </div>
+            </ProductProvider>
+          </RequestBasketProvider>
+        </CurrencyProvider>
       </AuthProvider>
     </HelmetProvider>
   );
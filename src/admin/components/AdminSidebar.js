@@ -12,7 +12,10 @@ import {
   ChatBubbleLeftRightIcon,
   XMarkIcon,
   ClockIcon,
-  StarIcon
+  StarIcon,
+  CurrencyDollarIcon,
+  TruckIcon,
+  ReceiptPercentIcon
 } from '@heroicons/react/24/outline';
 
 const AdminSidebar = ({ isOpen, onToggle, currentPath, onNavigate, userRole }) => {
@@ -72,6 +75,24 @@ const AdminSidebar = ({ isOpen, onToggle, currentPath, onNavigate, userRole }) =
         icon: StarIcon,
         color: 'text-amber-600'
       },
+    {
+      name: 'Exchange Rates',
+      path: '/admin/currency-rates',
+      icon: CurrencyDollarIcon,
+      color: 'text-emerald-600'
+    },
+    {
+      name: 'Shipping Rates',
+      path: '/admin/shipping-rates',
+      icon: TruckIcon,
+      color: 'text-sky-600'
+    },
+    {
+      name: 'Tax Settings',
+      path: '/admin/tax-settings',
+      icon: ReceiptPercentIcon,
+      color: 'text-rose-600'
+    },
     {
       name: 'Users',
       path: '/admin/users',
@@ -0,0 +1,292 @@
+import React, { useState } from "react";
+import { BanknotesIcon, ShoppingBagIcon } from "@heroicons/react/24/outline";
+import { orderService } from "../../services/orderService";
+import { BASE_CURRENCY, formatMoney } from "../../utils/currencyUtils";
+import { formatDate, formatISO } from "../../utils/dateUtils";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUS_LABELS,
+  DEFAULT_DEPOSIT_PERCENT,
+  buildPaymentSchedule,
+  canConvertToOrder,
+  getOrderTotal,
+  getPaymentMethodLabel,
+  getPaymentSummary,
+  getScheduleProgress,
+} from "../../utils/orderUtils";
+
+const formatCurrency = (amount) => formatMoney(amount, BASE_CURRENCY);
+
+const PAYMENT_STATUS_COLORS = {
+  unpaid: "bg-yellow-100 text-yellow-800",
+  partially_paid: "bg-blue-100 text-blue-800",
+  paid: "bg-green-100 text-green-800",
+};
+
+const EMPTY_PAYMENT = { amount: "", method: "bank_transfer", reference: "", paidAt: "" };
+
+// Order stage of a request in the admin view: convert an approved request and record payments against it
+const OrderPanel = ({ request, onUpdated }) => {
+  const [terms, setTerms] = useState({
+    depositPercent: DEFAULT_DEPOSIT_PERCENT,
+    depositDueDate: "",
+    balanceDueDate: "",
+  });
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const requestNumber = request.request_number || request.requestNumber;
+  const summary = getPaymentSummary(request);
+
+  if (!request.order && !canConvertToOrder(request)) return null;
+
+  const handleConvert = async () => {
+    setError("");
+    const total = getOrderTotal(request);
+    try {
+      setSaving(true);
+      const response = await orderService.createOrder(requestNumber, {
+        total,
+        schedule: buildPaymentSchedule(total, terms),
+      });
+      onUpdated(response.data?.data);
+    } catch (convertError) {
+      console.error("Error converting request to order:", convertError);
+      setError(convertError.response?.data?.message || "Failed to create the order");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    const amount = Number(payment.amount);
+    if (!(amount > 0)) {
+      setError("Enter the amount received.");
+      return;
+    }
+    if (amount > summary.balance + 0.005 &&
+      !window.confirm(`${formatCurrency(amount)} is more than the ${formatCurrency(summary.balance)} outstanding. Record it anyway?`)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await orderService.recordPayment(requestNumber, {
+        amount,
+        method: payment.method,
+        reference: payment.reference.trim(),
+        paidAt: payment.paidAt || formatISO(new Date()),
+      });
+      setPayment(EMPTY_PAYMENT);
+      onUpdated(response.data?.data);
+    } catch (paymentError) {
+      console.error("Error recording payment:", paymentError);
+      setError(paymentError.response?.data?.message || "Failed to record the payment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!request.order) {
+    const preview = buildPaymentSchedule(getOrderTotal(request), terms);
+    return (
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-3">Order</h3>
+        <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+          <p className="text-sm text-gray-600">
+            This request is approved. Convert it into an order to start tracking payment of{" "}
+            {formatCurrency(getOrderTotal(request))}.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs text-gray-600">Deposit (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={terms.depositPercent}
+                onChange={(e) => setTerms((prev) => ({ ...prev, depositPercent: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600">
+                {preview.length > 1 ? "Deposit due" : "Payment due"}
+              </label>
+              <input
+                type="date"
+                value={terms.depositDueDate}
+                onChange={(e) => setTerms((prev) => ({ ...prev, depositDueDate: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            {preview.length > 1 && (
+              <div>
+                <label className="block text-xs text-gray-600">Balance due</label>
+                <input
+                  type="date"
+                  value={terms.balanceDueDate}
+                  onChange={(e) => setTerms((prev) => ({ ...prev, balanceDueDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            {preview.map((line) => `${line.label}: ${formatCurrency(line.amount)}`).join(" · ")}
+          </p>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            onClick={handleConvert}
+            disabled={saving}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            <ShoppingBagIcon className="w-4 h-4 mr-2" />
+            {saving ? "Creating order..." : "Convert to Order"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">
+          Order {request.order.orderNumber}
+        </h3>
+        <span
+          className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${PAYMENT_STATUS_COLORS[summary.status]}`}
+        >
+          {PAYMENT_STATUS_LABELS[summary.status]}
+        </span>
+      </div>
+      <div className="bg-gray-50 rounded-lg p-4 space-y-4">
+        <div className="grid grid-cols-3 gap-4 text-sm">
+          <div>
+            <p className="text-gray-500">Order total</p>
+            <p className="font-medium text-gray-900">{formatCurrency(summary.total)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Paid</p>
+            <p className="font-medium text-green-700">{formatCurrency(summary.paid)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Outstanding</p>
+            <p className="font-medium text-gray-900">{formatCurrency(summary.balance)}</p>
+          </div>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2">Instalment</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2">Due</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2">Amount</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2">Paid</th>
+            </tr>
+          </thead>
+          <tbody>
+            {getScheduleProgress(request.order).map((line) => (
+              <tr key={line.id} className="border-b border-gray-200">
+                <td className="py-2 text-gray-900">
+                  {line.label} ({line.percent}%)
+                </td>
+                <td className={`py-2 ${line.isOverdue ? "text-red-600 font-medium" : "text-gray-900"}`}>
+                  {line.dueDate ? formatDate(line.dueDate) : "—"}
+                  {line.isOverdue && " · overdue"}
+                </td>
+                <td className="py-2 text-gray-900">{formatCurrency(line.amount)}</td>
+                <td className="py-2 text-gray-900">{formatCurrency(line.paid)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {(request.order.payments || []).length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Payments received</p>
+            <ul className="divide-y divide-gray-200 text-sm">
+              {request.order.payments.map((received) => (
+                <li key={received.id} className="flex justify-between py-1.5">
+                  <span className="text-gray-700">
+                    {formatDate(received.paidAt)} · {getPaymentMethodLabel(received.method)}
+                    {received.reference && ` · ${received.reference}`}
+                    {received.recordedBy?.name && (
+                      <span className="text-gray-500"> (recorded by {received.recordedBy.name})</span>
+                    )}
+                  </span>
+                  <span className="font-medium text-gray-900">{formatCurrency(received.amount)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {summary.balance > 0 && (
+          <form onSubmit={handleRecordPayment} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+            <div>
+              <label className="block text-xs text-gray-600">Amount (GH₵)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={payment.amount}
+                onChange={(e) => setPayment((prev) => ({ ...prev, amount: e.target.value }))}
+                placeholder={summary.balance.toFixed(2)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600">Method</label>
+              <select
+                value={payment.method}
+                onChange={(e) => setPayment((prev) => ({ ...prev, method: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {PAYMENT_METHODS.map((method) => (
+                  <option key={method.value} value={method.value}>
+                    {method.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600">Reference</label>
+              <input
+                type="text"
+                value={payment.reference}
+                onChange={(e) => setPayment((prev) => ({ ...prev, reference: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600">Received on</label>
+              <input
+                type="date"
+                value={payment.paidAt}
+                onChange={(e) => setPayment((prev) => ({ ...prev, paidAt: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+            >
+              <BanknotesIcon className="w-4 h-4 mr-2" />
+              {saving ? "Saving..." : "Record"}
+            </button>
+          </form>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default OrderPanel;
@@ -0,0 +1,298 @@
+import React, { useState } from "react";
+import { PlusIcon, TrashIcon, XMarkIcon } from "@heroicons/react/24/outline";
+import { quoteService } from "../../services/quoteService";
+import { formatVariantOptions } from "../../utils/variantUtils";
+import { BASE_CURRENCY, formatMoney } from "../../utils/currencyUtils";
+import {
+  CHARGE_SUGGESTIONS,
+  calculateQuoteTotals,
+  formatRevisionLabel,
+  getNetUnitPrice,
+  getQuoteRevisions,
+  getRevisionDraft,
+} from "../../utils/quoteRevisionUtils";
+
+const formatCurrency = (amount) => formatMoney(amount, BASE_CURRENCY);
+
+// Edit line prices, quantities, discounts and extra charges, and save them as the next quote revision
+const QuoteRevisionEditor = ({ request, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(() => getRevisionDraft(request));
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const requestNumber = request.request_number || request.requestNumber;
+  const nextRevision = getQuoteRevisions(request).length + 1;
+  const totals = calculateQuoteTotals(draft.lines, draft.charges);
+
+  const updateLine = (lineId, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line) => (line.lineId === lineId ? { ...line, ...changes } : line)),
+    }));
+  };
+
+  const removeLine = (lineId) => {
+    setDraft((prev) => ({ ...prev, lines: prev.lines.filter((line) => line.lineId !== lineId) }));
+  };
+
+  const updateCharge = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      charges: prev.charges.map((charge, i) => (i === index ? { ...charge, ...changes } : charge)),
+    }));
+  };
+
+  const addCharge = () => {
+    setDraft((prev) => ({ ...prev, charges: [...prev.charges, { label: "", amount: "" }] }));
+  };
+
+  const removeCharge = (index) => {
+    setDraft((prev) => ({ ...prev, charges: prev.charges.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setError("");
+
+    if (draft.lines.length === 0) {
+      setError("A quote needs at least one line.");
+      return;
+    }
+    if (draft.lines.some((line) => !(Number(line.quantity) > 0) || Number(line.price) < 0)) {
+      setError("Every line needs a quantity above zero and a price of zero or more.");
+      return;
+    }
+    if (draft.lines.some((line) => Number(line.discountPercent) < 0 || Number(line.discountPercent) > 100)) {
+      setError("Discounts must be between 0 and 100%.");
+      return;
+    }
+    if (draft.charges.some((charge) => !charge.label.trim() || Number.isNaN(Number(charge.amount)))) {
+      setError("Every charge needs a description and an amount.");
+      return;
+    }
+
+    const lines = draft.lines.map((line) => ({
+      ...line,
+      quantity: Number(line.quantity),
+      price: Number(line.price),
+      discountPercent: Number(line.discountPercent) || 0,
+    }));
+    const charges = draft.charges.map((charge) => ({ label: charge.label.trim(), amount: Number(charge.amount) }));
+
+    try {
+      setSaving(true);
+      const response = await quoteService.createRevision(requestNumber, {
+        lines,
+        charges,
+        note: note.trim(),
+        ...calculateQuoteTotals(lines, charges),
+      });
+      onSaved(response.data?.data);
+      onClose();
+    } catch (saveError) {
+      console.error("Error saving quote revision:", saveError);
+      setError(saveError.response?.data?.message || "Failed to save the revision");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold">Revise Quote · {formatRevisionLabel(nextRevision)}</h2>
+            <p className="text-sm text-gray-600">
+              {requestNumber}. Saved revisions cannot be changed; the customer sees the latest one.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-700" title="Close">
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">{error}</div>
+        )}
+
+        <table className="min-w-full mb-6">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2">Product</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2 w-24">Qty</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2 w-32">Unit Price</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2 w-24">Discount %</th>
+              <th className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-2 w-32">Total</th>
+              <th className="w-10"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {draft.lines.map((line) => (
+              <tr key={line.lineId} className="border-b border-gray-200">
+                <td className="py-2 pr-3 text-sm text-gray-900">
+                  {line.name}
+                  {formatVariantOptions(line.selectedOptions) && (
+                    <div className="text-xs text-gray-500">{formatVariantOptions(line.selectedOptions)}</div>
+                  )}
+                  {Number(line.unitPrice) > 0 && Number(line.unitPrice) !== Number(line.price) && (
+                    <div className="text-xs text-gray-500">List price {formatCurrency(line.unitPrice)}</div>
+                  )}
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={line.quantity}
+                    onChange={(e) => updateLine(line.lineId, { quantity: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.price}
+                    onChange={(e) => updateLine(line.lineId, { price: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </td>
+                <td className="py-2 pr-3">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.5"
+                    value={line.discountPercent}
+                    onChange={(e) => updateLine(line.lineId, { discountPercent: e.target.value })}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </td>
+                <td className="py-2 text-sm font-medium text-gray-900">
+                  {formatCurrency(getNetUnitPrice(line) * (Number(line.quantity) || 0))}
+                </td>
+                <td className="py-2">
+                  <button
+                    type="button"
+                    onClick={() => removeLine(line.lineId)}
+                    className="p-1 text-red-600 hover:text-red-800"
+                    title="Remove line"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="mb-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-700">Extra charges</h3>
+            <button
+              type="button"
+              onClick={addCharge}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <PlusIcon className="w-4 h-4 mr-1" />
+              Add charge
+            </button>
+          </div>
+          {draft.charges.length === 0 ? (
+            <p className="text-sm text-gray-500">No extra charges, e.g. packaging or handling.</p>
+          ) : (
+            <div className="space-y-2">
+              {draft.charges.map((charge, index) => (
+                <div key={index} className="grid grid-cols-6 gap-3 items-center">
+                  <input
+                    type="text"
+                    list="quote-charge-suggestions"
+                    value={charge.label}
+                    onChange={(e) => updateCharge(index, { label: e.target.value })}
+                    placeholder="Description"
+                    className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={charge.amount}
+                    onChange={(e) => updateCharge(index, { amount: e.target.value })}
+                    placeholder="Amount (GH₵)"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeCharge(index)}
+                    className="p-2 text-red-600 hover:text-red-800 justify-self-start"
+                    title="Remove charge"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <datalist id="quote-charge-suggestions">
+                {CHARGE_SUGGESTIONS.map((suggestion) => (
+                  <option key={suggestion} value={suggestion} />
+                ))}
+              </datalist>
+            </div>
+          )}
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Note to the customer (optional)</label>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="e.g. 5% off agreed for a 12-month contract"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+
+        <div className="bg-gray-50 rounded-lg p-4 mb-6 text-sm space-y-1">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Subtotal</span>
+            <span className="text-gray-900">{formatCurrency(totals.subtotal)}</span>
+          </div>
+          {totals.discountTotal > 0 && (
+            <div className="flex justify-between">
+              <span className="text-gray-600">Discounts</span>
+              <span className="text-green-700">-{formatCurrency(totals.discountTotal)}</span>
+            </div>
+          )}
+          {totals.chargesTotal !== 0 && (
+            <div className="flex justify-between">
+              <span className="text-gray-600">Extra charges</span>
+              <span className="text-gray-900">{formatCurrency(totals.chargesTotal)}</span>
+            </div>
+          )}
+          <div className="flex justify-between font-bold border-t border-gray-200 pt-1">
+            <span>Total</span>
+            <span>{formatCurrency(totals.total)}</span>
+          </div>
+          <p className="text-xs text-gray-500">Originally requested: {formatCurrency(request.totalAmount)}</p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : `Save ${formatRevisionLabel(nextRevision)}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteRevisionEditor;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from "react";
+import { ClockIcon } from "@heroicons/react/24/outline";
+import { requestService } from "../../services/requestService";
+import { BASE_CURRENCY, formatMoney } from "../../utils/currencyUtils";
+import { formatRelativeTime } from "../../utils/dateUtils";
+import { getPayableTotal } from "../../utils/taxUtils";
+import { REQUEST_STATUSES, canTransition, getStatusLabel } from "../../utils/requestStatusUtils";
+import { BOARD_COLUMN_LIMIT, toBoardColumnParams } from "../../utils/requestQueryUtils";
+
+const COLUMN_ACCENTS = {
+  pending: "border-yellow-400",
+  processing: "border-blue-400",
+  approved: "border-green-400",
+  rejected: "border-red-400",
+  completed: "border-gray-400",
+};
+
+const EMPTY_COLUMN = { requests: [], total: 0 };
+
+const isGuestRequest = (request) =>
+  request.isGuest ||
+  (typeof request.userId === "string" && request.userId.startsWith("guest_"));
+
+// Move a card between columns, keeping the column counts in step
+const moveCard = (columns, request, toStatus) => {
+  const fromStatus = request.status || "pending";
+  const from = columns[fromStatus] || EMPTY_COLUMN;
+  const to = columns[toStatus] || EMPTY_COLUMN;
+
+  return {
+    ...columns,
+    [fromStatus]: {
+      requests: from.requests.filter((candidate) => candidate.id !== request.id),
+      total: Math.max(from.total - 1, 0),
+    },
+    [toStatus]: {
+      requests: [{ ...request, status: toStatus }, ...to.requests],
+      total: to.total + 1,
+    },
+  };
+};
+
+// Requests as a pipeline with one column per status. Dropping a card on another column
+// moves the request there straight away and puts it back if the server refuses the change.
+const RequestBoard = ({ query, refreshKey, onOpenRequest }) => {
+  const [columns, setColumns] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [savingIds, setSavingIds] = useState([]);
+
+  const fetchColumns = async () => {
+    try {
+      setLoading(true);
+      const responses = await Promise.all(
+        REQUEST_STATUSES.map((status) =>
+          requestService.getAdminRequests(toBoardColumnParams(query, status.value))
+        )
+      );
+      setColumns(
+        REQUEST_STATUSES.reduce((result, status, index) => {
+          const data = responses[index].data.data || {};
+          result[status.value] = {
+            requests: data.requests || [],
+            total: data.pagination?.total ?? (data.requests || []).length,
+          };
+          return result;
+        }, {})
+      );
+    } catch (error) {
+      console.error("Error fetching board:", error);
+      alert("Failed to load the board. Please try refreshing the page.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchColumns();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [refreshKey]);
+
+  const handleDragStart = (event, request) => {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", String(request.id));
+    setDragged(request);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  const canDropOn = (status) => !!dragged && canTransition(dragged.status || "pending", status);
+
+  const handleDrop = async (event, toStatus) => {
+    event.preventDefault();
+    const request = dragged;
+    handleDragEnd();
+    if (!request || !canTransition(request.status || "pending", toStatus)) return;
+
+    setColumns((prev) => moveCard(prev, request, toStatus));
+    setSavingIds((prev) => [...prev, request.id]);
+
+    try {
+      const response = await requestService.updateStatus(request.id, toStatus);
+      const updated = response.data?.data;
+      if (updated) {
+        setColumns((prev) => ({
+          ...prev,
+          [toStatus]: {
+            ...prev[toStatus],
+            requests: prev[toStatus].requests.map((candidate) =>
+              candidate.id === request.id ? { ...candidate, ...updated } : candidate
+            ),
+          },
+        }));
+      }
+    } catch (error) {
+      console.error("Error moving request:", error);
+      // Only this card goes back; other cards may have moved while the change was saving
+      setColumns((prev) => moveCard(prev, { ...request, status: toStatus }, request.status || "pending"));
+      alert(
+        `${error.response?.data?.message || `Could not move ${request.requestNumber || request.id} to ${getStatusLabel(toStatus).toLowerCase()}.`} ` +
+          `It is back in ${getStatusLabel(request.status).toLowerCase()}.`
+      );
+    } finally {
+      setSavingIds((prev) => prev.filter((id) => id !== request.id));
+    }
+  };
+
+  if (loading && Object.keys(columns).length === 0) {
+    return (
+      <div className="p-8 text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Loading board...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex space-x-4 overflow-x-auto pb-2">
+      {REQUEST_STATUSES.map((status) => {
+        const column = columns[status.value] || EMPTY_COLUMN;
+        const droppable = canDropOn(status.value);
+
+        return (
+          <div
+            key={status.value}
+            onDragOver={(event) => {
+              if (!droppable) return;
+              event.preventDefault();
+              event.dataTransfer.dropEffect = "move";
+              setDropTarget(status.value);
+            }}
+            onDragLeave={() => setDropTarget((prev) => (prev === status.value ? null : prev))}
+            onDrop={(event) => handleDrop(event, status.value)}
+            className={`flex-shrink-0 w-72 bg-gray-50 rounded-lg border-t-4 ${COLUMN_ACCENTS[status.value] || "border-gray-400"} ${
+              dropTarget === status.value ? "ring-2 ring-blue-500" : ""
+            } ${dragged && !droppable && (dragged.status || "pending") !== status.value ? "opacity-50" : ""}`}
+          >
+            <div className="flex items-center justify-between px-3 py-2">
+              <h3 className="text-sm font-semibold text-gray-900">{status.label}</h3>
+              <span className="text-xs text-gray-500">
+                {column.total > column.requests.length
+                  ? `${column.requests.length} of ${column.total}`
+                  : column.total}
+              </span>
+            </div>
+            <div className="px-2 pb-2 space-y-2 min-h-[6rem]">
+              {column.requests.map((request) => {
+                const saving = savingIds.includes(request.id);
+                return (
+                  <div
+                    key={request.id}
+                    draggable={!saving}
+                    onDragStart={(event) => handleDragStart(event, request)}
+                    onDragEnd={handleDragEnd}
+                    onClick={() => onOpenRequest(request)}
+                    className={`bg-white rounded-md shadow-sm border border-gray-200 p-3 cursor-pointer hover:border-blue-300 ${
+                      saving ? "opacity-60" : ""
+                    }`}
+                  >
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {request.customerName || request.customerEmail}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {request.requestNumber || request.id}
+                          {isGuestRequest(request) && " · Guest"}
+                        </p>
+                      </div>
+                      <span className="text-sm font-semibold text-gray-900 ml-2 whitespace-nowrap">
+                        {formatMoney(getPayableTotal(request), BASE_CURRENCY)}
+                      </span>
+                    </div>
+                    <div className="flex items-center mt-2 text-xs text-gray-500" title="Submitted">
+                      <ClockIcon className="w-3.5 h-3.5 mr-1" />
+                      {formatRelativeTime(request.createdAt)}
+                    </div>
+                  </div>
+                );
+              })}
+              {column.total > BOARD_COLUMN_LIMIT && (
+                <p className="text-xs text-gray-500 text-center py-1">
+                  Narrow the filters or use the table to see the rest.
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RequestBoard;
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import {
+  ChatBubbleLeftRightIcon,
+  PaperAirplaneIcon,
+  PaperClipIcon,
+  ArrowDownTrayIcon,
+  XMarkIcon,
+} from "@heroicons/react/24/outline";
+import { useRequestMessages } from "../../hooks/useRequestMessages";
+import { useAttachmentUploads } from "../../hooks/useAttachmentUploads";
+import { formatDateTime } from "../../utils/dateUtils";
+import { ATTACHMENT_ACCEPT, formatFileSize } from "../../utils/attachmentUtils";
+
+// Staff side of the conversation on a request, shown in the admin request view
+const RequestMessageThread = ({ requestNumber, onRead, onDownloadAttachment, downloadingAttachment }) => {
+  const { messages, loading, sending, error, sendMessage } = useRequestMessages(requestNumber, onRead);
+  const uploads = useAttachmentUploads();
+  const [body, setBody] = useState("");
+  const [notifyByEmail, setNotifyByEmail] = useState(true);
+
+  const canSend =
+    (body.trim() || uploads.uploadedAttachments.length > 0) && !uploads.isUploading && !sending;
+
+  const handleFileChange = (e) => {
+    uploads.addFiles(e.target.files || []);
+    e.target.value = "";
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    const sent = await sendMessage({
+      body: body.trim(),
+      attachments: uploads.uploadedAttachments,
+      notifyByEmail,
+    });
+    if (sent) {
+      setBody("");
+      uploads.reset();
+    }
+  };
+
+  return (
+    <div>
+      {loading ? (
+        <p className="text-sm text-gray-500 py-2">Loading messages...</p>
+      ) : messages.length === 0 ? (
+        <div className="flex items-center text-sm text-gray-500 py-2">
+          <ChatBubbleLeftRightIcon className="w-5 h-5 mr-2 text-gray-400" />
+          No messages on this request yet.
+        </div>
+      ) : (
+        <ul className="space-y-3 max-h-80 overflow-y-auto mb-4 pr-1">
+          {messages.map((message) => {
+            const isStaff = message.senderRole === "staff";
+            return (
+              <li key={message.id} className={`flex ${isStaff ? "justify-end" : "justify-start"}`}>
+                <div
+                  className={`max-w-[85%] rounded-lg px-4 py-2 ${
+                    isStaff ? "bg-blue-50 border border-blue-200" : "bg-gray-100"
+                  }`}
+                >
+                  <p className="text-xs text-gray-500 mb-1">
+                    {message.senderName || (isStaff ? "Staff" : "Customer")} · {formatDateTime(message.createdAt)}
+                    {message.isUnread && !isStaff && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-blue-600 text-white">New</span>
+                    )}
+                  </p>
+                  {message.body && (
+                    <p className="text-sm text-gray-900 whitespace-pre-line">{message.body}</p>
+                  )}
+                  {message.attachments?.map((attachment) => (
+                    <button
+                      key={attachment.id}
+                      type="button"
+                      onClick={() => onDownloadAttachment(attachment)}
+                      disabled={downloadingAttachment === attachment.id}
+                      className="flex items-center mt-1 text-sm text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                    >
+                      <ArrowDownTrayIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+                      <span className="truncate">{attachment.name}</span>
+                    </button>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3 text-sm text-red-800">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSend} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+          placeholder="Reply to the customer..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+
+        {uploads.errors.map((uploadError) => (
+          <p key={uploadError} className="text-xs text-red-600">{uploadError}</p>
+        ))}
+        {uploads.attachments.length > 0 && (
+          <ul className="space-y-1">
+            {uploads.attachments.map((attachment) => (
+              <li key={attachment.localId} className="flex items-center justify-between text-sm text-gray-700">
+                <span className="flex items-center min-w-0">
+                  <PaperClipIcon className="w-4 h-4 mr-2 flex-shrink-0 text-gray-500" />
+                  <span className="truncate">{attachment.name}</span>
+                  <span className="ml-2 text-gray-500 flex-shrink-0">
+                    {attachment.status === "uploading"
+                      ? `${attachment.progress}%`
+                      : attachment.status === "error"
+                      ? attachment.error
+                      : formatFileSize(attachment.size)}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => uploads.removeAttachment(attachment)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Remove attachment"
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-4">
+            <label
+              className={`flex items-center text-sm text-blue-600 hover:text-blue-800 ${
+                uploads.canAddMore ? "cursor-pointer" : "opacity-50"
+              }`}
+            >
+              <PaperClipIcon className="w-4 h-4 mr-1" />
+              Attach
+              <input
+                type="file"
+                multiple
+                accept={ATTACHMENT_ACCEPT}
+                onChange={handleFileChange}
+                disabled={!uploads.canAddMore}
+                className="hidden"
+              />
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={notifyByEmail}
+                onChange={(e) => setNotifyByEmail(e.target.checked)}
+                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Email the customer
+            </label>
+          </div>
+          <button
+            type="submit"
+            disabled={!canSend}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <PaperAirplaneIcon className="w-4 h-4 mr-2" />
+            {sending ? "Sending..." : "Send"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RequestMessageThread;
@@ -113,6 +113,7 @@ const Activities = () => {
       case 'story': return <DocumentTextIcon className="w-5 h-5 text-purple-500" />;
       case 'brand': return <TagIcon className="w-5 h-5 text-orange-500" />;
       case 'category': return <TagIcon className="w-5 h-5 text-red-500" />;
+      case 'request': return <DocumentTextIcon className="w-5 h-5 text-golden-600" />;
       default: return <DocumentTextIcon className="w-5 h-5 text-gray-500" />;
     }
   };
@@ -123,6 +124,7 @@ const Activities = () => {
       case 'update': return 'text-blue-600 bg-blue-100';
       case 'delete': return 'text-red-600 bg-red-100';
       case 'login': return 'text-purple-600 bg-purple-100';
+      case 'amend': return 'text-orange-600 bg-orange-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -293,6 +295,7 @@ const Activities = () => {
               <option value="story">Story</option>
               <option value="brand">Brand</option>
               <option value="category">Category</option>
+              <option value="request">Request</option>
             </select>
           </div>
 
@@ -310,6 +313,7 @@ const Activities = () => {
               <option value="update">Update</option>
               <option value="delete">Delete</option>
               <option value="login">Login</option>
+              <option value="amend">Amend</option>
             </select>
           </div>
 
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { CurrencyDollarIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { currencyService } from '../../services/currencyService';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { BASE_CURRENCY, CURRENCIES, formatExchangeRate } from '../../utils/currencyUtils';
+import { formatDateTimeFull } from '../../utils/dateUtils';
+
+const FOREIGN_CURRENCIES = CURRENCIES.filter(option => option.code !== BASE_CURRENCY);
+
+const CurrencyRates = () => {
+  const { rates, ratesUpdatedAt, reloadRates } = useCurrency();
+  const [formRates, setFormRates] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setFormRates(FOREIGN_CURRENCIES.reduce((values, option) => ({
+      ...values,
+      [option.code]: rates[option.code] ? String(rates[option.code]) : ''
+    }), {}));
+  }, [rates]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    // An empty rate switches the currency off for buyers
+    const updatedRates = {};
+    for (const option of FOREIGN_CURRENCIES) {
+      const value = formRates[option.code];
+      if (value === '' || value === undefined) continue;
+
+      const rate = Number(value);
+      if (isNaN(rate) || rate <= 0) {
+        setError(`Enter a rate above zero for ${option.code}, or leave it empty to hide the currency.`);
+        return;
+      }
+      updatedRates[option.code] = rate;
+    }
+
+    try {
+      setSaving(true);
+      await currencyService.updateRates(updatedRates);
+      await reloadRates();
+      setMessage('Exchange rates updated');
+    } catch (saveError) {
+      console.error('Error updating exchange rates:', saveError);
+      setError(saveError.response?.data?.message || 'Failed to update exchange rates');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Exchange Rates</h1>
+        <p className="text-gray-600 mt-2">
+          Prices are set and charged in Ghana cedis. Buyers can view them in any currency with a rate below.
+        </p>
+      </div>
+
+      {message && (
+        <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <CheckIcon className="w-5 h-5 text-green-600 mr-2" />
+            <p className="text-green-800">{message}</p>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <XMarkIcon className="w-5 h-5 text-red-600 mr-2" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex items-center mb-6">
+          <CurrencyDollarIcon className="w-10 h-10 text-blue-600 mr-4" />
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Cedis per unit</h2>
+            <p className="text-sm text-gray-600">
+              {ratesUpdatedAt ? `Last updated ${formatDateTimeFull(ratesUpdatedAt)}` : 'No rates have been set yet'}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {FOREIGN_CURRENCIES.map(option => (
+            <div key={option.code} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+              <label htmlFor={`rate-${option.code}`} className="text-sm font-medium text-gray-700">
+                {option.name} ({option.code})
+              </label>
+              <input
+                id={`rate-${option.code}`}
+                type="number"
+                min="0"
+                step="0.0001"
+                value={formRates[option.code] || ''}
+                onChange={(e) => setFormRates(prev => ({ ...prev, [option.code]: e.target.value }))}
+                placeholder="Not offered"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <p className="text-sm text-gray-500">
+                {Number(formRates[option.code]) > 0
+                  ? formatExchangeRate(option.code, Number(formRates[option.code]))
+                  : 'Hidden from buyers'}
+              </p>
+            </div>
+          ))}
+
+          <div className="flex justify-end pt-4 border-t border-gray-200">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Rates'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencyRates;
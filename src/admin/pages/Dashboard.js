@@ -8,14 +8,18 @@ import {
   ClipboardDocumentListIcon,
   ClockIcon,
   CurrencyDollarIcon,
+  BanknotesIcon,
 } from "@heroicons/react/24/outline";
 import api from "../../services/api";
+import { orderService } from "../../services/orderService";
+import { BASE_CURRENCY, formatMoney } from "../../utils/currencyUtils";
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const [stats, setStats] = useState([]);
   const [recentActivities, setRecentActivities] = useState([]);
+  const [orderRevenue, setOrderRevenue] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -46,27 +50,17 @@ const Dashboard = () => {
         return percent > 0 ? `+${percent}%` : `${percent}%`;
       };
 
-      const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-GH', {
-          style: 'currency',
-          currency: 'GHS',
-          minimumFractionDigits: 0,
-          maximumFractionDigits: 0,
-          currencyDisplay: 'symbol',
-        }).format(amount).replace('GHS', '').trim();
-      };
-
       const statsData = [
         // Only show revenue card for super_admin
         ...(user?.role === "super_admin" ? [{
           name: "Total Revenue",
-          value: formatCurrency(dashboardData.revenue?.total || 0),
+          value: formatMoney(dashboardData.revenue?.total || 0, BASE_CURRENCY),
           change: formatPercentageChange(dashboardData.revenue?.growthPercent || 0),
           changeType:
             (dashboardData.revenue?.growthPercent || 0) >= 0 ? "positive" : "negative",
           icon: CurrencyDollarIcon,
           color: "bg-green-500",
-          subtitle: `Last month: ${formatCurrency(dashboardData.revenue?.lastMonth || 0)}`,
+          subtitle: `Last month: ${formatMoney(dashboardData.revenue?.lastMonth || 0, BASE_CURRENCY)}`,
         }] : []),
         {
           name: "Total Products",
@@ -107,6 +101,17 @@ const Dashboard = () => {
 
       setStats(statsData);
 
+      // Payments recorded against orders; the dashboard still loads if this summary is unavailable
+      if (user?.role === "super_admin") {
+        try {
+          const revenueRes = await orderService.getRevenueSummary();
+          setOrderRevenue(revenueRes.data?.data || null);
+        } catch (revenueError) {
+          console.error("Error fetching order revenue:", revenueError);
+          setOrderRevenue(null);
+        }
+      }
+
       // Use real activities from the API
       if (activitiesRes.data?.data?.length > 0) {
         const formattedActivities = activitiesRes.data.data.map(
@@ -272,7 +277,7 @@ const Dashboard = () => {
               case "Total Users":
                 return "/admin/users";
               case "Pending Requests":
-                return "/admin/requests";
+                return "/admin/requests?status=pending";
               default:
                 return null;
             }
@@ -331,6 +336,52 @@ const Dashboard = () => {
         })}
       </div>
 
+      {/* Order Payments */}
+      {orderRevenue && (
+        <button
+          onClick={() => navigate("/admin/requests")}
+          className="w-full bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow text-left"
+        >
+          <div className="flex items-center mb-4">
+            <div className="p-3 rounded-lg bg-emerald-500">
+              <BanknotesIcon className="w-6 h-6 text-white" />
+            </div>
+            <h3 className="ml-4 text-lg font-medium text-gray-900">Order Payments</h3>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-sm text-gray-600">Received this month</p>
+              <p className="text-xl font-bold text-gray-900">
+                {formatMoney(orderRevenue.collectedThisMonth || 0, BASE_CURRENCY)}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Received in total</p>
+              <p className="text-xl font-bold text-gray-900">
+                {formatMoney(orderRevenue.collected || 0, BASE_CURRENCY)}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Outstanding balances</p>
+              <p className="text-xl font-bold text-gray-900">
+                {formatMoney(orderRevenue.outstanding || 0, BASE_CURRENCY)}
+              </p>
+              {orderRevenue.overdue > 0 && (
+                <p className="text-xs text-red-600 mt-1">
+                  {formatMoney(orderRevenue.overdue, BASE_CURRENCY)} overdue
+                </p>
+              )}
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Orders awaiting payment</p>
+              <p className="text-xl font-bold text-gray-900">
+                {orderRevenue.openOrders || 0}
+              </p>
+            </div>
+          </div>
+        </button>
+      )}
+
       {/* Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Activity */}
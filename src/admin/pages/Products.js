@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { PlusIcon, MagnifyingGlassIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
 import { Link } from 'react-router-dom';
 import api from '../../services/api';
+import { BASE_CURRENCY, formatMoney } from '../../utils/currencyUtils';
 
 const Products = () => {
   const [products, setProducts] = useState([]);
@@ -43,8 +44,12 @@ const Products = () => {
       }
     },
     variants: [],
+    minOrderQuantity: '',
+    maxOrderQuantity: '',
+    quantityStep: '',
     isFeatured: false,
-    isActive: true
+    isActive: true,
+    taxExempt: false
   });
 
   const fetchProducts = async (showLoading = true) => {
@@ -134,8 +139,24 @@ const Products = () => {
     product.description.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  // Order quantity settings the storefront cannot honour
+  const getOrderQuantityError = () => {
+    const min = parseInt(formData.minOrderQuantity, 10);
+    const max = parseInt(formData.maxOrderQuantity, 10);
+    if (min && max && max < min) {
+      return 'Maximum order quantity must be at least the minimum order quantity.';
+    }
+    return null;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (getOrderQuantityError()) {
+      alert(getOrderQuantityError());
+      return;
+    }
+
     setSubmitting(true);
     
     try {
@@ -150,8 +171,12 @@ const Products = () => {
       submitData.append('specifications', JSON.stringify(formData.specifications));
       submitData.append('pricing', JSON.stringify(formData.pricing));
       submitData.append('variants', JSON.stringify(formData.variants));
+      submitData.append('minOrderQuantity', formData.minOrderQuantity);
+      submitData.append('maxOrderQuantity', formData.maxOrderQuantity);
+      submitData.append('quantityStep', formData.quantityStep);
       submitData.append('isFeatured', formData.isFeatured ? '1' : '0');
       submitData.append('isActive', formData.isActive ? '1' : '0');
+      submitData.append('taxExempt', formData.taxExempt ? '1' : '0');
       
       if (formData.mainImage) {
         submitData.append('mainImage', formData.mainImage);
@@ -325,8 +350,12 @@ const Products = () => {
         }
       },
       variants: [],
+      minOrderQuantity: '',
+      maxOrderQuantity: '',
+      quantityStep: '',
       isFeatured: false,
-      isActive: true
+      isActive: true,
+      taxExempt: false
     });
   };
 
@@ -386,8 +415,12 @@ const Products = () => {
         }
       },
       variants: product.variants || [],
+      minOrderQuantity: product.minOrderQuantity || '',
+      maxOrderQuantity: product.maxOrderQuantity || '',
+      quantityStep: product.quantityStep || '',
       isFeatured: product.isFeatured || false,
-      isActive: product.isActive !== false
+      isActive: product.isActive !== false,
+      taxExempt: product.taxExempt || false
     });
     setShowEditModal(true);
   };
@@ -556,7 +589,7 @@ const Products = () => {
                                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{product.categoryName || '-'}</td>
                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{product.brandName || '-'}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{product.specifications?.size || '-'}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">GH₵{product.pricing?.base || product.price}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatMoney(product.pricing?.base || product.price, BASE_CURRENCY)}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">-</td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -890,7 +923,57 @@ const Products = () => {
                   </div>
                 </div>
               </div>
-              
+
+
+              {/* Order Quantities */}
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Order Quantities</label>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-600">Minimum order (units)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={formData.minOrderQuantity}
+                      onChange={(e) => setFormData({...formData, minOrderQuantity: e.target.value})}
+                      placeholder="1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600">Pack size / step (units)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={formData.quantityStep}
+                      onChange={(e) => setFormData({...formData, quantityStep: e.target.value})}
+                      placeholder="1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600">Maximum order (units)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={formData.maxOrderQuantity}
+                      onChange={(e) => setFormData({...formData, maxOrderQuantity: e.target.value})}
+                      placeholder="No limit"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+                {getOrderQuantityError() ? (
+                  <p className="mt-1 text-xs text-red-600">{getOrderQuantityError()}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Buyers can order the minimum, then add whole packs, e.g. minimum 50 with packs of 25 allows 50, 75, 100...
+                  </p>
+                )}
+              </div>              
               <div>
                 <label className="block text-sm font-medium text-gray-700">Short Description</label>
                 <input
@@ -931,6 +1014,15 @@ const Products = () => {
                   />
                   <span className="ml-2 text-sm text-gray-700">Active</span>
                 </label>
+                <label className="flex items-center" title="Zero-rated or exempt supplies carry no VAT or levies">
+                  <input
+                    type="checkbox"
+                    checked={formData.taxExempt}
+                    onChange={(e) => setFormData({...formData, taxExempt: e.target.checked})}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">Exempt from VAT &amp; levies</span>
+                </label>
               </div>
               
               <div className="flex justify-end space-x-3 pt-4">
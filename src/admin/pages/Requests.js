@@ -1,40 +1,102 @@
 import React, { useState, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
   MagnifyingGlassIcon,
   EyeIcon,
   CheckIcon,
   XMarkIcon,
   ArrowDownTrayIcon,
+  PaperClipIcon,
+  ChatBubbleLeftRightIcon,
+  PencilSquareIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  TableCellsIcon,
+  ViewColumnsIcon,
 } from "@heroicons/react/24/outline";
 import api from "../../services/api";
-import { generateProformaInvoice } from "../../utils/invoiceGenerator";
-import { formatDate } from "../../utils/dateUtils";
+import { requestService } from "../../services/requestService";
+import { generateProformaInvoice, buildInvoiceDataFromRequest } from "../../utils/invoiceGenerator";
+import { formatDate, formatDateTime } from "../../utils/dateUtils";
+import { formatVariantOptions } from "../../utils/variantUtils";
+import { BASE_CURRENCY, formatMoney, formatFromBase, formatExchangeRate } from "../../utils/currencyUtils";
+import { formatShippingTerms } from "../../utils/shippingUtils";
+import { attachmentService } from "../../services/attachmentService";
+import { formatFileSize, saveBlob } from "../../utils/attachmentUtils";
+import RequestMessageThread from "../components/RequestMessageThread";
+import QuoteRevisionEditor from "../components/QuoteRevisionEditor";
+import OrderPanel from "../components/OrderPanel";
+import InvoiceExportButtons from "../../components/InvoiceExportButtons";
+import RequestBoard from "../components/RequestBoard";
+import { PAYMENT_STATUS_LABELS, getPaymentSummary } from "../../utils/orderUtils";
+import { getQuoteRevisions, getQuoteRevision, getQuotedTotal, formatRevisionLabel } from "../../utils/quoteRevisionUtils";
+import { getRequestTaxes, getPayableTotal, hasTaxesOnTop, formatTaxLabel } from "../../utils/taxUtils";
+import {
+  REQUEST_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  getStatusLabel,
+  getStatusHistory,
+} from "../../utils/requestStatusUtils";
+import {
+  DEFAULT_REQUEST_QUERY,
+  REQUEST_PAGE_SIZES,
+  DATE_RANGE_OPTIONS,
+  parseRequestQuery,
+  toRequestSearchParams,
+  toRequestApiParams,
+  hasActiveFilters,
+} from "../../utils/requestQueryUtils";
 
 const Requests = () => {
   const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: DEFAULT_REQUEST_QUERY.limit,
+    total: 0,
+    pages: 0,
+  });
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState("");
   const [showViewModal, setShowViewModal] = useState(false);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [downloadingPdf, setDownloadingPdf] = useState(null);
+  const [downloadingAttachment, setDownloadingAttachment] = useState(null);
+  const [statusChange, setStatusChange] = useState({ status: "", comment: "" });
+  const [revisingRequest, setRevisingRequest] = useState(null);
+  const [downloadingRevision, setDownloadingRevision] = useState(null);
 
-  // Filter states
-  const [statusFilter, setStatusFilter] = useState("all");
-  const [guestFilter, setGuestFilter] = useState("all");
-  const [dateFilter, setDateFilter] = useState("all");
-  const [startDate, setStartDate] = useState("");
-  const [endDate, setEndDate] = useState("");
+  // Search, filters, sort and page live in the URL so a filtered view can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = parseRequestQuery(
+    searchParams,
+    REQUEST_STATUSES.map((status) => status.value)
+  );
+  const queryKey = searchParams.toString();
+  const [searchInput, setSearchInput] = useState(query.search);
+  const isBoardView = query.view === "board";
+  // Bumped to reload the board after a request is changed from the details modal
+  const [boardVersion, setBoardVersion] = useState(0);
 
-  // Pagination states
-  const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage, setItemsPerPage] = useState(10);
+  const updateQuery = (changes, options) => {
+    // Anything but a page change starts again from the first page
+    setSearchParams(toRequestSearchParams({ ...query, page: 1, ...changes }), options);
+  };
 
   const fetchRequests = async () => {
     try {
       setLoading(true);
-      const response = await api.get("/requests/admin/all");
-      setRequests(response.data.data?.requests || []);
+      const response = await requestService.getAdminRequests(toRequestApiParams(query));
+      const data = response.data.data || {};
+      setRequests(data.requests || []);
+      setPagination(
+        data.pagination || {
+          page: query.page,
+          limit: query.limit,
+          total: data.requests?.length || 0,
+          pages: 1,
+        }
+      );
     } catch (error) {
       console.error("Error fetching requests:", error);
       setRequests([]);
@@ -48,98 +110,93 @@ const Requests = () => {
   };
 
   useEffect(() => {
-    fetchRequests();
-  }, []);
-
-  const filteredRequests = requests.filter((request) => {
-    // Search filter
-    const searchMatch =
-      (request.id?.toString() || "").includes(searchTerm) ||
-      (request.requestNumber || "")
-        .toLowerCase()
-        .includes(searchTerm.toLowerCase()) ||
-      (request.customerName || "")
-        .toLowerCase()
-        .includes(searchTerm.toLowerCase()) ||
-      (request.customerEmail || "")
-        .toLowerCase()
-        .includes(searchTerm.toLowerCase()) ||
-      (request.status || "").toLowerCase().includes(searchTerm.toLowerCase());
-
-    if (!searchMatch) return false;
-
-    // Status filter
-    if (statusFilter !== "all" && request.status !== statusFilter) return false;
-
-    // Guest filter
-    if (guestFilter !== "all") {
-      const isGuest =
-        request.isGuest ||
-        (request.userId &&
-          typeof request.userId === "string" &&
-          request.userId.startsWith("guest_"));
-      if (guestFilter === "guest" && !isGuest) return false;
-      if (guestFilter === "registered" && isGuest) return false;
-    }
+    // The board loads its own columns
+    if (!isBoardView) fetchRequests();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [queryKey]);
 
-    // Date filter
-    if (dateFilter !== "all") {
-      const requestDate = new Date(request.createdAt);
-      const today = new Date();
-      const yesterday = new Date(today);
-      yesterday.setDate(yesterday.getDate() - 1);
-      const lastWeek = new Date(today);
-      lastWeek.setDate(lastWeek.getDate() - 7);
-      const lastMonth = new Date(today);
-      lastMonth.setMonth(lastMonth.getMonth() - 1);
-
-      switch (dateFilter) {
-        case "today":
-          if (requestDate.toDateString() !== today.toDateString()) return false;
-          break;
-        case "yesterday":
-          if (requestDate.toDateString() !== yesterday.toDateString())
-            return false;
-          break;
-        case "lastWeek":
-          if (requestDate < lastWeek) return false;
-          break;
-        case "lastMonth":
-          if (requestDate < lastMonth) return false;
-          break;
-        case "custom":
-          if (startDate && requestDate < new Date(startDate)) return false;
-          if (endDate && requestDate > new Date(endDate + "T23:59:59"))
-            return false;
-          break;
-        default:
-          return true;
-      }
+  const refreshList = () => {
+    if (isBoardView) {
+      setBoardVersion((version) => version + 1);
+    } else {
+      fetchRequests();
     }
+  };
 
-    return true;
-  });
+  // The search box updates the URL once the admin stops typing
+  useEffect(() => {
+    if (searchInput === query.search) return undefined;
+    const searchTimeout = setTimeout(
+      () => updateQuery({ search: searchInput }, { replace: true }),
+      400
+    );
+    return () => clearTimeout(searchTimeout);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchInput]);
+
+  // Follow URL changes made elsewhere: back button, shared links, clearing the filters
+  useEffect(() => {
+    setSearchInput(query.search);
+  }, [query.search]);
 
   // Pagination logic
-  const totalItems = filteredRequests.length;
-  const totalPages = Math.ceil(totalItems / itemsPerPage);
+  const currentPage = query.page;
+  const itemsPerPage = query.limit;
+  const totalItems = pagination.total;
+  const totalPages = pagination.pages;
   const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const currentRequests = filteredRequests.slice(startIndex, endIndex);
+  const endIndex = startIndex + requests.length;
 
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    updateQuery({ page });
   };
 
   const handleItemsPerPageChange = (newItemsPerPage) => {
-    setItemsPerPage(newItemsPerPage);
-    setCurrentPage(1); // Reset to first page when changing items per page
+    updateQuery({ limit: newItemsPerPage });
   };
 
-  const handleStatusUpdate = async (requestId, newStatus) => {
+  // Clicking the sorted column flips the order; dates and totals start with the largest first
+  const handleSort = (field) => {
+    if (query.sort === field) {
+      updateQuery({ order: query.order === "asc" ? "desc" : "asc" });
+    } else {
+      updateQuery({ sort: field, order: field === "customerName" ? "asc" : "desc" });
+    }
+  };
+
+  const renderSortableHeader = (field, label) => (
+    <th
+      className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+      aria-sort={query.sort === field ? (query.order === "asc" ? "ascending" : "descending") : "none"}
+    >
+      <button
+        onClick={() => handleSort(field)}
+        className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+      >
+        {label}
+        {query.sort === field &&
+          (query.order === "asc" ? (
+            <ChevronUpIcon className="w-3 h-3 ml-1" />
+          ) : (
+            <ChevronDownIcon className="w-3 h-3 ml-1" />
+          ))}
+      </button>
+    </th>
+  );
+
+  const handleStatusUpdate = async (request, newStatus, comment = "") => {
+    const currentStatus = request.status || "pending";
+    if (!canTransition(currentStatus, newStatus)) {
+      alert(
+        `A ${getStatusLabel(currentStatus).toLowerCase()} request cannot be moved to ${getStatusLabel(newStatus).toLowerCase()}.`
+      );
+      return;
+    }
+
     setSubmitting(true);
     try {
-      const response = await api.put(`/requests/${requestId}/status`, { status: newStatus });
+      // The server records the change in the request's status history with the signed-in admin
+      const response = await requestService.updateStatus(request.id, newStatus, comment.trim());
       
       // Show success message
       if (response.data?.emailSent) {
@@ -148,10 +205,10 @@ const Requests = () => {
         alert(`Request ${newStatus} successfully!`);
       }
 
-      fetchRequests();
+      refreshList();
     } catch (error) {
       console.error("Error updating request status:", error);
-      alert("Error updating request status. Please try again.");
+      alert(error.response?.data?.message || "Error updating request status. Please try again.");
     } finally {
       setSubmitting(false);
     }
@@ -189,8 +246,64 @@ const Requests = () => {
     }
   };
 
+  const handleDownloadAttachment = async (request, attachment) => {
+    const requestNumber = request.request_number || request.requestNumber;
+    setDownloadingAttachment(attachment.id);
+    try {
+      const response = await attachmentService.downloadAttachment(requestNumber, attachment.id);
+      saveBlob(response.data, attachment.name);
+    } catch (error) {
+      console.error("Error downloading attachment:", error);
+      alert("Failed to download attachment. Please try again.");
+    } finally {
+      setDownloadingAttachment(null);
+    }
+  };
+
+  // Quote revisions and order changes return the updated request
+  const handleRequestUpdated = (updatedRequest) => {
+    if (!updatedRequest) {
+      refreshList();
+      return;
+    }
+    setRequests((prev) =>
+      prev.map((request) => (request.id === updatedRequest.id ? { ...request, ...updatedRequest } : request))
+    );
+    if (isBoardView) setBoardVersion((version) => version + 1);
+    setSelectedRequest((prev) =>
+      prev && prev.id === updatedRequest.id ? { ...prev, ...updatedRequest } : prev
+    );
+  };
+
+  const handleDownloadRevision = async (request, revision) => {
+    setDownloadingRevision(revision);
+    try {
+      await generateProformaInvoice(buildInvoiceDataFromRequest(request, revision), true);
+    } catch (error) {
+      console.error("Error generating revision PDF:", error);
+      alert("Failed to generate the revision PDF. Please try again.");
+    } finally {
+      setDownloadingRevision(null);
+    }
+  };
+
+  // Clear the unread badge once the thread has been opened
+  const handleMessagesRead = (requestNumber) => {
+    setRequests((prev) =>
+      prev.map((request) =>
+        (request.request_number || request.requestNumber) === requestNumber
+          ? { ...request, unreadMessages: 0 }
+          : request
+      )
+    );
+  };
+
   const openViewModal = (request) => {
     setSelectedRequest(request);
+    setStatusChange({
+      status: getAllowedTransitions(request.status)[0] || "",
+      comment: "",
+    });
     setShowViewModal(true);
   };
 
@@ -213,11 +326,15 @@ const Requests = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat("en-GH", {
-      style: "currency",
-      currency: "GHS",
-    }).format(amount);
+  const formatCurrency = (amount) => formatMoney(amount, BASE_CURRENCY);
+
+  const getFreightEstimate = (request) =>
+    (Number(request.shipping?.freightEstimate) || 0) + (Number(request.shipping?.insuranceEstimate) || 0);
+
+  // Requests quoted in another currency keep the rate the buyer saw
+  const getQuoteCurrency = (request) => {
+    const currency = request.currency;
+    return currency?.code && currency.code !== BASE_CURRENCY && Number(currency.rate) > 0 ? currency : null;
   };
 
   return (
@@ -231,6 +348,26 @@ const Requests = () => {
             Manage customer proforma invoices and quotes
           </p>
         </div>
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden" role="group">
+          <button
+            onClick={() => updateQuery({ view: "table" })}
+            className={`flex items-center px-3 py-2 text-sm ${
+              isBoardView ? "bg-white text-gray-700 hover:bg-gray-50" : "bg-blue-600 text-white"
+            }`}
+          >
+            <TableCellsIcon className="w-4 h-4 mr-1" />
+            Table
+          </button>
+          <button
+            onClick={() => updateQuery({ view: "board" })}
+            className={`flex items-center px-3 py-2 text-sm border-l border-gray-300 ${
+              isBoardView ? "bg-blue-600 text-white" : "bg-white text-gray-700 hover:bg-gray-50"
+            }`}
+          >
+            <ViewColumnsIcon className="w-4 h-4 mr-1" />
+            Board
+          </button>
+        </div>
       </div>
 
       <div className="bg-white p-4 rounded-lg shadow">
@@ -240,30 +377,34 @@ const Requests = () => {
           <input
             type="text"
             placeholder="Search invoices, customers, or status..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
             className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
         </div>
 
         {/* Filters */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
-          {/* Status Filter */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Status
-            </label>
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="approved">Approved</option>
-              <option value="rejected">Rejected</option>
-            </select>
-          </div>
+          {/* Status Filter (the board has a column per status instead) */}
+          {!isBoardView && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Status
+              </label>
+              <select
+                value={query.status}
+                onChange={(e) => updateQuery({ status: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="all">All Status</option>
+                {REQUEST_STATUSES.map((status) => (
+                  <option key={status.value} value={status.value}>
+                    {status.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
           {/* Guest Filter */}
           <div>
@@ -271,8 +412,8 @@ const Requests = () => {
               User Type
             </label>
             <select
-              value={guestFilter}
-              onChange={(e) => setGuestFilter(e.target.value)}
+              value={query.guest}
+              onChange={(e) => updateQuery({ guest: e.target.value })}
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="all">All Users</option>
@@ -287,21 +428,20 @@ const Requests = () => {
               Date Range
             </label>
             <select
-              value={dateFilter}
-              onChange={(e) => setDateFilter(e.target.value)}
+              value={query.date}
+              onChange={(e) => updateQuery({ date: e.target.value })}
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
-              <option value="all">All Time</option>
-              <option value="today">Today</option>
-              <option value="yesterday">Yesterday</option>
-              <option value="lastWeek">Last 7 Days</option>
-              <option value="lastMonth">Last 30 Days</option>
-              <option value="custom">Custom Range</option>
+              {DATE_RANGE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
 
           {/* Custom Date Range */}
-          {dateFilter === "custom" && (
+          {query.date === "custom" && (
             <>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -309,8 +449,8 @@ const Requests = () => {
                 </label>
                 <input
                   type="date"
-                  value={startDate}
-                  onChange={(e) => setStartDate(e.target.value)}
+                  value={query.from}
+                  onChange={(e) => updateQuery({ from: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
               </div>
@@ -320,8 +460,8 @@ const Requests = () => {
                 </label>
                 <input
                   type="date"
-                  value={endDate}
-                  onChange={(e) => setEndDate(e.target.value)}
+                  value={query.to}
+                  onChange={(e) => updateQuery({ to: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 />
               </div>
@@ -330,20 +470,19 @@ const Requests = () => {
         </div>
 
         {/* Clear Filters Button */}
-        {(statusFilter !== "all" ||
-          guestFilter !== "all" ||
-          dateFilter !== "all" ||
-          searchTerm) && (
+        {hasActiveFilters(query) && (
           <div className="mt-4">
             <button
-              onClick={() => {
-                setStatusFilter("all");
-                setGuestFilter("all");
-                setDateFilter("all");
-                setStartDate("");
-                setEndDate("");
-                setSearchTerm("");
-              }}
+              onClick={() =>
+                updateQuery({
+                  search: "",
+                  status: "all",
+                  guest: "all",
+                  date: "all",
+                  from: "",
+                  to: "",
+                })
+              }
               className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
             >
               Clear All Filters
@@ -352,263 +491,317 @@ const Requests = () => {
         )}
       </div>
 
-      <div className="bg-white rounded-lg shadow overflow-hidden">
-        {loading ? (
-          <div className="p-8 text-center">
-            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-            <p className="mt-4 text-gray-600">Loading invoices...</p>
-          </div>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Invoice #
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Customer
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Items
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Total
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Date
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {currentRequests.map((request) => (
-                  <tr key={request.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <button
-                        onClick={() => openViewModal(request)}
-                        className="text-left hover:text-blue-600 transition-colors"
-                      >
+      {isBoardView ? (
+        <RequestBoard
+          query={query}
+          refreshKey={`${queryKey}|${boardVersion}`}
+          onOpenRequest={openViewModal}
+        />
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+              <p className="mt-4 text-gray-600">Loading invoices...</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Invoice #
+                    </th>
+                    {renderSortableHeader("customerName", "Customer")}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Items
+                    </th>
+                    {renderSortableHeader("total", "Total")}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    {renderSortableHeader("createdAt", "Date")}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {requests.length === 0 && (
+                    <tr>
+                      <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">
+                        {hasActiveFilters(query)
+                          ? "No invoices match these filters."
+                          : "No invoices yet."}
+                      </td>
+                    </tr>
+                  )}
+                  {requests.map((request) => (
+                    <tr key={request.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          onClick={() => openViewModal(request)}
+                          className="text-left hover:text-blue-600 transition-colors"
+                        >
+                          <div className="text-sm font-medium text-gray-900">
+                            {request.requestNumber || request.id}
+                            {request.version > 1 && (
+                              <span className="ml-2 px-1.5 py-0.5 text-xs font-medium rounded bg-purple-100 text-purple-700">
+                                v{request.version} · amended
+                              </span>
+                            )}
+                            {request.unreadMessages > 0 && (
+                              <span
+                                className="ml-2 inline-flex items-center px-1.5 py-0.5 text-xs font-medium rounded bg-blue-100 text-blue-700"
+                                title="Unread customer messages"
+                              >
+                                <ChatBubbleLeftRightIcon className="w-3.5 h-3.5 mr-1" />
+                                {request.unreadMessages}
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {request.items?.length || 0} item
+                            {(request.items?.length || 0) !== 1 ? "s" : ""}
+                          </div>
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">
-                          {request.requestNumber || request.id}
+                          {request.customerName}
+                          {(request.isGuest ||
+                            (request.userId &&
+                              typeof request.userId === "string" &&
+                              request.userId.startsWith("guest_"))) && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                              Guest
+                            </span>
+                          )}
                         </div>
                         <div className="text-sm text-gray-500">
-                          {request.items?.length || 0} item
-                          {(request.items?.length || 0) !== 1 ? "s" : ""}
+                          {request.customerEmail}
                         </div>
-                      </button>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="text-sm font-medium text-gray-900">
-                        {request.customerName}
-                        {(request.isGuest ||
-                          (request.userId &&
-                            typeof request.userId === "string" &&
-                            request.userId.startsWith("guest_"))) && (
-                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
-                            Guest
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-sm text-gray-900 max-w-xs">
+                          {(request.items || []).map((item, index) => (
+                            <div key={index} className="mb-1">
+                              {item.quantity}x {item.name}
+                              {formatVariantOptions(item.selectedOptions) && (
+                                <span className="text-gray-500">
+                                  {" "}({formatVariantOptions(item.selectedOptions)})
+                                </span>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatCurrency(getPayableTotal(request))}
+                        {getQuoteRevision(request) && (
+                          <span className="ml-2 px-1.5 py-0.5 text-xs font-medium rounded bg-indigo-100 text-indigo-700">
+                            {formatRevisionLabel(getQuoteRevision(request).revision)}
                           </span>
                         )}
-                      </div>
-                      <div className="text-sm text-gray-500">
-                        {request.customerEmail}
-                      </div>
-                    </td>
-                    <td className="px-6 py-4">
-                      <div className="text-sm text-gray-900 max-w-xs">
-                        {(request.items || []).map((item, index) => (
-                          <div key={index} className="mb-1">
-                            {item.quantity}x {item.name}
+                        {getPaymentSummary(request) && (
+                          <div
+                            className={`text-xs font-normal ${
+                              getPaymentSummary(request).status === "paid" ? "text-green-600" : "text-blue-600"
+                            }`}
+                          >
+                            {PAYMENT_STATUS_LABELS[getPaymentSummary(request).status]}
+                            {getPaymentSummary(request).balance > 0 &&
+                              ` · ${formatCurrency(getPaymentSummary(request).balance)} due`}
                           </div>
-                        ))}
+                        )}
+                        {request.shipping?.incoterm && (
+                          <div className="text-xs font-normal text-gray-500">
+                            {formatShippingTerms({ incoterm: request.shipping.incoterm })}
+                            {getFreightEstimate(request) > 0 &&
+                              ` + ${formatCurrency(getFreightEstimate(request))} freight`}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span
+                          className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(
+                            request.status
+                          )}`}
+                        >
+                          {request.status.charAt(0).toUpperCase() +
+                            request.status.slice(1)}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatDate(request.createdAt)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => openViewModal(request)}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="View Request"
+                          >
+                            <EyeIcon className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDownloadPdf(request)}
+                            disabled={
+                              downloadingPdf ===
+                              (request.requestNumber || request.id)
+                            }
+                            className="text-purple-600 hover:text-purple-900 disabled:opacity-50"
+                            title="Download PDF Invoice"
+                          >
+                            {downloadingPdf ===
+                            (request.requestNumber || request.id) ? (
+                              <div className="animate-spin w-4 h-4 border-2 border-purple-600 border-t-transparent rounded-full"></div>
+                            ) : (
+                              <ArrowDownTrayIcon className="w-4 h-4" />
+                            )}
+                          </button>
+                          {request.status === "pending" && (
+                            <>
+                              <button
+                                onClick={() =>
+                                  handleStatusUpdate(request, "approved")
+                                }
+                                disabled={submitting}
+                                className="text-green-600 hover:text-green-900 disabled:opacity-50"
+                                title="Approve Invoice"
+                              >
+                                <CheckIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() =>
+                                  handleStatusUpdate(request, "rejected")
+                                }
+                                disabled={submitting}
+                                className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                                title="Reject Invoice"
+                              >
+                                <XMarkIcon className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              
+              {/* Pagination Controls */}
+              {totalPages > 1 && (
+                <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+                  <div className="flex-1 flex justify-between sm:hidden">
+                    <button
+                      onClick={() => handlePageChange(currentPage - 1)}
+                      disabled={currentPage === 1}
+                      className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => handlePageChange(currentPage + 1)}
+                      disabled={currentPage === totalPages}
+                      className="ml-3 relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                  <div className="hidden sm:flex-1 sm:flex sm:items-center sm:justify-between">
+                    <div className="flex items-center space-x-4">
+                      <div className="flex items-center space-x-2">
+                        <label className="text-sm text-gray-700">Show:</label>
+                        <select
+                          value={itemsPerPage}
+                          onChange={(e) => handleItemsPerPageChange(Number(e.target.value))}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        >
+                          {REQUEST_PAGE_SIZES.map((size) => (
+                            <option key={size} value={size}>
+                              {size}
+                            </option>
+                          ))}
+                        </select>
+                        <span className="text-sm text-gray-700">per page</span>
                       </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {formatCurrency(request.totalAmount)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span
-                        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusBadgeColor(
-                          request.status
-                        )}`}
-                      >
-                        {request.status.charAt(0).toUpperCase() +
-                          request.status.slice(1)}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {formatDate(request.createdAt)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-2">
+                      <div className="text-sm text-gray-700">
+                        Showing <span className="font-medium">{startIndex + 1}</span> to{' '}
+                        <span className="font-medium">{endIndex}</span> of{' '}
+                        <span className="font-medium">{totalItems}</span> results
+                      </div>
+                    </div>
+                    <div>
+                      <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
                         <button
-                          onClick={() => openViewModal(request)}
-                          className="text-blue-600 hover:text-blue-900"
-                          title="View Request"
+                          onClick={() => handlePageChange(currentPage - 1)}
+                          disabled={currentPage === 1}
+                          className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                         >
-                          <EyeIcon className="w-4 h-4" />
+                          <span className="sr-only">Previous</span>
+                          <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                            <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
+                          </svg>
                         </button>
-                        <button
-                          onClick={() => handleDownloadPdf(request)}
-                          disabled={
-                            downloadingPdf ===
-                            (request.requestNumber || request.id)
+                        
+                        {/* Page Numbers */}
+                        {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => {
+                          // Show current page, first page, last page, and pages around current
+                          if (
+                            page === 1 ||
+                            page === totalPages ||
+                            (page >= currentPage - 2 && page <= currentPage + 2)
+                          ) {
+                            return (
+                              <button
+                                key={page}
+                                onClick={() => handlePageChange(page)}
+                                className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
+                                  page === currentPage
+                                    ? 'z-10 bg-blue-50 border-blue-500 text-blue-600'
+                                    : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
+                                }`}
+                              >
+                                {page}
+                              </button>
+                            );
+                          } else if (
+                            page === currentPage - 3 ||
+                            page === currentPage + 3
+                          ) {
+                            return (
+                              <span
+                                key={page}
+                                className="relative inline-flex items-center px-4 py-2 border border-gray-300 bg-white text-sm font-medium text-gray-700"
+                              >
+                                ...
+                              </span>
+                            );
                           }
-                          className="text-purple-600 hover:text-purple-900 disabled:opacity-50"
-                          title="Download PDF Invoice"
+                          return null;
+                        })}
+                        
+                        <button
+                          onClick={() => handlePageChange(currentPage + 1)}
+                          disabled={currentPage === totalPages}
+                          className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                         >
-                          {downloadingPdf ===
-                          (request.requestNumber || request.id) ? (
-                            <div className="animate-spin w-4 h-4 border-2 border-purple-600 border-t-transparent rounded-full"></div>
-                          ) : (
-                            <ArrowDownTrayIcon className="w-4 h-4" />
-                          )}
+                          <span className="sr-only">Next</span>
+                          <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                            <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
+                          </svg>
                         </button>
-                        {request.status === "pending" && (
-                          <>
-                            <button
-                              onClick={() =>
-                                handleStatusUpdate(request.id, "approved")
-                              }
-                              disabled={submitting}
-                              className="text-green-600 hover:text-green-900 disabled:opacity-50"
-                              title="Approve Invoice"
-                            >
-                              <CheckIcon className="w-4 h-4" />
-                            </button>
-                            <button
-                              onClick={() =>
-                                handleStatusUpdate(request.id, "rejected")
-                              }
-                              disabled={submitting}
-                              className="text-red-600 hover:text-red-900 disabled:opacity-50"
-                              title="Reject Invoice"
-                            >
-                              <XMarkIcon className="w-4 h-4" />
-                            </button>
-                          </>
-                        )}
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-            
-            {/* Pagination Controls */}
-            {totalPages > 1 && (
-              <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
-                <div className="flex-1 flex justify-between sm:hidden">
-                  <button
-                    onClick={() => handlePageChange(currentPage - 1)}
-                    disabled={currentPage === 1}
-                    className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    Previous
-                  </button>
-                  <button
-                    onClick={() => handlePageChange(currentPage + 1)}
-                    disabled={currentPage === totalPages}
-                    className="ml-3 relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    Next
-                  </button>
-                </div>
-                <div className="hidden sm:flex-1 sm:flex sm:items-center sm:justify-between">
-                  <div className="flex items-center space-x-4">
-                    <div className="flex items-center space-x-2">
-                      <label className="text-sm text-gray-700">Show:</label>
-                      <select
-                        value={itemsPerPage}
-                        onChange={(e) => handleItemsPerPageChange(Number(e.target.value))}
-                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
-                      >
-                        <option value={5}>5</option>
-                        <option value={10}>10</option>
-                        <option value={20}>20</option>
-                        <option value={50}>50</option>
-                      </select>
-                      <span className="text-sm text-gray-700">per page</span>
-                    </div>
-                    <div className="text-sm text-gray-700">
-                      Showing <span className="font-medium">{startIndex + 1}</span> to{' '}
-                      <span className="font-medium">{Math.min(endIndex, totalItems)}</span> of{' '}
-                      <span className="font-medium">{totalItems}</span> results
+                      </nav>
                     </div>
                   </div>
-                  <div>
-                    <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px" aria-label="Pagination">
-                      <button
-                        onClick={() => handlePageChange(currentPage - 1)}
-                        disabled={currentPage === 1}
-                        className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        <span className="sr-only">Previous</span>
-                        <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                          <path fillRule="evenodd" d="M12.707 5.293a1 1 0 010 1.414L9.414 10l3.293 3.293a1 1 0 01-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clipRule="evenodd" />
-                        </svg>
-                      </button>
-                      
-                      {/* Page Numbers */}
-                      {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => {
-                        // Show current page, first page, last page, and pages around current
-                        if (
-                          page === 1 ||
-                          page === totalPages ||
-                          (page >= currentPage - 2 && page <= currentPage + 2)
-                        ) {
-                          return (
-                            <button
-                              key={page}
-                              onClick={() => handlePageChange(page)}
-                              className={`relative inline-flex items-center px-4 py-2 border text-sm font-medium ${
-                                page === currentPage
-                                  ? 'z-10 bg-blue-50 border-blue-500 text-blue-600'
-                                  : 'bg-white border-gray-300 text-gray-500 hover:bg-gray-50'
-                              }`}
-                            >
-                              {page}
-                            </button>
-                          );
-                        } else if (
-                          page === currentPage - 3 ||
-                          page === currentPage + 3
-                        ) {
-                          return (
-                            <span
-                              key={page}
-                              className="relative inline-flex items-center px-4 py-2 border border-gray-300 bg-white text-sm font-medium text-gray-700"
-                            >
-                              ...
-                            </span>
-                          );
-                        }
-                        return null;
-                      })}
-                      
-                      <button
-                        onClick={() => handlePageChange(currentPage + 1)}
-                        disabled={currentPage === totalPages}
-                        className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        <span className="sr-only">Next</span>
-                        <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                          <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
-                        </svg>
-                      </button>
-                    </nav>
-                  </div>
                 </div>
-              </div>
-            )}
-          </div>
-        )}
-      </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* View Request Modal */}
       {showViewModal && selectedRequest && (
@@ -625,6 +818,11 @@ const Requests = () => {
                   <p className="mt-1 text-sm text-gray-900 font-medium">
                     {selectedRequest.requestNumber || selectedRequest.id}
                   </p>
+                  {selectedRequest.version > 1 && (
+                    <p className="text-xs text-purple-700">
+                      Version {selectedRequest.version}, amended by the customer
+                    </p>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700">
@@ -702,6 +900,11 @@ const Requests = () => {
                         <tr key={index} className="border-b border-gray-200">
                           <td className="py-2 text-sm text-gray-900">
                             {item.name}
+                            {formatVariantOptions(item.selectedOptions) && (
+                              <div className="text-xs text-gray-500">
+                                {formatVariantOptions(item.selectedOptions)}
+                              </div>
+                            )}
                           </td>
                           <td className="py-2 text-sm text-gray-900">
                             {item.quantity}
@@ -721,17 +924,226 @@ const Requests = () => {
                           colSpan="3"
                           className="py-2 text-sm font-medium text-gray-900 text-right"
                         >
-                          Total:
+                          {hasTaxesOnTop(selectedRequest) ? "Total before taxes:" : "Total:"}
                         </td>
                         <td className="py-2 text-sm font-bold text-gray-900">
                           {formatCurrency(selectedRequest.totalAmount)}
                         </td>
                       </tr>
+                      {getQuoteRevision(selectedRequest) && (
+                        <tr>
+                          <td colSpan="3" className="py-2 text-sm text-gray-700 text-right">
+                            Quoted in {formatRevisionLabel(getQuoteRevision(selectedRequest).revision)}
+                            {hasTaxesOnTop(selectedRequest) && " (before taxes)"}:
+                          </td>
+                          <td className="py-2 text-sm font-bold text-indigo-700">
+                            {formatCurrency(getQuotedTotal(selectedRequest))}
+                          </td>
+                        </tr>
+                      )}
+                      {getRequestTaxes(selectedRequest) && (
+                        <>
+                          {getRequestTaxes(selectedRequest).lines.map((line) => (
+                            <tr key={line.id}>
+                              <td colSpan="3" className="py-1 text-sm text-gray-600 text-right">
+                                {formatTaxLabel(line)}:
+                              </td>
+                              <td className="py-1 text-sm text-gray-900">
+                                {formatCurrency(line.amount)}
+                              </td>
+                            </tr>
+                          ))}
+                          {getRequestTaxes(selectedRequest).exemptAmount > 0 && (
+                            <tr>
+                              <td colSpan="3" className="py-1 text-sm text-gray-600 text-right">
+                                Exempt from VAT and levies:
+                              </td>
+                              <td className="py-1 text-sm text-gray-900">
+                                {formatCurrency(getRequestTaxes(selectedRequest).exemptAmount)}
+                              </td>
+                            </tr>
+                          )}
+                          <tr>
+                            <td colSpan="3" className="py-2 text-sm font-medium text-gray-900 text-right">
+                              {getRequestTaxes(selectedRequest).pricesIncludeTax
+                                ? "Payable (taxes included):"
+                                : "Payable incl. taxes:"}
+                            </td>
+                            <td className="py-2 text-sm font-bold text-gray-900">
+                              {formatCurrency(getPayableTotal(selectedRequest))}
+                            </td>
+                          </tr>
+                        </>
+                      )}
+                      {getFreightEstimate(selectedRequest) > 0 && (
+                        <tr>
+                          <td
+                            colSpan="3"
+                            className="py-2 text-sm text-gray-700 text-right"
+                          >
+                            Freight estimate
+                            {Number(selectedRequest.shipping.insuranceEstimate) > 0 && " (incl. insurance)"}:
+                          </td>
+                          <td className="py-2 text-sm text-gray-900">
+                            {formatCurrency(getFreightEstimate(selectedRequest))}
+                          </td>
+                        </tr>
+                      )}
+                      {getQuoteCurrency(selectedRequest) && (
+                        <tr>
+                          <td colSpan="4" className="pb-2 text-xs text-gray-500 text-right">
+                            Quoted to the buyer as{" "}
+                            {formatFromBase(getPayableTotal(selectedRequest), selectedRequest.currency.code, {
+                              [selectedRequest.currency.code]: selectedRequest.currency.rate,
+                            })}{" "}
+                            ({formatExchangeRate(selectedRequest.currency.code, selectedRequest.currency.rate)})
+                          </td>
+                        </tr>
+                      )}
                     </tfoot>
                   </table>
                 </div>
               </div>
 
+              {/* Quote Revisions */}
+              <div>
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-lg font-medium text-gray-900">Quote Revisions</h3>
+                  {getAllowedTransitions(selectedRequest.status).length > 0 && !selectedRequest.order && (
+                    <button
+                      onClick={() => setRevisingRequest(selectedRequest)}
+                      className="flex items-center px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50"
+                    >
+                      <PencilSquareIcon className="w-4 h-4 mr-1" />
+                      Revise Quote
+                    </button>
+                  )}
+                </div>
+                {getQuoteRevisions(selectedRequest).length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    Not revised. The customer sees the prices they requested.
+                  </p>
+                ) : (
+                  <ul className="bg-gray-50 rounded-lg divide-y divide-gray-200">
+                    {getQuoteRevisions(selectedRequest)
+                      .slice()
+                      .reverse()
+                      .map((revision) => (
+                        <li key={revision.revision} className="flex items-center justify-between px-4 py-2 text-sm">
+                          <div>
+                            <span className="font-medium text-gray-900">
+                              {formatRevisionLabel(revision.revision)}
+                            </span>
+                            <span className="text-gray-500">
+                              {" "}· {formatDateTime(revision.createdAt)}
+                              {revision.createdBy?.name && ` · ${revision.createdBy.name}`}
+                            </span>
+                            {revision.discountTotal > 0 && (
+                              <span className="text-green-700">
+                                {" "}· {formatCurrency(revision.discountTotal)} discount
+                              </span>
+                            )}
+                            {(revision.charges || []).length > 0 && (
+                              <span className="text-gray-500">
+                                {" "}· {revision.charges.map((charge) => charge.label).join(", ")}
+                              </span>
+                            )}
+                            {revision.note && <div className="text-gray-600">{revision.note}</div>}
+                          </div>
+                          <div className="flex items-center ml-4">
+                            <span className="font-medium text-gray-900 mr-3">
+                              {formatCurrency(revision.total)}
+                            </span>
+                            <button
+                              onClick={() => handleDownloadRevision(selectedRequest, revision.revision)}
+                              disabled={downloadingRevision === revision.revision}
+                              className="text-purple-600 hover:text-purple-900 disabled:opacity-50"
+                              title={`Download ${formatRevisionLabel(revision.revision)} PDF`}
+                            >
+                              <ArrowDownTrayIcon className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                  </ul>
+                )}
+              </div>
+
+              {/* Order & Payments */}
+              <OrderPanel request={selectedRequest} onUpdated={handleRequestUpdated} />
+
+              {/* Shipping */}
+              {selectedRequest.shipping?.incoterm && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Shipping
+                  </label>
+                  <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-900 space-y-1">
+                    <p>{formatShippingTerms(selectedRequest.shipping)}</p>
+                    {selectedRequest.shipping.weightKg > 0 && (
+                      <p className="text-gray-600">
+                        Estimated weight: {Number(selectedRequest.shipping.weightKg).toLocaleString("en-GH", { maximumFractionDigits: 1 })} kg
+                        {selectedRequest.shipping.unweighedItems > 0 &&
+                          ` (${selectedRequest.shipping.unweighedItems} item(s) without a listed weight)`}
+                      </p>
+                    )}
+                    {selectedRequest.shipping.incoterm !== "EXW" && !getFreightEstimate(selectedRequest) && (
+                      <p className="text-gray-600">No freight estimate; quote freight manually.</p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Attachments */}
+              {selectedRequest.attachments?.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Attachments
+                  </label>
+                  <ul className="bg-gray-50 rounded-lg divide-y divide-gray-200">
+                    {selectedRequest.attachments.map((attachment) => (
+                      <li
+                        key={attachment.id}
+                        className="flex items-center justify-between px-4 py-2 text-sm"
+                      >
+                        <span className="flex items-center min-w-0 text-gray-900">
+                          <PaperClipIcon className="w-4 h-4 mr-2 flex-shrink-0 text-gray-500" />
+                          <span className="truncate">{attachment.name}</span>
+                          <span className="ml-2 text-gray-500 flex-shrink-0">
+                            {formatFileSize(attachment.size)}
+                          </span>
+                        </span>
+                        <button
+                          onClick={() => handleDownloadAttachment(selectedRequest, attachment)}
+                          disabled={downloadingAttachment === attachment.id}
+                          className="flex items-center text-blue-600 hover:text-blue-900 disabled:opacity-50 ml-2"
+                          title="Download attachment"
+                        >
+                          <ArrowDownTrayIcon className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Messages */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Messages
+                </label>
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <RequestMessageThread
+                    requestNumber={selectedRequest.request_number || selectedRequest.requestNumber}
+                    onRead={handleMessagesRead}
+                    onDownloadAttachment={(attachment) =>
+                      handleDownloadAttachment(selectedRequest, attachment)
+                    }
+                    downloadingAttachment={downloadingAttachment}
+                  />
+                </div>
+              </div>
+
               {/* Notes */}
               {selectedRequest.notes && (
                 <div>
@@ -746,6 +1158,41 @@ const Requests = () => {
                 </div>
               )}
 
+              {/* Status History */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Status History
+                </label>
+                <ol className="bg-gray-50 rounded-lg p-4 space-y-3">
+                  {getStatusHistory(selectedRequest).map((entry, index) => (
+                    <li key={`${entry.to}-${entry.changedAt || index}`} className="flex items-start">
+                      <span
+                        className={`mt-0.5 mr-3 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${getStatusBadgeColor(
+                          entry.to
+                        )}`}
+                      >
+                        {entry.from ? getStatusLabel(entry.to) : "Submitted"}
+                      </span>
+                      <div className="text-sm">
+                        <p className="text-gray-900">
+                          {entry.from
+                            ? `${getStatusLabel(entry.from)} → ${getStatusLabel(entry.to)}`
+                            : "Request submitted"}
+                          {entry.actor?.name && (
+                            <span className="text-gray-500">
+                              {" "}by {entry.actor.name}
+                              {entry.actor.role === "staff" && " (staff)"}
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">{formatDateTime(entry.changedAt)}</p>
+                        {entry.comment && <p className="text-gray-700 mt-1">{entry.comment}</p>}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+
               {/* Email Notification Status */}
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
                 <div className="flex items-center">
@@ -773,51 +1220,80 @@ const Requests = () => {
               </div>
 
               {/* Status Actions */}
-              {selectedRequest.status === "pending" && (
-                <div className="flex space-x-3 pt-4 border-t border-gray-200">
+              {getAllowedTransitions(selectedRequest.status).length > 0 ? (
+                <div className="pt-4 border-t border-gray-200 space-y-3">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Move to
+                      </label>
+                      <select
+                        value={statusChange.status}
+                        onChange={(e) => setStatusChange((prev) => ({ ...prev, status: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {getAllowedTransitions(selectedRequest.status).map((status) => (
+                          <option key={status} value={status}>
+                            {getStatusLabel(status)}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Comment (optional, shown to the customer)
+                      </label>
+                      <input
+                        type="text"
+                        value={statusChange.comment}
+                        onChange={(e) => setStatusChange((prev) => ({ ...prev, comment: e.target.value }))}
+                        placeholder="e.g. Waiting on stock from the farm"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  </div>
                   <button
                     onClick={() => {
-                      handleStatusUpdate(selectedRequest.id, "approved");
+                      handleStatusUpdate(selectedRequest, statusChange.status, statusChange.comment);
                       setShowViewModal(false);
                     }}
-                    disabled={submitting}
-                    className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center space-x-2"
+                    disabled={submitting || !statusChange.status}
+                    className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center space-x-2"
                   >
                     <CheckIcon className="w-4 h-4" />
-                    <span>Approve Invoice</span>
-                  </button>
-                  <button
-                    onClick={() => {
-                      handleStatusUpdate(selectedRequest.id, "rejected");
-                      setShowViewModal(false);
-                    }}
-                    disabled={submitting}
-                    className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center space-x-2"
-                  >
-                    <XMarkIcon className="w-4 h-4" />
-                    <span>Reject Invoice</span>
+                    <span>Update Status</span>
                   </button>
                 </div>
+              ) : (
+                <p className="pt-4 border-t border-gray-200 text-sm text-gray-500">
+                  This request is {getStatusLabel(selectedRequest.status).toLowerCase()} and its status can no longer change.
+                </p>
               )}
             </div>
             <div className="flex justify-between pt-4">
-              <button
-                onClick={() => handleDownloadPdf(selectedRequest)}
-                disabled={downloadingPdf === selectedRequest.requestNumber}
-                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 flex items-center space-x-2"
-              >
-                {downloadingPdf === selectedRequest.requestNumber ? (
-                  <>
-                    <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
-                    <span>Generating PDF...</span>
-                  </>
-                ) : (
-                  <>
-                    <ArrowDownTrayIcon className="w-4 h-4" />
-                    <span>Download PDF</span>
-                  </>
-                )}
-              </button>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleDownloadPdf(selectedRequest)}
+                  disabled={downloadingPdf === selectedRequest.requestNumber}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 flex items-center space-x-2"
+                >
+                  {downloadingPdf === selectedRequest.requestNumber ? (
+                    <>
+                      <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
+                      <span>Generating PDF...</span>
+                    </>
+                  ) : (
+                    <>
+                      <ArrowDownTrayIcon className="w-4 h-4" />
+                      <span>Download PDF</span>
+                    </>
+                  )}
+                </button>
+                <InvoiceExportButtons
+                  variant="admin"
+                  getInvoiceData={() => buildInvoiceDataFromRequest(selectedRequest)}
+                />
+              </div>
               <button
                 onClick={() => setShowViewModal(false)}
                 className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
@@ -828,6 +1304,14 @@ const Requests = () => {
           </div>
         </div>
       )}
+
+      {revisingRequest && (
+        <QuoteRevisionEditor
+          request={revisingRequest}
+          onClose={() => setRevisingRequest(null)}
+          onSaved={handleRequestUpdated}
+        />
+      )}
     </div>
   );
 };
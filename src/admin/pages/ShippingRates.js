@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { TruckIcon, PlusIcon, TrashIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { shippingService } from '../../services/shippingService';
+import { formatDateTimeFull } from '../../utils/dateUtils';
+
+const EMPTY_TABLE = { minimumCharge: '', brackets: [{ upToKg: '', ratePerKg: '' }] };
+
+// Numbers are edited as strings and converted on save
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const cleanTable = (table) => ({
+  minimumCharge: toNumberOrNull(table.minimumCharge) || 0,
+  brackets: table.brackets
+    .filter(bracket => bracket.ratePerKg !== '')
+    .map(bracket => ({ upToKg: toNumberOrNull(bracket.upToKg), ratePerKg: Number(bracket.ratePerKg) }))
+});
+
+const ShippingRates = () => {
+  const [fob, setFob] = useState(EMPTY_TABLE);
+  const [zones, setZones] = useState([]);
+  const [cifInsurancePercent, setCifInsurancePercent] = useState('');
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchRates = async () => {
+      try {
+        const response = await shippingService.getRates();
+        const rates = response.data?.data || {};
+        setFob(rates.fob?.brackets?.length ? rates.fob : EMPTY_TABLE);
+        setZones(rates.zones || []);
+        setCifInsurancePercent(rates.cifInsurancePercent ?? '');
+        setUpdatedAt(rates.updatedAt || null);
+      } catch (fetchError) {
+        console.error('Error fetching shipping rates:', fetchError);
+        setError('Failed to load shipping rates');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRates();
+  }, []);
+
+  const updateZone = (zoneId, changes) => {
+    setZones(prev => prev.map(zone => (zone.id === zoneId ? { ...zone, ...changes } : zone)));
+  };
+
+  const addZone = () => {
+    setZones(prev => [...prev, { id: `zone_${Date.now()}`, name: '', ...EMPTY_TABLE }]);
+  };
+
+  const removeZone = (zone) => {
+    if (!window.confirm(`Remove the zone "${zone.name || 'Untitled'}"?`)) return;
+    setZones(prev => prev.filter(existing => existing.id !== zone.id));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    if (zones.some(zone => !zone.name.trim())) {
+      setError('Every zone needs a name.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await shippingService.updateRates({
+        fob: cleanTable(fob),
+        zones: zones.map(zone => ({ id: zone.id, name: zone.name.trim(), ...cleanTable(zone) })),
+        cifInsurancePercent: toNumberOrNull(cifInsurancePercent) || 0
+      });
+      setUpdatedAt(response.data?.data?.updatedAt || new Date().toISOString());
+      setMessage('Shipping rates updated');
+    } catch (saveError) {
+      console.error('Error updating shipping rates:', saveError);
+      setError(saveError.response?.data?.message || 'Failed to update shipping rates');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Minimum charge and weight brackets for one table; onChange receives the whole updated table
+  const renderRateTable = (table, onChange) => (
+    <div className="space-y-3">
+      <div className="w-full md:w-1/3">
+        <label className="block text-xs text-gray-600">Minimum charge (GH₵)</label>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={table.minimumCharge ?? ''}
+          onChange={(e) => onChange({ ...table, minimumCharge: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+      {table.brackets.map((bracket, index) => (
+        <div key={index} className="grid grid-cols-5 gap-3 items-end">
+          <div className="col-span-2">
+            <label className="block text-xs text-gray-600">Up to (kg, empty for any weight)</label>
+            <input
+              type="number"
+              min="0"
+              value={bracket.upToKg ?? ''}
+              onChange={(e) => onChange({
+                ...table,
+                brackets: table.brackets.map((existing, i) => (i === index ? { ...existing, upToKg: e.target.value } : existing))
+              })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-gray-600">Rate (GH₵ per kg)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={bracket.ratePerKg ?? ''}
+              onChange={(e) => onChange({
+                ...table,
+                brackets: table.brackets.map((existing, i) => (i === index ? { ...existing, ratePerKg: e.target.value } : existing))
+              })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange({ ...table, brackets: table.brackets.filter((_, i) => i !== index) })}
+            disabled={table.brackets.length === 1}
+            className="p-2 text-red-600 hover:text-red-800 disabled:opacity-30 justify-self-start"
+            title="Remove bracket"
+          >
+            <TrashIcon className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange({ ...table, brackets: [...table.brackets, { upToKg: '', ratePerKg: '' }] })}
+        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <PlusIcon className="w-4 h-4 mr-1" />
+        Add weight bracket
+      </button>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Shipping Rates</h1>
+        <p className="text-gray-600 mt-2">
+          Freight estimates on the request form are worked out from these tables using the weight of the order.
+          {updatedAt && ` Last updated ${formatDateTimeFull(updatedAt)}.`}
+        </p>
+      </div>
+
+      {message && (
+        <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <CheckIcon className="w-5 h-5 text-green-600 mr-2" />
+            <p className="text-green-800">{message}</p>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <XMarkIcon className="w-5 h-5 text-red-600 mr-2" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex items-center mb-4">
+            <TruckIcon className="w-8 h-8 text-blue-600 mr-3" />
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">FOB Tema</h2>
+              <p className="text-sm text-gray-600">Haulage and loading from our warehouse to Tema port</p>
+            </div>
+          </div>
+          {renderRateTable(fob, setFob)}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">CIF Zones</h2>
+              <p className="text-sm text-gray-600">Sea freight to each destination zone. Buyers pick a zone for CIF requests.</p>
+            </div>
+            <button
+              type="button"
+              onClick={addZone}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <PlusIcon className="w-4 h-4 mr-1" />
+              Add Zone
+            </button>
+          </div>
+
+          <div className="mb-6 w-full md:w-1/3">
+            <label className="block text-xs text-gray-600">CIF insurance (% of goods value)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={cifInsurancePercent}
+              onChange={(e) => setCifInsurancePercent(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          {zones.length === 0 ? (
+            <p className="text-sm text-gray-500">No zones yet. CIF requests will be quoted manually.</p>
+          ) : (
+            <div className="space-y-6">
+              {zones.map(zone => (
+                <div key={zone.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-end gap-3 mb-3">
+                    <div className="flex-1">
+                      <label className="block text-xs text-gray-600">Zone name</label>
+                      <input
+                        type="text"
+                        value={zone.name}
+                        onChange={(e) => updateZone(zone.id, { name: e.target.value })}
+                        placeholder="e.g. Europe, West Africa"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeZone(zone)}
+                      className="p-2 text-red-600 hover:text-red-800"
+                      title="Remove zone"
+                    >
+                      <TrashIcon className="w-5 h-5" />
+                    </button>
+                  </div>
+                  {renderRateTable(zone, (table) => updateZone(zone.id, table))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Rates'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ShippingRates;
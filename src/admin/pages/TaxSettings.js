@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { ReceiptPercentIcon, PlusIcon, TrashIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { taxService } from '../../services/taxService';
+import { DEFAULT_TAX_CONFIG, calculateTaxes, formatTaxLabel } from '../../utils/taxUtils';
+import { BASE_CURRENCY, formatMoney } from '../../utils/currencyUtils';
+import { formatDateTimeFull } from '../../utils/dateUtils';
+
+// Worked example shown under the form so admins can check the rules before saving
+const EXAMPLE_AMOUNT = 1000;
+
+const TaxSettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_TAX_CONFIG);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await taxService.getSettings();
+        const saved = response.data?.data;
+        if (saved?.rules) {
+          setSettings({ enabled: !!saved.enabled, pricesIncludeTax: !!saved.pricesIncludeTax, rules: saved.rules });
+          setUpdatedAt(saved.updatedAt || null);
+        }
+      } catch (fetchError) {
+        console.error('Error fetching tax settings:', fetchError);
+        setError('Failed to load tax settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  const updateRule = (ruleId, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      rules: prev.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const addRule = () => {
+    setSettings(prev => ({
+      ...prev,
+      rules: [...prev.rules, { id: `tax_${Date.now()}`, label: '', rate: '', compound: false }]
+    }));
+  };
+
+  const removeRule = (rule) => {
+    if (!window.confirm(`Remove "${rule.label || 'Untitled'}"?`)) return;
+    setSettings(prev => ({ ...prev, rules: prev.rules.filter(existing => existing.id !== rule.id) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    if (settings.rules.some(rule => !rule.label.trim() || !(Number(rule.rate) >= 0) || rule.rate === '')) {
+      setError('Every tax needs a name and a rate of 0% or more.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await taxService.updateSettings({
+        enabled: settings.enabled,
+        pricesIncludeTax: settings.pricesIncludeTax,
+        rules: settings.rules.map(rule => ({
+          id: rule.id,
+          label: rule.label.trim(),
+          rate: Number(rule.rate),
+          compound: !!rule.compound
+        }))
+      });
+      setUpdatedAt(response.data?.data?.updatedAt || new Date().toISOString());
+      setMessage('Tax settings updated. New requests are priced with them; existing proformas keep their rates.');
+    } catch (saveError) {
+      console.error('Error updating tax settings:', saveError);
+      setError(saveError.response?.data?.message || 'Failed to update tax settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const example = calculateTaxes(
+    [{ amount: EXAMPLE_AMOUNT, taxExempt: false }],
+    { ...settings, enabled: true }
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Tax Settings</h1>
+        <p className="text-gray-600 mt-2">
+          Statutory levies and VAT shown on proformas, the request form and the request view.
+          Products marked as exempt carry no tax.
+          {updatedAt && ` Last updated ${formatDateTimeFull(updatedAt)}.`}
+        </p>
+      </div>
+
+      {message && (
+        <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <CheckIcon className="w-5 h-5 text-green-600 mr-2" />
+            <p className="text-green-800">{message}</p>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center">
+            <XMarkIcon className="w-5 h-5 text-red-600 mr-2" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+          <div className="flex items-center mb-2">
+            <ReceiptPercentIcon className="w-8 h-8 text-blue-600 mr-3" />
+            <h2 className="text-xl font-semibold text-gray-900">Pricing</h2>
+          </div>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => setSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">Show taxes on proformas and request totals</span>
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={settings.pricesIncludeTax}
+              onChange={(e) => setSettings(prev => ({ ...prev, pricesIncludeTax: e.target.checked }))}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">
+              Product prices already include taxes (the breakdown is worked back out of the price)
+            </span>
+          </label>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Taxes</h2>
+              <p className="text-sm text-gray-600">
+                Levies are charged on the price. Taxes charged on the price plus levies, such as VAT, are marked as on top of levies.
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={addRule}
+              className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <PlusIcon className="w-4 h-4 mr-1" />
+              Add Tax
+            </button>
+          </div>
+
+          <div className="space-y-3">
+            {settings.rules.map(rule => (
+              <div key={rule.id} className="grid grid-cols-12 gap-3 items-end">
+                <div className="col-span-5">
+                  <label className="block text-xs text-gray-600">Name</label>
+                  <input
+                    type="text"
+                    value={rule.label}
+                    onChange={(e) => updateRule(rule.id, { label: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-xs text-gray-600">Rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={rule.rate}
+                    onChange={(e) => updateRule(rule.id, { rate: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <label className="col-span-4 flex items-center pb-2">
+                  <input
+                    type="checkbox"
+                    checked={!!rule.compound}
+                    onChange={(e) => updateRule(rule.id, { compound: e.target.checked })}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">On top of levies</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => removeRule(rule)}
+                  className="col-span-1 p-2 text-red-600 hover:text-red-800 justify-self-start"
+                  title="Remove tax"
+                >
+                  <TrashIcon className="w-5 h-5" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {example && (
+            <div className="mt-6 bg-gray-50 rounded-lg p-4 text-sm">
+              <p className="font-medium text-gray-700 mb-2">
+                Example: goods priced at {formatMoney(EXAMPLE_AMOUNT, BASE_CURRENCY)}
+              </p>
+              <div className="space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Taxable amount</span>
+                  <span>{formatMoney(example.taxableAmount, BASE_CURRENCY)}</span>
+                </div>
+                {example.lines.map(line => (
+                  <div key={line.id} className="flex justify-between">
+                    <span className="text-gray-600">{formatTaxLabel(line)}</span>
+                    <span>{formatMoney(line.amount, BASE_CURRENCY)}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between font-medium border-t border-gray-200 pt-1">
+                  <span>Customer pays</span>
+                  <span>{formatMoney(example.grossTotal, BASE_CURRENCY)}</span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TaxSettings;
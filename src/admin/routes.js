@@ -18,6 +18,9 @@ const AdminUsers = lazy(() => import('./pages/Users'));
 const AdminProfile = lazy(() => import('./pages/Profile'));
 const AdminActivities = lazy(() => import('./pages/Activities'));
 const AdminBrandFeaturedProducts = lazy(() => import('./pages/BrandFeaturedProducts'));
+const AdminCurrencyRates = lazy(() => import('./pages/CurrencyRates'));
+const AdminShippingRates = lazy(() => import('./pages/ShippingRates'));
+const AdminTaxSettings = lazy(() => import('./pages/TaxSettings'));
 
 // Loading component for admin pages
 const AdminPageLoading = () => (
@@ -162,6 +165,39 @@ const AdminRoutes = () => {
             } 
           />
           
+          <Route 
+            path="currency-rates" 
+            element={
+              <Suspense fallback={<AdminPageLoading />}>
+                <AdminPageWrapper>
+                  <AdminCurrencyRates />
+                </AdminPageWrapper>
+              </Suspense>
+            } 
+          />
+          
+          <Route 
+            path="shipping-rates" 
+            element={
+              <Suspense fallback={<AdminPageLoading />}>
+                <AdminPageWrapper>
+                  <AdminShippingRates />
+                </AdminPageWrapper>
+              </Suspense>
+            } 
+          />
+          
+          <Route 
+            path="tax-settings" 
+            element={
+              <Suspense fallback={<AdminPageLoading />}>
+                <AdminPageWrapper>
+                  <AdminTaxSettings />
+                </AdminPageWrapper>
+              </Suspense>
+            } 
+          />
+          
           <Route 
             path="users" 
             element={
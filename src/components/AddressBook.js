@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react';
+import { FiMapPin, FiPlus, FiEdit3, FiTrash2, FiSave, FiX } from 'react-icons/fi';
+import { addressService } from '../services/addressService';
+import {
+  GHANA_REGIONS,
+  EMPTY_ADDRESS,
+  normalizeDigitalAddress,
+  validateAddress,
+  formatAddress
+} from '../utils/addressUtils';
+
+const inputClassName = (hasError) =>
+  `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 ${
+    hasError ? 'border-red-300' : 'border-gray-300'
+  }`;
+
+// Saved billing and delivery addresses on the customer's profile
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // 'new' while adding
+  const [form, setForm] = useState(EMPTY_ADDRESS);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAddresses = async () => {
+    try {
+      setLoading(true);
+      const response = await addressService.getAddresses();
+      setAddresses(response.data?.data || []);
+    } catch (fetchError) {
+      console.error('Error fetching addresses:', fetchError);
+      setError('Failed to load your addresses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddresses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const startEditing = (address) => {
+    setEditingId(address ? address.id : 'new');
+    // The first address becomes the default for both until the customer says otherwise
+    setForm(address ? { ...EMPTY_ADDRESS, ...address } : {
+      ...EMPTY_ADDRESS,
+      isDefaultBilling: addresses.length === 0,
+      isDefaultDelivery: addresses.length === 0
+    });
+    setFormErrors({});
+    setError('');
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setFormErrors({});
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    if (formErrors[name]) {
+      setFormErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSave = async () => {
+    const address = { ...form, digitalAddress: normalizeDigitalAddress(form.digitalAddress) };
+    const errors = validateAddress(address);
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      if (editingId === 'new') {
+        await addressService.createAddress(address);
+      } else {
+        await addressService.updateAddress(editingId, address);
+      }
+      stopEditing();
+      // Reload so default flags moved off other addresses are reflected
+      await fetchAddresses();
+    } catch (saveError) {
+      console.error('Error saving address:', saveError);
+      setError(saveError.response?.data?.message || 'Failed to save address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (address, flag) => {
+    try {
+      setError('');
+      await addressService.updateAddress(address.id, { ...address, [flag]: true });
+      await fetchAddresses();
+    } catch (saveError) {
+      console.error('Error updating default address:', saveError);
+      setError(saveError.response?.data?.message || 'Failed to update default address');
+    }
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Delete the address "${address.label}"?`)) return;
+
+    try {
+      setError('');
+      await addressService.deleteAddress(address.id);
+      setAddresses(prev => prev.filter(existing => existing.id !== address.id));
+    } catch (deleteError) {
+      console.error('Error deleting address:', deleteError);
+      setError(deleteError.response?.data?.message || 'Failed to delete address');
+    }
+  };
+
+  const renderForm = () => (
+    <div className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Address Name *</label>
+          <input
+            type="text"
+            name="label"
+            value={form.label}
+            onChange={handleChange}
+            placeholder="e.g. Head office, Tema warehouse"
+            className={inputClassName(formErrors.label)}
+          />
+          {formErrors.label && <p className="mt-1 text-sm text-red-600">{formErrors.label}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Contact Name</label>
+          <input
+            type="text"
+            name="contactName"
+            value={form.contactName}
+            onChange={handleChange}
+            className={inputClassName(false)}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Street Address *</label>
+          <input
+            type="text"
+            name="street"
+            value={form.street}
+            onChange={handleChange}
+            className={inputClassName(formErrors.street)}
+          />
+          {formErrors.street && <p className="mt-1 text-sm text-red-600">{formErrors.street}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">City *</label>
+          <input
+            type="text"
+            name="city"
+            value={form.city}
+            onChange={handleChange}
+            className={inputClassName(formErrors.city)}
+          />
+          {formErrors.city && <p className="mt-1 text-sm text-red-600">{formErrors.city}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Region{form.country === 'Ghana' && ' *'}</label>
+          {form.country === 'Ghana' ? (
+            <select
+              name="region"
+              value={form.region}
+              onChange={handleChange}
+              className={inputClassName(formErrors.region)}
+            >
+              <option value="">Select region</option>
+              {GHANA_REGIONS.map(region => (
+                <option key={region} value={region}>{region}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              name="region"
+              value={form.region}
+              onChange={handleChange}
+              className={inputClassName(false)}
+            />
+          )}
+          {formErrors.region && <p className="mt-1 text-sm text-red-600">{formErrors.region}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Digital Address (GhanaPostGPS)</label>
+          <input
+            type="text"
+            name="digitalAddress"
+            value={form.digitalAddress}
+            onChange={handleChange}
+            placeholder="GA-123-4567"
+            className={inputClassName(formErrors.digitalAddress)}
+          />
+          {formErrors.digitalAddress && <p className="mt-1 text-sm text-red-600">{formErrors.digitalAddress}</p>}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+          <input
+            type="tel"
+            name="phone"
+            value={form.phone}
+            onChange={handleChange}
+            placeholder="+233204543372"
+            className={inputClassName(false)}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Postal Code</label>
+          <input
+            type="text"
+            name="postalCode"
+            value={form.postalCode}
+            onChange={handleChange}
+            className={inputClassName(false)}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Country</label>
+          <input
+            type="text"
+            name="country"
+            value={form.country}
+            onChange={handleChange}
+            className={inputClassName(false)}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 text-sm text-gray-700">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            name="isDefaultBilling"
+            checked={form.isDefaultBilling}
+            onChange={handleChange}
+            className="h-4 w-4 text-green-600 border-gray-300 rounded mr-2"
+          />
+          Default billing address
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            name="isDefaultDelivery"
+            checked={form.isDefaultDelivery}
+            onChange={handleChange}
+            className="h-4 w-4 text-green-600 border-gray-300 rounded mr-2"
+          />
+          Default delivery address
+        </label>
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          <FiSave className="w-4 h-4 mr-2" />
+          {saving ? 'Saving...' : 'Save Address'}
+        </button>
+        <button
+          onClick={stopEditing}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <FiX className="w-4 h-4 mr-2" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Address Book</h2>
+          <p className="text-sm text-gray-600">Choose from these addresses when you submit a request</p>
+        </div>
+        {!editingId && (
+          <button
+            onClick={() => startEditing(null)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <FiPlus className="w-4 h-4 mr-2" />
+            Add Address
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {editingId === 'new' && <div className="mb-4">{renderForm()}</div>}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+        </div>
+      ) : addresses.length === 0 && editingId !== 'new' ? (
+        <div className="text-center py-8">
+          <FiMapPin className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No saved addresses</h3>
+          <p className="text-gray-600">Add your billing and delivery addresses to fill in requests faster.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {addresses.map(address => (
+            editingId === address.id ? (
+              <div key={address.id}>{renderForm()}</div>
+            ) : (
+              <div key={address.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+                  <div>
+                    <div className="flex flex-wrap items-center gap-2 mb-1">
+                      <h3 className="text-sm font-semibold text-gray-900">{address.label}</h3>
+                      {address.isDefaultBilling && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default billing</span>
+                      )}
+                      {address.isDefaultDelivery && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Default delivery</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600">{formatAddress(address)}</p>
+                    {(address.contactName || address.phone) && (
+                      <p className="text-sm text-gray-500">
+                        {[address.contactName, address.phone].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => startEditing(address)}
+                      className="p-2 text-gray-500 hover:text-green-600 transition-colors"
+                      title="Edit address"
+                    >
+                      <FiEdit3 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(address)}
+                      className="p-2 text-gray-500 hover:text-red-600 transition-colors"
+                      title="Delete address"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                {(!address.isDefaultBilling || !address.isDefaultDelivery) && (
+                  <div className="flex flex-wrap gap-3 mt-3 text-xs">
+                    {!address.isDefaultBilling && (
+                      <button onClick={() => handleSetDefault(address, 'isDefaultBilling')} className="text-green-700 hover:underline">
+                        Use for billing by default
+                      </button>
+                    )}
+                    {!address.isDefaultDelivery && (
+                      <button onClick={() => handleSetDefault(address, 'isDefaultDelivery')} className="text-green-700 hover:underline">
+                        Use for delivery by default
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,384 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FiX, FiTrash2, FiPlus, FiCheckCircle, FiDownload, FiAlertCircle } from 'react-icons/fi';
+import { useProducts } from '../hooks/useProducts';
+import api from '../services/api';
+import { shippingService } from '../services/shippingService';
+import invoiceGenerator from '../utils/invoiceGenerator';
+import { getUnitPrice, getBulkTiers, priceLineItem, calculateTotals } from '../utils/pricingUtils';
+import { buildLineId, getDefaultOptions, formatVariantOptions } from '../utils/variantUtils';
+import { getQuantityRules, getQuantityError } from '../utils/orderQuantityUtils';
+import { hasTaxesOnTop } from '../utils/taxUtils';
+import { getLineWeightKg, getShipmentWeight, estimateFreight } from '../utils/shippingUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const ADDRESS_FIELDS = [
+  { name: 'street', label: 'Street Address' },
+  { name: 'city', label: 'City' },
+  { name: 'state', label: 'State/Region' },
+  { name: 'postalCode', label: 'Postal Code' },
+  { name: 'country', label: 'Country' }
+];
+
+const findProduct = (products, productId) =>
+  products.find(product => String(product._id) === String(productId) || String(product.id) === String(productId)) || null;
+
+// Re-price a line for its quantity, using the product's current bulk tiers when it is still in the catalogue.
+// Without tiers there is nothing to re-price against, so the submitted price is kept.
+const priceLine = (line) => {
+  const bulkTiers = line.product ? getBulkTiers(line.product) : line.bulkTiers || [];
+  if (bulkTiers.length > 0) return priceLineItem({ ...line, bulkTiers });
+
+  const price = line.price ?? line.unitPrice ?? 0;
+  const unitPrice = line.unitPrice ?? price;
+  return {
+    ...line,
+    unitPrice,
+    bulkTiers,
+    price,
+    tierMinQuantity: null,
+    savings: Math.max(0, (unitPrice - price) * line.quantity)
+  };
+};
+
+// Lets a customer change the items, quantities, notes and address of a request that is still pending
+const AmendRequestModal = ({ request, onClose, onAmended }) => {
+  const { products } = useProducts();
+  const requestNumber = request.request_number || request.requestNumber;
+  const version = request.version || 1;
+
+  const [lines, setLines] = useState(() => (request.items || []).map(item => {
+    const productId = item._id || item.productId;
+    return priceLine({
+      ...item,
+      _id: productId,
+      lineId: item.lineId || buildLineId(productId, item.selectedOptions),
+      selectedOptions: item.selectedOptions || {},
+      product: findProduct(products, productId)
+    });
+  }));
+
+  // Products may still be loading when the modal opens, e.g. on a deep link to My Requests;
+  // attach them once they arrive so tiers and quantity rules come from the catalogue
+  useEffect(() => {
+    setLines(prev => {
+      const needsProduct = prev.some(line => !line.product && findProduct(products, line._id));
+      if (!needsProduct) return prev;
+      return prev.map(line => {
+        if (line.product) return line;
+        const product = findProduct(products, line._id);
+        return product ? priceLine({ ...line, product }) : line;
+      });
+    });
+  }, [products]);
+
+  const [notes, setNotes] = useState(request.notes || '');
+  const [address, setAddress] = useState({
+    street: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'Ghana',
+    ...(request.customerData?.companyAddress || {})
+  });
+  const [productToAdd, setProductToAdd] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [amendedRequest, setAmendedRequest] = useState(null);
+
+  const { formatPrice } = useCurrency();
+
+  const getLineRules = (line) => getQuantityRules(line.product || line);
+  const { totalAmount, totalSavings } = calculateTotals(lines);
+  const hasQuantityErrors = lines.some(line => getQuantityError(getLineRules(line), line.quantity));
+
+  // Freight is priced by weight and CIF insurance on the goods value, so the estimate follows the lines.
+  // Without the rate tables it is left empty for staff to confirm.
+  const [shippingRates, setShippingRates] = useState(null);
+
+  useEffect(() => {
+    if (!request.shipping) return;
+    shippingService
+      .getRates()
+      .then(response => setShippingRates(response.data?.data || null))
+      .catch(error => {
+        console.error('Error loading shipping rates:', error);
+      });
+  }, [request.shipping]);
+
+  const shipment = getShipmentWeight(lines.map(line => ({
+    quantity: line.quantity,
+    weightKg: getLineWeightKg(line.selectedOptions, line.product)
+  })));
+  const freightEstimate = request.shipping
+    ? estimateFreight({ shipping: request.shipping, weightKg: shipment.weightKg, goodsValue: totalAmount, rates: shippingRates })
+    : null;
+
+  const handleQuantityChange = (lineId, value) => {
+    setLines(prev => prev.map(line =>
+      line.lineId === lineId ? priceLine({ ...line, quantity: Number(value) }) : line
+    ));
+  };
+
+  const handleRemoveLine = (lineId) => {
+    setLines(prev => prev.filter(line => line.lineId !== lineId));
+  };
+
+  const handleAddProduct = () => {
+    const product = findProduct(products, productToAdd);
+    if (!product) return;
+
+    const selectedOptions = getDefaultOptions(product);
+    const lineId = buildLineId(product._id, selectedOptions);
+    const rules = getQuantityRules(product);
+
+    setLines(prev => {
+      if (prev.some(line => line.lineId === lineId)) return prev;
+      return [...prev, priceLine({
+        lineId,
+        _id: product._id,
+        selectedOptions,
+        name: product.name,
+        unitPrice: getUnitPrice(product),
+        image: product.images?.[0] || product.image || '/images/placeholder-product.webp',
+        brandId: product.brandId,
+        brandName: product.brandName,
+        slug: product.slug,
+        quantity: rules.minOrderQuantity,
+        ...rules,
+        product
+      })];
+    });
+    setProductToAdd('');
+  };
+
+  const handleSave = async () => {
+    if (lines.length === 0) {
+      setError('A request needs at least one item. To cancel the request, please contact us.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    // The server rejects the change if the request moved on since this version was loaded
+    const payload = {
+      expectedVersion: version,
+      items: lines.map(({ product, bulkTiers, ...item }) => item),
+      totalAmount,
+      totalSavings,
+      notes,
+      customerData: { ...(request.customerData || {}), companyAddress: address },
+      ...(request.shipping && {
+        shipping: {
+          ...request.shipping,
+          weightKg: shipment.weightKg,
+          unweighedItems: shipment.unweighedCount,
+          freightEstimate: freightEstimate ? freightEstimate.freight : null,
+          insuranceEstimate: freightEstimate ? freightEstimate.insurance : null
+        }
+      })
+    };
+
+    try {
+      const response = await api.put(`/requests/${requestNumber}/amend`, payload, {
+        timeout: 60000 // the proforma PDF is regenerated before the response
+      });
+      const updated = response.data?.data || {
+        ...request,
+        ...payload,
+        version: version + 1
+      };
+      setAmendedRequest(updated);
+      onAmended(updated);
+    } catch (saveError) {
+      console.error('Error amending request:', saveError);
+      if (saveError.response?.status === 409) {
+        setError('This request has been reviewed or changed since you opened it. Refresh the page to see the latest version.');
+      } else {
+        setError(saveError.response?.data?.message || 'Failed to save your changes. Please try again.');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDownloadProforma = async () => {
+    try {
+      await invoiceGenerator.generateProformaInvoice(invoiceGenerator.buildInvoiceDataFromRequest(amendedRequest), false);
+    } catch (downloadError) {
+      console.error('Failed to download invoice PDF:', downloadError);
+      alert('Failed to download invoice PDF. Please try again.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Edit Request #{requestNumber}</h2>
+            <p className="text-sm text-gray-500">Version {version} · Changes are possible while the request is pending</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <FiX className="text-gray-600" />
+          </button>
+        </div>
+
+        {amendedRequest ? (
+          <div className="text-center py-8">
+            <FiCheckCircle className="text-5xl text-green-600 mx-auto mb-4" />
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">
+              Request updated to version {amendedRequest.version || version + 1}
+            </h3>
+            <p className="text-gray-600 mb-6">
+              We've been notified of your changes and your proforma invoice has been updated.
+            </p>
+            <div className="flex flex-col sm:flex-row justify-center gap-2">
+              <button
+                onClick={handleDownloadProforma}
+                className="btn btn-primary px-4 py-2 text-sm flex items-center justify-center"
+              >
+                <FiDownload className="mr-2" />
+                Download Updated Proforma
+              </button>
+              <button onClick={onClose} className="btn btn-outline px-4 py-2 text-sm">
+                Close
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Items */}
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Items</h3>
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-3">
+              {lines.map(line => {
+                const rules = getLineRules(line);
+                const quantityError = getQuantityError(rules, line.quantity);
+
+                return (
+                  <div key={line.lineId} className="p-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{line.name}</p>
+                      {formatVariantOptions(line.selectedOptions) && (
+                        <p className="text-xs text-gray-500">{formatVariantOptions(line.selectedOptions)}</p>
+                      )}
+                      <p className="text-xs text-gray-600">{formatPrice(line.price)} each</p>
+                      {quantityError && <p className="text-xs text-red-600">{quantityError}</p>}
+                    </div>
+                    <input
+                      type="number"
+                      min={rules.minOrderQuantity}
+                      max={rules.maxOrderQuantity || undefined}
+                      step={rules.quantityStep}
+                      value={line.quantity}
+                      onChange={(e) => handleQuantityChange(line.lineId, e.target.value)}
+                      className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                    <p className="w-28 text-right text-sm font-semibold text-gray-900">
+                      {formatPrice(line.price * line.quantity)}
+                    </p>
+                    <button
+                      onClick={() => handleRemoveLine(line.lineId)}
+                      className="p-2 hover:bg-red-100 rounded-full transition-colors text-red-500 self-end sm:self-auto"
+                      title="Remove item"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                );
+              })}
+              {lines.length === 0 && (
+                <p className="p-3 text-sm text-gray-500">No items. Add a product below.</p>
+              )}
+            </div>
+
+            <div className="flex gap-2 mb-4">
+              <select
+                value={productToAdd}
+                onChange={(e) => setProductToAdd(e.target.value)}
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+              >
+                <option value="">Add another product…</option>
+                {products.map(product => (
+                  <option key={product._id} value={product._id}>{product.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddProduct}
+                disabled={!productToAdd}
+                className="btn btn-outline px-3 py-2 text-sm flex items-center disabled:opacity-50"
+              >
+                <FiPlus className="mr-1" />
+                Add
+              </button>
+            </div>
+
+            <div className="flex justify-between text-sm font-semibold text-gray-900 border-t border-gray-200 pt-3 mb-6">
+              <span>{hasTaxesOnTop(request) ? 'New total (before taxes)' : 'New total'}</span>
+              <span className="text-golden-600">{formatPrice(totalAmount)}</span>
+            </div>
+            {freightEstimate?.total > 0 && (
+              <div className="flex justify-between text-sm text-gray-600 -mt-4 mb-6">
+                <span>Estimated freight{freightEstimate.insurance > 0 && ' (incl. insurance)'}</span>
+                <span>{formatPrice(freightEstimate.total)}</span>
+              </div>
+            )}
+
+            {/* Delivery address */}
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Company Address</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+              {ADDRESS_FIELDS.map(field => (
+                <div key={field.name} className={field.name === 'street' ? 'sm:col-span-2' : ''}>
+                  <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                  <input
+                    type="text"
+                    value={address[field.name] || ''}
+                    onChange={(e) => setAddress(prev => ({ ...prev, [field.name]: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+                  />
+                </div>
+              ))}
+            </div>
+
+            {/* Notes */}
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Notes</h3>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={3}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm mb-4 focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+            />
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 flex items-center text-sm text-red-800">
+                <FiAlertCircle className="mr-2 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button onClick={onClose} className="btn btn-outline px-4 py-2 text-sm">
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={isSaving || hasQuantityErrors}
+                className="btn btn-primary px-4 py-2 text-sm disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default AmendRequestModal;
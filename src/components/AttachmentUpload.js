@@ -0,0 +1,84 @@
+import React from 'react';
+import { FiPaperclip, FiUpload, FiX, FiAlertCircle, FiCheck } from 'react-icons/fi';
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENT_SIZE, formatFileSize } from '../utils/attachmentUtils';
+
+// Multi-file upload for request attachments, driven by useAttachmentUploads
+const AttachmentUpload = ({ uploads, label }) => {
+  const { attachments, errors, canAddMore, addFiles, removeAttachment } = uploads;
+
+  const handleFileChange = (e) => {
+    addFiles(e.target.files || []);
+    // Let the same file be chosen again after it is removed
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      <label className="flex items-center justify-center w-full px-4 py-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-golden-400">
+        <FiUpload className="mr-2 text-golden-600" />
+        <span className="text-sm text-gray-700">
+          {label || 'Attach files'} (PDF, image, Word, Excel or CSV, up to {formatFileSize(MAX_ATTACHMENT_SIZE)} each)
+        </span>
+        <input
+          type="file"
+          multiple
+          accept={ATTACHMENT_ACCEPT}
+          onChange={handleFileChange}
+          disabled={!canAddMore}
+          className="hidden"
+        />
+      </label>
+
+      {errors.length > 0 && (
+        <div className="mt-2 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800 space-y-1">
+          {errors.map(error => (
+            <p key={error} className="flex items-center">
+              <FiAlertCircle className="mr-2 flex-shrink-0" />
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {attachments.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {attachments.map(attachment => (
+            <li key={attachment.localId} className="border border-gray-200 rounded-lg px-3 py-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="flex items-center min-w-0 text-gray-900">
+                  <FiPaperclip className="mr-2 flex-shrink-0 text-gray-500" />
+                  <span className="truncate">{attachment.name}</span>
+                  <span className="ml-2 text-gray-500 flex-shrink-0">{formatFileSize(attachment.size)}</span>
+                </span>
+                <span className="flex items-center flex-shrink-0 ml-2">
+                  {attachment.status === 'done' && <FiCheck className="text-green-600 mr-2" />}
+                  {attachment.status === 'error' && (
+                    <span className="text-xs text-red-600 mr-2">{attachment.error}</span>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => removeAttachment(attachment)}
+                    className="p-1 text-gray-500 hover:text-red-600"
+                    title="Remove attachment"
+                  >
+                    <FiX />
+                  </button>
+                </span>
+              </div>
+              {attachment.status === 'uploading' && (
+                <div className="mt-2 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-golden-600 transition-all"
+                    style={{ width: `${attachment.progress}%` }}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentUpload;
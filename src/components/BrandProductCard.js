@@ -5,6 +5,7 @@ import { useProducts } from '../hooks/useProducts';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
 import { getProductImage } from '../utils/imageUtils';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const BrandProductCard = ({ product, brandColors }) => {
   const { getBrandBySlug } = useProducts();
@@ -12,12 +13,7 @@ const BrandProductCard = ({ product, brandColors }) => {
   const { addToRequest, isInRequest, getItemQuantity } = useRequestBasket();
   const [isAddingToRequest, setIsAddingToRequest] = useState(false);
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
-  };
+  const { formatPrice } = useCurrency();
 
   const getBrandClass = (brandSlug) => {
     switch (brandSlug) {
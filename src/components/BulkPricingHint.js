@@ -0,0 +1,34 @@
+import React from 'react';
+import { FiTag, FiTrendingDown } from 'react-icons/fi';
+import { getNextTier } from '../utils/pricingUtils';
+
+// Shows the bulk saving on a basket line and how many more units reach the next tier
+const BulkPricingHint = ({ item, formatPrice, className = '' }) => {
+  const nextTier = getNextTier(item.bulkTiers, item.quantity);
+  const hasSaving = item.savings > 0;
+
+  if (!hasSaving && !nextTier) return null;
+
+  return (
+    <div className={`space-y-0.5 text-xs ${className}`}>
+      {hasSaving && (
+        <p className="flex items-center text-green-700">
+          <FiTag className="w-3 h-3 mr-1 flex-shrink-0" />
+          <span>
+            Bulk price (was <span className="line-through">{formatPrice(item.unitPrice)}</span>) · You save {formatPrice(item.savings)}
+          </span>
+        </p>
+      )}
+      {nextTier && (
+        <p className="flex items-center text-golden-700">
+          <FiTrendingDown className="w-3 h-3 mr-1 flex-shrink-0" />
+          <span>
+            Add {nextTier.quantityNeeded} more to pay {formatPrice(nextTier.price)} each
+          </span>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BulkPricingHint;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+// Lets buyers choose the currency prices are shown in; hidden until the admin has set a rate
+const CurrencySelector = ({ className = '' }) => {
+  const { currency, setCurrency, currencies } = useCurrency();
+
+  if (currencies.length < 2) return null;
+
+  return (
+    <select
+      value={currency}
+      onChange={(e) => setCurrency(e.target.value)}
+      aria-label="Display currency"
+      className={`text-sm text-gray-700 bg-transparent border border-gray-300 rounded-md px-2 py-1 focus:ring-2 focus:ring-golden-500 focus:border-golden-500 ${className}`}
+    >
+      {currencies.map(option => (
+        <option key={option.code} value={option.code}>
+          {option.code}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default CurrencySelector;
@@ -4,6 +4,7 @@ import { FiMenu, FiX, FiShoppingBag, FiSearch, FiUser } from 'react-icons/fi';
 import { useProducts } from '../hooks/useProducts';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
 import { useAuth } from '../contexts/AuthContext';
+import CurrencySelector from './CurrencySelector';
 
 const Header = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -128,6 +129,8 @@ const Header = () => {
             >
               <FiSearch size={20} />
             </button>
+
+            <CurrencySelector />
             
             {/* Request Basket Button - Hidden for admins */}
             {(!user || (user.role !== 'admin' && user.role !== 'super_admin')) && (
@@ -346,6 +349,7 @@ const Header = () => {
               <button className="p-2 text-gray-600 hover:text-golden-600 transition-colors">
                 <FiSearch size={20} />
               </button>
+              <CurrencySelector />
               {/* Request Basket Button - Hidden for admins */}
               {(!user || (user.role !== 'admin' && user.role !== 'super_admin')) && (
                 <button 
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { FiFileText } from 'react-icons/fi';
+import { INVOICE_EXPORT_FORMATS, downloadInvoiceExport } from '../utils/invoiceExportUtils';
+
+const VARIANTS = {
+  customer: {
+    container: 'flex flex-wrap items-center gap-2 text-sm',
+    button: 'inline-flex items-center px-2 py-1 border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50',
+    label: 'Export for your system:'
+  },
+  admin: {
+    container: 'flex items-center space-x-2',
+    button: 'px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center',
+    label: null
+  }
+};
+
+// CSV, Excel and UBL XML copies of a proforma for procurement systems.
+// getInvoiceData returns the same invoice data as the PDF, or a promise of it; nothing is
+// exported when it resolves to null. `variant` is 'customer' or 'admin'.
+const InvoiceExportButtons = ({ getInvoiceData, variant = 'customer', className = '' }) => {
+  const styles = VARIANTS[variant] || VARIANTS.customer;
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const invoiceData = await getInvoiceData();
+      if (invoiceData) await downloadInvoiceExport(invoiceData, format);
+    } catch (error) {
+      console.error('Failed to export invoice:', error);
+      alert('Failed to export the invoice. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className={`${styles.container} ${className}`}>
+      {styles.label && <span className="text-gray-500">{styles.label}</span>}
+      {INVOICE_EXPORT_FORMATS.map(format => (
+        <button
+          key={format.value}
+          type="button"
+          onClick={() => handleExport(format.value)}
+          disabled={exporting !== null}
+          className={styles.button}
+          title={`Export as ${format.label}`}
+        >
+          <FiFileText className="h-4 w-4 mr-1" />
+          {exporting === format.value ? 'Exporting...' : format.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default InvoiceExportButtons;
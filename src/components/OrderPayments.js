@@ -0,0 +1,78 @@
+import React from 'react';
+import { FiCheckCircle } from 'react-icons/fi';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { formatDate } from '../utils/dateUtils';
+import {
+  PAYMENT_STATUS_LABELS,
+  getPaymentSummary,
+  getPaymentMethodLabel,
+  getScheduleProgress
+} from '../utils/orderUtils';
+
+// Payment schedule and payments received on a request's order
+const OrderPayments = ({ request }) => {
+  const { formatPrice } = useCurrency();
+  const summary = getPaymentSummary(request);
+  if (!summary) return null;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 space-y-4">
+      <div className="flex justify-between items-center">
+        <span className="text-gray-600">
+          Order <span className="font-medium text-gray-900">{request.order.orderNumber}</span>
+        </span>
+        <span className={`text-sm font-medium ${summary.status === 'paid' ? 'text-green-600' : 'text-golden-700'}`}>
+          {summary.status === 'paid' && <FiCheckCircle className="inline mr-1" />}
+          {PAYMENT_STATUS_LABELS[summary.status]}
+        </span>
+      </div>
+
+      <ul className="divide-y divide-gray-200 text-sm">
+        {getScheduleProgress(request.order).map(line => (
+          <li key={line.id} className="flex justify-between py-2">
+            <span>
+              <span className="font-medium text-gray-900">{line.label}</span>
+              {line.dueDate && (
+                <span className={line.isOverdue ? 'text-red-600' : 'text-gray-500'}>
+                  {' '}· due {formatDate(line.dueDate)}{line.isOverdue && ' (overdue)'}
+                </span>
+              )}
+            </span>
+            <span className="text-right">
+              {formatPrice(line.amount)}
+              {line.outstanding === 0 ? (
+                <span className="block text-xs text-green-600">Paid</span>
+              ) : line.paid > 0 ? (
+                <span className="block text-xs text-gray-500">{formatPrice(line.outstanding)} still due</span>
+              ) : null}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {(request.order.payments || []).length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">Payments received</p>
+          <ul className="text-sm space-y-1">
+            {request.order.payments.map(payment => (
+              <li key={payment.id} className="flex justify-between text-gray-700">
+                <span>
+                  {formatDate(payment.paidAt)} · {getPaymentMethodLabel(payment.method)}
+                  {payment.reference && ` · ${payment.reference}`}
+                </span>
+                <span>{formatPrice(payment.amount)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-between border-t border-gray-200 pt-2 font-medium">
+        <span className="text-gray-900">Outstanding balance</span>
+        <span className="text-gray-900">{formatPrice(summary.balance)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default OrderPayments;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiUpload, FiX, FiCheckCircle, FiAlertTriangle, FiXCircle } from 'react-icons/fi';
+import { useProducts } from '../hooks/useProducts';
+import { useRequestBasket } from '../contexts/RequestBasketContext';
+import { parseOrderSheet, resolveOrderSheetRow } from '../utils/orderSheetUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { getQuantityRules, snapQuantity, formatQuantityRules } from '../utils/orderQuantityUtils';
+
+const STATUS_STYLES = {
+  matched: { label: 'Matched', className: 'text-green-700 bg-green-50', icon: FiCheckCircle },
+  ambiguous: { label: 'Choose product', className: 'text-yellow-700 bg-yellow-50', icon: FiAlertTriangle },
+  unmatched: { label: 'No match', className: 'text-red-700 bg-red-50', icon: FiXCircle },
+  invalid: { label: 'Check quantity', className: 'text-red-700 bg-red-50', icon: FiXCircle }
+};
+
+// The basket keeps quantities on the product's minimum, maximum and pack size, so a matched row
+// is added at the nearest valid quantity; `reason` gives the product's rules behind a change
+const getImportQuantity = (row) => {
+  const rules = getQuantityRules(row.product);
+  return { quantity: snapQuantity(rules, row.quantity), reason: formatQuantityRules(rules) };
+};
+
+// Imports a CSV order sheet (product name, slug or SKU + quantity) into the active request list
+const OrderSheetImport = ({ onClose }) => {
+  const { products } = useProducts();
+  const { addToRequest } = useRequestBasket();
+
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    try {
+      const text = await file.text();
+      const result = parseOrderSheet(text, products);
+      setRows(result.rows);
+      setError(result.error);
+    } catch (readError) {
+      console.error('Error reading order sheet:', readError);
+      setRows([]);
+      setError('Could not read this file. Please upload a CSV file.');
+    }
+  };
+
+  const handleCandidateChange = (rowNumber, productIndex) => {
+    setRows(prev => prev.map(row =>
+      row.rowNumber === rowNumber && productIndex !== ''
+        ? resolveOrderSheetRow(row, row.candidates[productIndex])
+        : row
+    ));
+  };
+
+  const matchedRows = rows.filter(row => row.status === 'matched');
+  const skippedCount = rows.length - matchedRows.length;
+
+  const handleImport = () => {
+    matchedRows.forEach(row => {
+      addToRequest(row.product, getImportQuantity(row).quantity, row.selectedOptions);
+    });
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Import Order Sheet</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <FiX className="text-gray-600" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Upload a CSV with a header row, a product column (name, slug or SKU) and a quantity column.
+          Add a column named after an option, such as <span className="font-medium">Size</span>, to pick a variant.
+          Excel sheets can be saved as CSV from <span className="font-medium">File → Save As</span>.
+        </p>
+
+        <label className="flex items-center justify-center w-full px-4 py-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-golden-400 mb-4">
+          <FiUpload className="mr-2 text-golden-600" />
+          <span className="text-sm text-gray-700">{fileName || 'Choose a CSV file'}</span>
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-800">
+            {error}
+          </div>
+        )}
+
+        {rows.length > 0 && (
+          <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sheet entry</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Qty</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => {
+                  const status = STATUS_STYLES[row.status];
+                  const StatusIcon = status.icon;
+                  const adjusted = row.status === 'matched' ? getImportQuantity(row) : null;
+
+                  return (
+                    <tr key={row.rowNumber}>
+                      <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                      <td className="px-3 py-2 text-gray-900">{row.reference || '—'}</td>
+                      <td className="px-3 py-2 text-gray-900">
+                        {adjusted && adjusted.quantity !== row.quantity ? (
+                          <>
+                            <span className="text-gray-400 line-through mr-1">{row.quantity}</span>
+                            {adjusted.quantity}
+                            <div className="text-xs text-yellow-700">Adjusted to {adjusted.reason}</div>
+                          </>
+                        ) : Number.isInteger(row.quantity) ? (
+                          row.quantity
+                        ) : (
+                          row.quantityText || '—'
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-gray-900">
+                        {row.candidates.length > 1 ? (
+                          <select
+                            value={row.product ? row.candidates.indexOf(row.product) : ''}
+                            onChange={(e) => handleCandidateChange(row.rowNumber, e.target.value)}
+                            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                          >
+                            <option value="">Select a product…</option>
+                            {row.candidates.map((candidate, index) => (
+                              <option key={candidate._id || candidate.slug} value={index}>
+                                {candidate.name}
+                              </option>
+                            ))}
+                          </select>
+                        ) : row.product ? (
+                          row.product.name
+                        ) : (
+                          '—'
+                        )}
+                        {row.product && formatVariantOptions(row.selectedOptions) && (
+                          <div className="text-xs text-gray-500">{formatVariantOptions(row.selectedOptions)}</div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                          <StatusIcon className="w-3 h-3 mr-1" />
+                          {status.label}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {rows.length > 0 && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <p className="text-sm text-gray-600">
+              {matchedRows.length} of {rows.length} rows ready
+              {skippedCount > 0 && ` · ${skippedCount} will be skipped`}
+            </p>
+            <div className="flex gap-2">
+              <button onClick={onClose} className="btn btn-outline px-4 py-2 text-sm">
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={matchedRows.length === 0}
+                className="btn btn-primary px-4 py-2 text-sm disabled:opacity-50"
+              >
+                Add {matchedRows.length} {matchedRows.length === 1 ? 'Product' : 'Products'}
+              </button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default OrderSheetImport;
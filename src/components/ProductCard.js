@@ -7,10 +7,18 @@ import LazyImage from './LazyImage';
 import { getProductImage } from '../utils/imageUtils';
 import { useAuth } from '../contexts/AuthContext';
 import { trackAddToRequest } from '../utils/analytics';
+import { getSelectableVariants, getDefaultOptions } from '../utils/variantUtils';
+import { getQuantityRules, canIncreaseQuantity, formatQuantityRules } from '../utils/orderQuantityUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const ProductCard = ({ product, className = '' }) => {
   const { addToRequest, isInRequest, getItemQuantity } = useRequestBasket();
   const [isAddingToRequest, setIsAddingToRequest] = useState(false);
+  const [selectedOptions, setSelectedOptions] = useState({});
+
+  const selectableVariants = getSelectableVariants(product);
+  const currentOptions = { ...getDefaultOptions(product), ...selectedOptions };
+  const quantityRules = getQuantityRules(product);
 
   const handleAddToRequest = async (e) => {
     e.preventDefault();
@@ -18,7 +26,9 @@ const ProductCard = ({ product, className = '' }) => {
     
     setIsAddingToRequest(true);
     try {
-      addToRequest(product, 1);
+      // The first click adds the minimum order, later clicks add one more pack
+      const quantity = isProductInRequest ? quantityRules.quantityStep : quantityRules.minOrderQuantity;
+      addToRequest(product, quantity, currentOptions);
       
       // Track add to request action
       const price = getProductPrice(product);
@@ -32,13 +42,7 @@ const ProductCard = ({ product, className = '' }) => {
     }
   };
 
-  const formatPrice = (price) => {
-    if (!price || isNaN(price)) return 'GH₵0.00';
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
-  };
+  const { formatPrice } = useCurrency();
 
   // Get the correct price from product
   const getProductPrice = (product) => {
@@ -48,8 +52,10 @@ const ProductCard = ({ product, className = '' }) => {
     return 0;
   };
 
-  const isProductInRequest = isInRequest(product._id);
-  const requestQuantity = getItemQuantity(product._id);
+  const isProductInRequest = isInRequest(product._id, currentOptions);
+  const requestQuantity = getItemQuantity(product._id, currentOptions);
+  const isAtMaxQuantity = isProductInRequest && !canIncreaseQuantity(quantityRules, requestQuantity);
+  const quantityRulesText = formatQuantityRules(quantityRules);
 
   return (
     <motion.div
@@ -81,7 +87,7 @@ const ProductCard = ({ product, className = '' }) => {
           <div className="opacity-0 group-hover:opacity-100 transition-opacity duration-300 flex space-x-2">
             <button 
               onClick={handleAddToRequest}
-              disabled={isAddingToRequest}
+              disabled={isAddingToRequest || isAtMaxQuantity}
               className={`p-2 rounded-full shadow-lg transition-colors ${
                 isProductInRequest 
                   ? 'text-white' 
@@ -136,34 +142,39 @@ const ProductCard = ({ product, className = '' }) => {
           </div>
         </div>
         
-        {/* Available Sizes/Variants */}
-        {product.variants && product.variants.length > 0 && product.variants[0]?.options && (
-          <div className="mb-3">
-            <p className="text-sm text-gray-500 mb-1">Available in:</p>
-            <div className="flex flex-wrap gap-1">
-              {product.variants[0].options.slice(0, 3).map((option, index) => (
-                <span 
-                  key={index}
-                  className="text-sm bg-gray-100 text-gray-700 px-2 py-1 rounded"
+        {/* Variant Selection */}
+        {selectableVariants.length > 0 && (
+          <div className="mb-3 space-y-2">
+            {selectableVariants.map((variant) => (
+              <div key={variant.name} className="flex items-center justify-between gap-2">
+                <label className="text-sm text-gray-500">{variant.name}:</label>
+                <select
+                  value={currentOptions[variant.name]}
+                  onChange={(e) => setSelectedOptions(prev => ({ ...prev, [variant.name]: e.target.value }))}
+                  className="flex-1 min-w-0 text-sm border border-gray-300 rounded px-2 py-1 focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
                 >
-                  {option}
-                </span>
-              ))}
-              {product.variants[0].options.length > 3 && (
-                <span className="text-sm text-gray-500">
-                  +{product.variants[0].options.length - 3} more
-                </span>
-              )}
-            </div>
+                  {variant.options.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
           </div>
         )}
         
         {/* Action Buttons */}
         <div className="flex flex-col space-y-2 mt-auto">
           {/* Add to Request Button - Now visible for all users */}
+          {(quantityRulesText || isAtMaxQuantity) && (
+            <p className={`text-xs ${isAtMaxQuantity ? 'text-red-600' : 'text-gray-500'}`}>
+              {isAtMaxQuantity
+                ? `Maximum of ${requestQuantity} units is in your request`
+                : quantityRulesText}
+            </p>
+          )}
           <button
             onClick={handleAddToRequest}
-            disabled={isAddingToRequest}
+            disabled={isAddingToRequest || isAtMaxQuantity}
             className="w-full btn text-center text-sm sm:text-sm py-1.5 sm:py-2 text-white transition-all duration-200"
             style={{ 
               backgroundColor: isProductInRequest ? '#8B6914' : '#b5a033' // deep ogla gold : golden-600
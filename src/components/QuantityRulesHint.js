@@ -0,0 +1,30 @@
+import React from 'react';
+import { FiAlertCircle, FiPackage } from 'react-icons/fi';
+import { getQuantityRules, getQuantityError, formatQuantityRules } from '../utils/orderQuantityUtils';
+
+// Shows a basket line's minimum, maximum and pack size, or why its quantity cannot be ordered
+const QuantityRulesHint = ({ item, className = '' }) => {
+  const rules = getQuantityRules(item);
+  const error = getQuantityError(rules, item.quantity);
+  const rulesText = formatQuantityRules(rules);
+
+  if (error) {
+    return (
+      <p className={`flex items-center text-xs text-red-600 ${className}`}>
+        <FiAlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+        <span>{error}</span>
+      </p>
+    );
+  }
+
+  if (!rulesText) return null;
+
+  return (
+    <p className={`flex items-center text-xs text-gray-500 ${className}`}>
+      <FiPackage className="w-3 h-3 mr-1 flex-shrink-0" />
+      <span>{rulesText}</span>
+    </p>
+  );
+};
+
+export default QuantityRulesHint;
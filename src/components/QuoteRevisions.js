@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { FiDownload, FiTag } from 'react-icons/fi';
+import { useCurrency } from '../contexts/CurrencyContext';
+import invoiceGenerator from '../utils/invoiceGenerator';
+import { formatDate } from '../utils/dateUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { hasTaxesOnTop } from '../utils/taxUtils';
+import {
+  getQuoteRevisions,
+  diffQuoteRevision,
+  formatRevisionLabel
+} from '../utils/quoteRevisionUtils';
+
+const CHANGE_STYLES = {
+  added: 'text-green-700',
+  removed: 'text-red-700 line-through',
+  changed: 'text-gray-900',
+  unchanged: 'text-gray-500'
+};
+
+// The latest revised quote on a request, what changed from the original, and a PDF for every revision
+const QuoteRevisions = ({ request }) => {
+  const { formatPrice } = useCurrency();
+  const [downloading, setDownloading] = useState(null);
+
+  const revisions = getQuoteRevisions(request);
+  if (revisions.length === 0) return null;
+
+  const latest = revisions[revisions.length - 1];
+  const diff = diffQuoteRevision(request.items || [], latest);
+
+  const handleDownload = async (revision) => {
+    setDownloading(revision);
+    try {
+      const invoiceData = invoiceGenerator.buildInvoiceDataFromRequest(request, revision);
+      await invoiceGenerator.generateProformaInvoice(invoiceData, false);
+    } catch (error) {
+      console.error('Failed to download revised quote:', error);
+      alert('Failed to download the quote PDF. Please try again.');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="bg-golden-50 border border-golden-200 rounded-lg p-4">
+      <div className="flex items-start justify-between mb-3">
+        <div>
+          <p className="font-medium text-gray-900 flex items-center">
+            <FiTag className="mr-2 text-golden-600" />
+            Revised quote {formatRevisionLabel(latest.revision)}
+          </p>
+          <p className="text-sm text-gray-600">
+            {formatDate(latest.createdAt)}
+            {latest.createdBy?.name && ` · ${latest.createdBy.name}`}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold text-gray-900">{formatPrice(latest.total)}</p>
+          {hasTaxesOnTop(request) && <p className="text-xs text-gray-500">before taxes</p>}
+          <p className="text-xs text-gray-500 line-through">{formatPrice(request.totalAmount || 0)}</p>
+        </div>
+      </div>
+
+      {latest.note && <p className="text-sm text-gray-700 italic mb-3">{latest.note}</p>}
+
+      <ul className="text-sm divide-y divide-golden-100 mb-3">
+        {diff.map((line, index) => (
+          <li key={index} className="flex justify-between py-1.5">
+            <span className={CHANGE_STYLES[line.change]}>
+              {line.name}
+              {formatVariantOptions(line.selectedOptions) && ` (${formatVariantOptions(line.selectedOptions)})`}
+              {line.change === 'added' && ' · added'}
+            </span>
+            <span className="text-right text-gray-700 ml-4">
+              {line.change === 'changed' && (
+                <span className="text-gray-400 line-through mr-2">
+                  {line.before.quantity} × {formatPrice(line.before.price)}
+                </span>
+              )}
+              {line.after
+                ? `${line.after.quantity} × ${formatPrice(line.after.price)}`
+                : `${line.before.quantity} × ${formatPrice(line.before.price)}`}
+              {line.after?.discountPercent > 0 && (
+                <span className="text-green-700"> ({line.after.discountPercent}% off)</span>
+              )}
+            </span>
+          </li>
+        ))}
+        {(latest.charges || []).map((charge, index) => (
+          <li key={`charge-${index}`} className="flex justify-between py-1.5">
+            <span className="text-gray-900">{charge.label}</span>
+            <span className="text-gray-700">{formatPrice(charge.amount)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap gap-2">
+        {revisions.map(revision => (
+          <button
+            key={revision.revision}
+            onClick={() => handleDownload(revision.revision)}
+            disabled={downloading === revision.revision}
+            className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border border-golden-300 text-golden-700 hover:bg-golden-100 disabled:opacity-50"
+            title={`Download quote ${formatRevisionLabel(revision.revision)}`}
+          >
+            <FiDownload className="mr-1" />
+            {formatRevisionLabel(revision.revision)} PDF
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default QuoteRevisions;
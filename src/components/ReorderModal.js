@@ -0,0 +1,205 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiX, FiRepeat, FiArrowUp, FiArrowDown, FiAlertTriangle } from 'react-icons/fi';
+import { useProducts } from '../hooks/useProducts';
+import { useRequestBasket } from '../contexts/RequestBasketContext';
+import { getPastRequestItems, buildReorderLines, getCurrentPrice } from '../utils/reorderUtils';
+import { getQuantityRules, getQuantityError } from '../utils/orderQuantityUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+const STATUS_MESSAGES = {
+  optionsChanged: 'Some options are no longer offered; the closest available options are selected.',
+  inactive: 'Currently unavailable',
+  deleted: 'No longer in the catalogue'
+};
+
+// Lets a buyer review an earlier request against today's catalogue and load it into the basket
+const ReorderModal = ({ request, onClose }) => {
+  const navigate = useNavigate();
+  const { products, loading } = useProducts();
+  const { items: basketItems, addItemsToRequest, createList } = useRequestBasket();
+
+  const requestNumber = request.requestNumber || request.request_number;
+  const lines = useMemo(
+    () => buildReorderLines(getPastRequestItems(request), products),
+    [request, products]
+  );
+
+  // Quantities the buyer has changed, and lines they have unticked, keyed by line key
+  const [quantities, setQuantities] = useState({});
+  const [excluded, setExcluded] = useState({});
+
+  const { formatPrice } = useCurrency();
+
+  const orderableLines = lines
+    .filter(line => line.status === 'available' || line.status === 'optionsChanged')
+    .map(line => {
+      const quantity = quantities[line.key] !== undefined ? Number(quantities[line.key]) : line.quantity;
+      return {
+        ...line,
+        quantity,
+        quantityError: getQuantityError(getQuantityRules(line.product), quantity),
+        currentPrice: getCurrentPrice(line.product, quantity || 1)
+      };
+    });
+  const selectedLines = orderableLines.filter(line => !excluded[line.key]);
+  const hasQuantityErrors = selectedLines.some(line => line.quantityError);
+  const unavailableLines = lines.filter(line => line.status === 'inactive' || line.status === 'deleted');
+
+  const handleReorder = (destination) => {
+    // Keep whatever the buyer is already building; reorder into its own list instead
+    if (basketItems.length > 0) {
+      createList(`Reorder of #${requestNumber}`);
+    }
+
+    addItemsToRequest(
+      selectedLines.map(({ product, quantity, selectedOptions }) => ({ product, quantity, selectedOptions }))
+    );
+    onClose();
+    navigate(destination);
+  };
+
+  const renderPriceChange = (line) => {
+    const difference = line.currentPrice - line.previousPrice;
+    if (!line.previousPrice || Math.abs(difference) < 0.005) return null;
+
+    const Icon = difference > 0 ? FiArrowUp : FiArrowDown;
+    return (
+      <span className={`inline-flex items-center text-xs ${difference > 0 ? 'text-red-600' : 'text-green-700'}`}>
+        <Icon className="w-3 h-3 mr-0.5" />
+        {formatPrice(Math.abs(difference))}
+      </span>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Request Again · #{requestNumber}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition-colors">
+            <FiX className="text-gray-600" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="py-8 text-center text-gray-500">Loading current prices...</div>
+        ) : (
+          <>
+            {orderableLines.length > 0 && (
+              <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2"></th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Qty</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Was</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Now</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {orderableLines.map(line => {
+                      const rules = getQuantityRules(line.product);
+                      return (
+                        <tr key={line.key} className={excluded[line.key] ? 'opacity-50' : ''}>
+                          <td className="px-3 py-2">
+                            <input
+                              type="checkbox"
+                              checked={!excluded[line.key]}
+                              onChange={(e) => setExcluded(prev => ({ ...prev, [line.key]: !e.target.checked }))}
+                              className="h-4 w-4 text-golden-600 border-gray-300 rounded"
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-gray-900">
+                            {line.product.name}
+                            {formatVariantOptions(line.selectedOptions) && (
+                              <div className="text-xs text-gray-500">{formatVariantOptions(line.selectedOptions)}</div>
+                            )}
+                            {line.status === 'optionsChanged' && (
+                              <div className="text-xs text-yellow-700">{STATUS_MESSAGES.optionsChanged}</div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2">
+                            <input
+                              type="number"
+                              min={rules.minOrderQuantity}
+                              max={rules.maxOrderQuantity || undefined}
+                              step={rules.quantityStep}
+                              value={quantities[line.key] !== undefined ? quantities[line.key] : line.quantity}
+                              onChange={(e) => setQuantities(prev => ({ ...prev, [line.key]: e.target.value }))}
+                              className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+                            />
+                            {line.quantityError && !excluded[line.key] && (
+                              <div className="text-xs text-red-600 mt-1">{line.quantityError}</div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-500">
+                            {line.previousPrice ? formatPrice(line.previousPrice) : '—'}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-900">
+                            <div>{formatPrice(line.currentPrice)}</div>
+                            {renderPriceChange(line)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {unavailableLines.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm">
+                <p className="flex items-center font-medium text-yellow-800 mb-1">
+                  <FiAlertTriangle className="mr-2" />
+                  {unavailableLines.length} {unavailableLines.length === 1 ? 'item' : 'items'} can't be requested again
+                </p>
+                <ul className="text-yellow-800 space-y-0.5">
+                  {unavailableLines.map(line => (
+                    <li key={line.key}>
+                      {line.name} — {STATUS_MESSAGES[line.status]}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {basketItems.length > 0 && selectedLines.length > 0 && (
+              <p className="text-xs text-gray-500 mb-4">
+                Your basket already has items, so these will go into a new list named "Reorder of #{requestNumber}".
+              </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row justify-end gap-2">
+              <button
+                onClick={() => handleReorder('/request-basket')}
+                disabled={selectedLines.length === 0 || hasQuantityErrors}
+                className="btn btn-outline px-4 py-2 text-sm disabled:opacity-50"
+              >
+                Review in Basket
+              </button>
+              <button
+                onClick={() => handleReorder('/request-form')}
+                disabled={selectedLines.length === 0 || hasQuantityErrors}
+                className="btn btn-primary px-4 py-2 text-sm flex items-center justify-center disabled:opacity-50"
+              >
+                <FiRepeat className="mr-2" />
+                Continue to Request Form
+              </button>
+            </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default ReorderModal;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { FiPaperclip, FiDownload } from 'react-icons/fi';
+import { attachmentService } from '../services/attachmentService';
+import { formatFileSize, saveBlob } from '../utils/attachmentUtils';
+
+// Files the buyer attached to a request, each with a download button
+const RequestAttachments = ({ requestNumber, attachments = [] }) => {
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const handleDownload = async (attachment) => {
+    setDownloadingId(attachment.id);
+    try {
+      const response = await attachmentService.downloadAttachment(requestNumber, attachment.id);
+      saveBlob(response.data, attachment.name);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      alert('Failed to download the attachment. Please try again.');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  if (attachments.length === 0) return null;
+
+  return (
+    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+      {attachments.map(attachment => (
+        <li key={attachment.id} className="flex items-center justify-between px-4 py-2 text-sm">
+          <span className="flex items-center min-w-0 text-gray-900">
+            <FiPaperclip className="mr-2 flex-shrink-0 text-gray-500" />
+            <span className="truncate">{attachment.name}</span>
+            <span className="ml-2 text-gray-500 flex-shrink-0">{formatFileSize(attachment.size)}</span>
+          </span>
+          <button
+            onClick={() => handleDownload(attachment)}
+            disabled={downloadingId === attachment.id}
+            className="flex items-center text-golden-600 hover:text-golden-700 font-medium disabled:opacity-50 ml-2"
+          >
+            <FiDownload className="mr-1" />
+            {downloadingId === attachment.id ? 'Downloading...' : 'Download'}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default RequestAttachments;
@@ -3,12 +3,20 @@ import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiX, FiShoppingBag, FiPlus, FiMinus, FiTrash2 } from 'react-icons/fi';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
+import BulkPricingHint from './BulkPricingHint';
+import QuantityRulesHint from './QuantityRulesHint';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { getQuantityRules, stepQuantity, canIncreaseQuantity } from '../utils/orderQuantityUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const RequestBasket = () => {
   const {
     items,
     totalItems,
     totalAmount,
+    totalSavings,
+    lists,
+    activeList,
     isOpen,
     toggleRequestBasket,
     removeFromRequest,
@@ -16,19 +24,14 @@ const RequestBasket = () => {
     clearRequestBasket
   } = useRequestBasket();
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
-  };
+  const { formatPrice } = useCurrency();
 
-  const handleQuantityChange = (itemId, newQuantity) => {
-    updateQuantity(itemId, newQuantity);
+  const handleQuantityChange = (lineId, newQuantity) => {
+    updateQuantity(lineId, newQuantity);
   };
 
-  const handleRemoveItem = (itemId) => {
-    removeFromRequest(itemId);
+  const handleRemoveItem = (lineId) => {
+    removeFromRequest(lineId);
   };
 
   const handleClearBasket = () => {
@@ -62,7 +65,12 @@ const RequestBasket = () => {
             <div className="flex items-center justify-between p-4 sm:p-6 border-b border-gray-200">
               <div className="flex items-center space-x-2 sm:space-x-3">
                 <FiShoppingBag className="text-xl sm:text-2xl text-golden-500" />
-                <h2 className="text-lg sm:text-xl font-bold text-gray-900">Request Basket</h2>
+                <div>
+                  <h2 className="text-lg sm:text-xl font-bold text-gray-900">Request Basket</h2>
+                  {lists.length > 1 && (
+                    <p className="text-xs text-gray-500 truncate">{activeList.name}</p>
+                  )}
+                </div>
                 {totalItems > 0 && (
                   <span className="bg-golden-500 text-white text-xs px-2 py-1 rounded-full">
                     {totalItems}
@@ -99,7 +107,7 @@ const RequestBasket = () => {
                 <div className="p-4 sm:p-6 space-y-3 sm:space-y-4">
                   {items.map((item) => (
                     <motion.div
-                      key={item._id}
+                      key={item.lineId}
                       initial={{ opacity: 0, y: 20 }}
                       animate={{ opacity: 1, y: 0 }}
                       exit={{ opacity: 0, y: -20 }}
@@ -120,17 +128,22 @@ const RequestBasket = () => {
                           {item.name}
                         </h4>
                         <p className="text-xs text-gray-500">{item.brandName}</p>
+                        {formatVariantOptions(item.selectedOptions) && (
+                          <p className="text-xs text-gray-600">{formatVariantOptions(item.selectedOptions)}</p>
+                        )}
                         <p className="text-xs sm:text-sm font-semibold text-golden-600">
                           {formatPrice(item.price)}
                         </p>
+                        <BulkPricingHint item={item} formatPrice={formatPrice} className="mt-1" />
+                        <QuantityRulesHint item={item} className="mt-1" />
                       </div>
 
                       {/* Quantity Controls */}
                       <div className="flex items-center space-x-1 sm:space-x-2">
                         <button
-                          onClick={() => handleQuantityChange(item._id, item.quantity - 1)}
+                          onClick={() => handleQuantityChange(item.lineId, stepQuantity(getQuantityRules(item), item.quantity, -1))}
                           className="p-1 hover:bg-gray-200 rounded transition-colors"
-                          disabled={item.quantity <= 1}
+                          disabled={item.quantity <= getQuantityRules(item).minOrderQuantity}
                         >
                           <FiMinus className="w-3 h-3 text-gray-600" />
                         </button>
@@ -138,8 +151,9 @@ const RequestBasket = () => {
                           {item.quantity}
                         </span>
                         <button
-                          onClick={() => handleQuantityChange(item._id, item.quantity + 1)}
+                          onClick={() => handleQuantityChange(item.lineId, stepQuantity(getQuantityRules(item), item.quantity, 1))}
                           className="p-1 hover:bg-gray-200 rounded transition-colors"
+                          disabled={!canIncreaseQuantity(getQuantityRules(item), item.quantity)}
                         >
                           <FiPlus className="w-3 h-3 text-gray-600" />
                         </button>
@@ -147,7 +161,7 @@ const RequestBasket = () => {
 
                       {/* Remove Button */}
                       <button
-                        onClick={() => handleRemoveItem(item._id)}
+                        onClick={() => handleRemoveItem(item.lineId)}
                         className="p-1 sm:p-2 hover:bg-red-100 rounded-full transition-colors text-red-500"
                       >
                         <FiTrash2 className="w-3 h-3 sm:w-4 sm:h-4" />
@@ -162,6 +176,12 @@ const RequestBasket = () => {
             {items.length > 0 && (
               <div className="border-t border-gray-200 p-4 sm:p-6 space-y-3 sm:space-y-4">
                 {/* Request Summary */}
+                {totalSavings > 0 && (
+                  <div className="flex justify-between items-center text-sm text-green-700">
+                    <span>Bulk savings:</span>
+                    <span>-{formatPrice(totalSavings)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between items-center">
                   <span className="text-base sm:text-lg font-semibold text-gray-900">Total:</span>
                   <span className="text-xl sm:text-2xl font-bold text-golden-600">
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { FiList, FiPlus, FiEdit2, FiCopy, FiTrash2, FiCheck, FiX } from 'react-icons/fi';
+import { useRequestBasket } from '../contexts/RequestBasketContext';
+
+// Lets a buyer keep several named request lists and pick the one to work on
+const RequestListManager = () => {
+  const {
+    lists,
+    activeListId,
+    createList,
+    renameList,
+    duplicateList,
+    switchList,
+    deleteList
+  } = useRequestBasket();
+
+  const [newListName, setNewListName] = useState('');
+  const [editingListId, setEditingListId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const handleCreateList = (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    createList(newListName);
+    setNewListName('');
+  };
+
+  const startRename = (list) => {
+    setEditingListId(list.id);
+    setEditingName(list.name);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    renameList(editingListId, editingName);
+    setEditingListId(null);
+  };
+
+  const handleDeleteList = (list) => {
+    const itemCount = list.items.length;
+    const message = itemCount > 0
+      ? `Delete "${list.name}" and its ${itemCount} ${itemCount === 1 ? 'item' : 'items'}?`
+      : `Delete "${list.name}"?`;
+    if (window.confirm(message)) {
+      deleteList(list.id);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 sm:mb-8">
+      <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <FiList className="mr-2 text-golden-600" />
+        Request Lists
+      </h2>
+
+      <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+        {lists.map((list) => {
+          const isActive = list.id === activeListId;
+          const itemCount = list.items.reduce((sum, item) => sum + item.quantity, 0);
+
+          return (
+            <div
+              key={list.id}
+              className={`flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 ${isActive ? 'bg-golden-50' : ''}`}
+            >
+              {editingListId === list.id ? (
+                <form onSubmit={handleRename} className="flex items-center gap-2 flex-1">
+                  <input
+                    type="text"
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    autoFocus
+                    className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+                  />
+                  <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save name">
+                    <FiCheck className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => setEditingListId(null)} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Cancel">
+                    <FiX className="w-4 h-4" />
+                  </button>
+                </form>
+              ) : (
+                <button
+                  onClick={() => switchList(list.id)}
+                  className="flex-1 text-left"
+                >
+                  <span className={`text-sm sm:text-base font-medium ${isActive ? 'text-golden-700' : 'text-gray-900'}`}>
+                    {list.name}
+                  </span>
+                  <span className="ml-2 text-xs text-gray-500">
+                    {itemCount} {itemCount === 1 ? 'item' : 'items'}
+                  </span>
+                  {isActive && (
+                    <span className="ml-2 bg-golden-500 text-white text-xs px-2 py-0.5 rounded-full">
+                      Active
+                    </span>
+                  )}
+                </button>
+              )}
+
+              {editingListId !== list.id && (
+                <div className="flex items-center gap-1 self-end sm:self-auto">
+                  <button onClick={() => startRename(list)} className="p-2 text-gray-500 hover:bg-gray-100 rounded" title="Rename list">
+                    <FiEdit2 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => duplicateList(list.id)} className="p-2 text-gray-500 hover:bg-gray-100 rounded" title="Duplicate list">
+                    <FiCopy className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDeleteList(list)} className="p-2 text-red-500 hover:bg-red-50 rounded" title="Delete list">
+                    <FiTrash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleCreateList} className="flex gap-2">
+        <input
+          type="text"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder="New list name, e.g. Hotel amenities order"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+        />
+        <button
+          type="submit"
+          disabled={!newListName.trim()}
+          className="btn btn-outline px-3 sm:px-4 py-2 text-sm flex items-center disabled:opacity-50"
+        >
+          <FiPlus className="mr-1" />
+          New List
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default RequestListManager;
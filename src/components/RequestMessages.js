@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { FiMessageSquare, FiSend } from 'react-icons/fi';
+import { useRequestMessages } from '../hooks/useRequestMessages';
+import { useAttachmentUploads } from '../hooks/useAttachmentUploads';
+import { formatDateTime } from '../utils/dateUtils';
+import AttachmentUpload from './AttachmentUpload';
+import RequestAttachments from './RequestAttachments';
+
+// Conversation with the Ogla team about one request, shown in the customer's request details
+const RequestMessages = ({ requestNumber, onRead }) => {
+  const { messages, loading, sending, error, sendMessage } = useRequestMessages(requestNumber, onRead);
+  const uploads = useAttachmentUploads();
+  const [body, setBody] = useState('');
+  const [showAttach, setShowAttach] = useState(false);
+
+  const canSend = (body.trim() || uploads.uploadedAttachments.length > 0) && !uploads.isUploading && !sending;
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    const sent = await sendMessage({
+      body: body.trim(),
+      attachments: uploads.uploadedAttachments
+    });
+    if (sent) {
+      setBody('');
+      uploads.reset();
+      setShowAttach(false);
+    }
+  };
+
+  return (
+    <div>
+      {loading ? (
+        <p className="text-sm text-gray-500 py-4">Loading messages...</p>
+      ) : messages.length === 0 ? (
+        <div className="text-center py-4 text-sm text-gray-500">
+          <FiMessageSquare className="w-6 h-6 mx-auto mb-2 text-gray-400" />
+          Questions about prices, quantities or delivery? Send the team a message here.
+        </div>
+      ) : (
+        <ul className="space-y-3 max-h-80 overflow-y-auto mb-4 pr-1">
+          {messages.map(message => {
+            const isOwn = message.senderRole === 'customer';
+            return (
+              <li key={message.id} className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-[85%] rounded-lg px-4 py-2 ${isOwn ? 'bg-golden-50 border border-golden-200' : 'bg-gray-100'}`}>
+                  <p className="text-xs text-gray-500 mb-1">
+                    {isOwn ? 'You' : message.senderName || 'Ogla team'} · {formatDateTime(message.createdAt)}
+                  </p>
+                  {message.body && <p className="text-sm text-gray-900 whitespace-pre-line">{message.body}</p>}
+                  {message.attachments?.length > 0 && (
+                    <div className="mt-2">
+                      <RequestAttachments requestNumber={requestNumber} attachments={message.attachments} />
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3 text-sm text-red-800">{error}</div>
+      )}
+
+      <form onSubmit={handleSend} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={3}
+          placeholder="Write a message..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+        />
+        {showAttach && <AttachmentUpload uploads={uploads} />}
+        <div className="flex justify-between items-center">
+          <button
+            type="button"
+            onClick={() => setShowAttach(prev => !prev)}
+            className="text-sm text-golden-600 hover:text-golden-700 font-medium"
+          >
+            {showAttach ? 'Hide attachments' : 'Attach files'}
+          </button>
+          <button
+            type="submit"
+            disabled={!canSend}
+            className="btn btn-primary px-4 py-2 text-sm flex items-center disabled:opacity-50"
+          >
+            <FiSend className="mr-2" />
+            {sending ? 'Sending...' : 'Send'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RequestMessages;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FiEdit3, FiTrash2, FiPlay } from 'react-icons/fi';
+import { useRequestBasket } from '../contexts/RequestBasketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { draftService } from '../services/draftService';
+import { getLocalDrafts, removeLocalDraft, mergeDrafts } from '../utils/requestDraftUtils';
+import { formatRelativeTime } from '../utils/dateUtils';
+
+// Request form drafts saved on this device and on the account, with resume and discard actions
+const SavedDrafts = () => {
+  const navigate = useNavigate();
+  const { lists, switchList } = useRequestBasket();
+  const { user } = useAuth();
+  const accountId = user?._id || user?.id || null;
+  const [drafts, setDrafts] = useState(() => getLocalDrafts(accountId));
+
+  useEffect(() => {
+    const loadDrafts = async () => {
+      try {
+        const response = await draftService.getDrafts();
+        setDrafts(mergeDrafts(response.data?.data || [], getLocalDrafts(accountId)));
+      } catch (error) {
+        console.error('Error loading saved drafts:', error);
+      }
+    };
+
+    loadDrafts();
+  }, [accountId]);
+
+  const handleResume = (draft) => {
+    switchList(draft.listId);
+    navigate('/request-form');
+  };
+
+  const handleDiscard = (draft) => {
+    if (!window.confirm('Discard this draft?')) return;
+
+    removeLocalDraft(draft.id, accountId);
+    setDrafts(prev => prev.filter(existing => existing.id !== draft.id));
+    draftService.deleteDraft(draft.id).catch(error => {
+      console.error('Error discarding draft:', error);
+    });
+  };
+
+  if (drafts.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden mb-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FiEdit3 className="mr-2 text-golden-600" />
+          Saved Drafts
+        </h2>
+        <p className="text-sm text-gray-500">Request forms you started but haven't submitted yet</p>
+      </div>
+      <ul className="divide-y divide-gray-200">
+        {drafts.map(draft => {
+          const list = lists.find(existing => existing.id === draft.listId);
+          const hasItems = list && list.items.length > 0;
+
+          return (
+            <li key={draft.id} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {draft.formData?.companyName || 'Untitled draft'}
+                  {draft.listName && <span className="text-gray-500 font-normal"> · {draft.listName}</span>}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {hasItems
+                    ? `${list.items.length} ${list.items.length === 1 ? 'item' : 'items'} · saved ${formatRelativeTime(draft.updatedAt)}`
+                    : 'The items for this draft are no longer in your basket'}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleResume(draft)}
+                  disabled={!hasItems}
+                  className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm font-medium text-white bg-golden-600 hover:bg-golden-700 disabled:opacity-50"
+                >
+                  <FiPlay className="w-4 h-4 mr-1" />
+                  Resume
+                </button>
+                <button
+                  onClick={() => handleDiscard(draft)}
+                  className="inline-flex items-center px-3 py-1.5 rounded-lg text-sm font-medium text-red-600 border border-red-200 hover:bg-red-50"
+                >
+                  <FiTrash2 className="w-4 h-4 mr-1" />
+                  Discard
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default SavedDrafts;
@@ -3,6 +3,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { FiGrid, FiList, FiChevronDown, FiSearch } from 'react-icons/fi';
 import ProductCard from './ProductCard';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const SearchResults = ({ 
   products, 
@@ -14,6 +15,7 @@ const SearchResults = ({
   resetPagination = 0
 }) => {
   const { user } = useAuth();
+  const { formatPrice } = useCurrency();
   const [sortBy, setSortBy] = useState('name');
   const [sortOrder, setSortOrder] = useState('asc');
   const [currentPage, setCurrentPage] = useState(1);
@@ -217,10 +219,7 @@ const SearchResults = ({
                       {/* Price and Action */}
                       <div className="text-right">
                         <p className="text-xl font-bold text-gray-900 mb-2">
-                          {new Intl.NumberFormat('en-GH', {
-                            style: 'currency',
-                            currency: 'GHS'
-                          }).format(product.pricing?.unitPrice || product.price || 0)}
+                          {formatPrice(product.pricing?.unitPrice || product.price || 0)}
                         </p>
                         {((product.pricing?.bulkPricing && product.pricing.bulkPricing.length > 0) || product.bulkPricing) && (
                           <p className="text-xs text-gray-500 mb-2">
@@ -296,10 +295,7 @@ const SearchResults = ({
                           <div className="flex items-center justify-between">
                             {/* Price Tag - Simple text, not a button */}
                             <div className="text-lg font-bold text-gray-900">
-                              {new Intl.NumberFormat('en-GH', {
-                                style: 'currency',
-                                currency: 'GHS'
-                              }).format(product.pricing?.unitPrice || product.price || 0)}
+                              {formatPrice(product.pricing?.unitPrice || product.price || 0)}
                             </div>
                             
                             {/* Add to Request Button */}
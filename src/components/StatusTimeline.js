@@ -0,0 +1,36 @@
+import React from 'react';
+import { getStatusHistory, getStatusLabel } from '../utils/requestStatusUtils';
+import { formatDateTime } from '../utils/dateUtils';
+
+const DOT_COLORS = {
+  pending: 'bg-yellow-500',
+  processing: 'bg-blue-500',
+  approved: 'bg-green-500',
+  rejected: 'bg-red-500',
+  completed: 'bg-golden-600'
+};
+
+// Every status change on a request, oldest first
+const StatusTimeline = ({ request }) => {
+  const history = getStatusHistory(request);
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {history.map((entry, index) => (
+        <li key={`${entry.to}-${entry.changedAt || index}`} className="mb-4 ml-4 last:mb-0">
+          <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${DOT_COLORS[entry.to] || 'bg-gray-400'}`} />
+          <p className="text-sm font-medium text-gray-900">
+            {entry.from ? getStatusLabel(entry.to) : 'Request submitted'}
+          </p>
+          <p className="text-xs text-gray-500">
+            {formatDateTime(entry.changedAt)}
+            {entry.actor?.name && ` · ${entry.actor.name}`}
+          </p>
+          {entry.comment && <p className="text-sm text-gray-700 mt-1">{entry.comment}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusTimeline;
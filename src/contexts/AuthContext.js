@@ -109,46 +109,63 @@ const AuthContext = createContext();
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
-  // Load user from token on mount
-  useEffect(() => {
-    const initializeAuth = async () => {
-      const token = localStorage.getItem('ogla-token');
-      if (token) {
-        try {
-          // Verify token and get user data
-          const response = await fetch('http://localhost:5000/api/auth/profile', {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json',
-            },
-          });
+  // Load user from the stored token
+  const loadUserFromToken = useCallback(async () => {
+    const token = localStorage.getItem('ogla-token');
+    if (token) {
+      try {
+        // Verify token and get user data
+        const response = await fetch('http://localhost:5000/api/auth/profile', {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+        });
 
-          if (response.ok) {
-            const data = await response.json();
-            if (data.success) {
-              dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: data.data } });
-            } else {
-              // Token invalid, remove it
-              localStorage.removeItem('ogla-token');
-              dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: null } });
-            }
+        if (response.ok) {
+          const data = await response.json();
+          if (data.success) {
+            dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: data.data } });
           } else {
             // Token invalid, remove it
             localStorage.removeItem('ogla-token');
             dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: null } });
           }
-        } catch (error) {
-          console.error('Error loading user:', error);
+        } else {
+          // Token invalid, remove it
           localStorage.removeItem('ogla-token');
           dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: null } });
         }
-      } else {
+      } catch (error) {
+        console.error('Error loading user:', error);
+        localStorage.removeItem('ogla-token');
         dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: null } });
       }
+    } else {
+      dispatch({ type: AUTH_ACTIONS.LOAD_USER, payload: { user: null } });
+    }
+  }, []);
+
+  // Load user from token on mount
+  useEffect(() => {
+    loadUserFromToken();
+  }, [loadUserFromToken]);
+
+  // Keep tabs in step: signing in or out in one tab changes the token in every tab
+  useEffect(() => {
+    const handleStorageChange = (event) => {
+      if (event.key !== 'ogla-token' && event.key !== null) return;
+
+      if (!localStorage.getItem('ogla-token')) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      } else if (event.newValue !== event.oldValue) {
+        loadUserFromToken();
+      }
     };
 
-    initializeAuth();
-  }, []);
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, [loadUserFromToken]);
 
   // Auth actions
   const login = async (email, password) => {
@@ -0,0 +1,80 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { currencyService } from '../services/currencyService';
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  convertFromBase,
+  formatFromBase,
+  formatMoney
+} from '../utils/currencyUtils';
+
+const CURRENCY_STORAGE_KEY = 'ogla-currency';
+
+// Create context
+const CurrencyContext = createContext();
+
+// Display currency provider. Prices stay in GHS everywhere; this only changes how they are shown.
+export const CurrencyProvider = ({ children }) => {
+  const [currency, setCurrencyState] = useState(() => localStorage.getItem(CURRENCY_STORAGE_KEY) || BASE_CURRENCY);
+  const [rates, setRates] = useState({});
+  const [ratesUpdatedAt, setRatesUpdatedAt] = useState(null);
+
+  const loadRates = useCallback(async () => {
+    try {
+      const response = await currencyService.getRates();
+      const data = response.data?.data || {};
+      setRates(data.rates || {});
+      setRatesUpdatedAt(data.updatedAt || null);
+    } catch (error) {
+      // Without rates every price is shown in cedis
+      console.error('Error loading exchange rates:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  const setCurrency = (code) => {
+    setCurrencyState(code);
+    localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+  };
+
+  // A currency is only offered once it has a rate
+  const availableCurrencies = CURRENCIES.filter(option =>
+    option.code === BASE_CURRENCY || Number(rates[option.code]) > 0
+  );
+  const activeCurrency = availableCurrencies.some(option => option.code === currency) ? currency : BASE_CURRENCY;
+
+  const value = {
+    currency: activeCurrency,
+    setCurrency,
+    currencies: availableCurrencies,
+    rates,
+    ratesUpdatedAt,
+    reloadRates: loadRates,
+    isBaseCurrency: activeCurrency === BASE_CURRENCY,
+    // The rate quoted on a request, in cedis per unit of the chosen currency
+    rate: activeCurrency === BASE_CURRENCY ? 1 : Number(rates[activeCurrency]),
+    // Convert and format a cedi amount in the buyer's currency
+    convertPrice: (amount) => convertFromBase(amount, activeCurrency, rates),
+    formatPrice: (amount) => formatFromBase(amount, activeCurrency, rates),
+    // Always in cedis, for the reference amount next to a converted price
+    formatBasePrice: (amount) => formatMoney(amount, BASE_CURRENCY)
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+// Custom hook to use currency context
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
@@ -1,22 +1,51 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { basketService } from '../services/basketService';
+import { getUnitPrice, getBulkTiers, priceLineItem, calculateTotals } from '../utils/pricingUtils';
+import { buildLineId } from '../utils/variantUtils';
+import { getQuantityRules, snapQuantity } from '../utils/orderQuantityUtils';
+import { clearLocalDrafts } from '../utils/requestDraftUtils';
 
 // Request item structure (for reference)
 // const RequestItem = {
-//   _id: '',
+//   lineId: '',        // product ID + selected options, e.g. '1::Size=500g'
+//   _id: '',           // product ID
+//   selectedOptions: {}, // e.g. { Size: '500g', Color: 'Blue' }
 //   name: '',
-//   price: 0,
+//   price: 0,          // effective per-unit price for the current quantity
+//   unitPrice: 0,      // single-unit list price
+//   bulkTiers: [],     // [{ minQuantity, maxQuantity, price }]
+//   tierMinQuantity: null,
+//   savings: 0,        // (unitPrice - price) * quantity
 //   image: '',
 //   brandId: '',
 //   brandName: '',
 //   quantity: 1,
+//   minOrderQuantity: 1,
+//   maxOrderQuantity: null,
+//   quantityStep: 1,  // quantities go min, min + step, ...
 //   slug: ''
 // };
 
+// Request list structure (for reference)
+// const RequestList = {
+//   id: '',
+//   name: '',          // e.g. 'Q3 La Veeda restock'
+//   items: [],         // RequestItem[]
+//   createdAt: ''
+// };
+
+const DEFAULT_LIST = { id: 'default', name: 'My Request' };
+
 // Request basket state structure
+// `items` and the totals always mirror the active list so components can ignore lists
 const initialState = {
+  lists: [{ ...DEFAULT_LIST, items: [] }],
+  activeListId: DEFAULT_LIST.id,
   items: [],
   totalItems: 0,
   totalAmount: 0,
+  totalSavings: 0,
   isOpen: false
 };
 
@@ -27,7 +56,129 @@ const REQUEST_BASKET_ACTIONS = {
   UPDATE_QUANTITY: 'UPDATE_QUANTITY',
   CLEAR_BASKET: 'CLEAR_BASKET',
   TOGGLE_BASKET: 'TOGGLE_BASKET',
-  LOAD_BASKET: 'LOAD_BASKET'
+  LOAD_BASKET: 'LOAD_BASKET',
+  MERGE_BASKET: 'MERGE_BASKET',
+  IMPORT_ITEMS: 'IMPORT_ITEMS',
+  CREATE_LIST: 'CREATE_LIST',
+  RENAME_LIST: 'RENAME_LIST',
+  DUPLICATE_LIST: 'DUPLICATE_LIST',
+  SWITCH_LIST: 'SWITCH_LIST',
+  DELETE_LIST: 'DELETE_LIST'
+};
+
+// Re-price every line for its quantity, recompute the totals and store the lines on the active list
+const withPricedItems = (state, items) => {
+  const pricedItems = items.map(item => priceLineItem({
+    ...item,
+    // Baskets saved before variant support keyed lines by product ID only
+    lineId: item.lineId || item._id,
+    selectedOptions: item.selectedOptions || {}
+  }));
+  return {
+    ...state,
+    lists: state.lists.map(list =>
+      list.id === state.activeListId ? { ...list, items: pricedItems } : list
+    ),
+    items: pricedItems,
+    ...calculateTotals(pricedItems)
+  };
+};
+
+// Make `listId` the active list and load its lines
+const withActiveList = (state, lists, listId) => {
+  const activeList = lists.find(list => list.id === listId) || lists[0];
+  return withPricedItems({ ...state, lists, activeListId: activeList.id }, activeList.items || []);
+};
+
+// Baskets saved before named lists only have `items`; wrap them in the default list
+const normalizeLists = (basket) => {
+  if (Array.isArray(basket?.lists) && basket.lists.length > 0) {
+    return basket.lists.map(list => ({ ...list, items: list.items || [] }));
+  }
+  return [{ ...DEFAULT_LIST, items: basket?.items || [] }];
+};
+
+// Merge the basket saved on the account with the basket built on this device.
+// Lines on only one side are kept; when both have a line the larger quantity wins,
+// so a basket that was already synced from this device is not doubled up.
+const mergeBasketItems = (savedItems, localItems) => {
+  const merged = savedItems.map(item => ({ ...item, lineId: item.lineId || item._id }));
+
+  localItems.forEach(localItem => {
+    const index = merged.findIndex(item => item.lineId === localItem.lineId);
+    if (index === -1) {
+      merged.push(localItem);
+    } else if (localItem.quantity > merged[index].quantity) {
+      merged[index] = { ...merged[index], quantity: localItem.quantity };
+    }
+  });
+
+  return merged;
+};
+
+// Merge account lists with device lists by list ID, merging the lines of lists on both sides
+const mergeBasketLists = (savedLists, localLists) => {
+  const merged = [...savedLists];
+
+  localLists.forEach(localList => {
+    const index = merged.findIndex(list => list.id === localList.id);
+    if (index === -1) {
+      merged.push(localList);
+    } else {
+      merged[index] = { ...merged[index], items: mergeBasketItems(merged[index].items, localList.items) };
+    }
+  });
+
+  return merged;
+};
+
+// Build a basket line for a product with the chosen quantity and variant options
+const buildRequestItem = (product, quantity, selectedOptions) => {
+  // Handle different price structures
+  const unitPrice = getUnitPrice(product);
+  const quantityRules = getQuantityRules(product);
+
+  // Generate a unique ID for featured products that don't have _id
+  const productId = product._id || `featured_${product.name.replace(/\s+/g, '_').toLowerCase()}`;
+
+  return {
+    lineId: buildLineId(productId, selectedOptions),
+    _id: productId,
+    selectedOptions,
+    name: product.name,
+    price: unitPrice,
+    unitPrice,
+    bulkTiers: getBulkTiers(product),
+    image: product.images?.[0] || product.image || '/images/placeholder-product.webp',
+    brandId: product.brandId || 'featured',
+    brandName: product.brandName || 'Featured Product',
+    quantity,
+    ...quantityRules,
+    slug: product.slug || product.name.toLowerCase().replace(/\s+/g, '-'),
+    shortDescription: product.shortDescription || product.description || ''
+  };
+};
+
+// Keep a line on its product's minimum, maximum and pack size
+const withValidQuantity = (item, quantity) => ({
+  ...item,
+  quantity: snapQuantity(getQuantityRules(item), quantity)
+});
+
+// Add lines to the basket, adding quantities together when a line is already there
+const addLines = (items, lines) => {
+  const updatedItems = [...items];
+
+  lines.forEach(line => {
+    const index = updatedItems.findIndex(item => item.lineId === line.lineId);
+    if (index === -1) {
+      updatedItems.push(withValidQuantity(line, line.quantity));
+    } else {
+      updatedItems[index] = withValidQuantity(updatedItems[index], updatedItems[index].quantity + line.quantity);
+    }
+  });
+
+  return updatedItems;
 };
 
 // Request basket reducer
@@ -35,74 +186,34 @@ const requestBasketReducer = (state, action) => {
   switch (action.type) {
     case REQUEST_BASKET_ACTIONS.ADD_ITEM: {
       const { item } = action.payload;
-      const existingItem = state.items.find(basketItem => basketItem._id === item._id);
-      
-      if (existingItem) {
-        // Update quantity if item already exists
-        const updatedItems = state.items.map(basketItem =>
-          basketItem._id === item._id
-            ? { ...basketItem, quantity: basketItem.quantity + item.quantity }
-            : basketItem
-        );
-        
-        return {
-          ...state,
-          items: updatedItems,
-          totalItems: state.totalItems + item.quantity,
-          totalAmount: state.totalAmount + (item.price * item.quantity)
-        };
-      } else {
-        // Add new item
-        return {
-          ...state,
-          items: [...state.items, item],
-          totalItems: state.totalItems + item.quantity,
-          totalAmount: state.totalAmount + (item.price * item.quantity)
-        };
-      }
+      // Update quantity if the same product and options are already in the basket
+      return withPricedItems(state, addLines(state.items, [item]));
     }
     
     case REQUEST_BASKET_ACTIONS.REMOVE_ITEM: {
-      const { itemId } = action.payload;
-      const itemToRemove = state.items.find(item => item._id === itemId);
+      const { lineId } = action.payload;
+      const itemToRemove = state.items.find(item => item.lineId === lineId);
       
       if (!itemToRemove) return state;
       
-      return {
-        ...state,
-        items: state.items.filter(item => item._id !== itemId),
-        totalItems: state.totalItems - itemToRemove.quantity,
-        totalAmount: state.totalAmount - (itemToRemove.price * itemToRemove.quantity)
-      };
+      return withPricedItems(state, state.items.filter(item => item.lineId !== lineId));
     }
     
     case REQUEST_BASKET_ACTIONS.UPDATE_QUANTITY: {
-      const { itemId, quantity } = action.payload;
-      const item = state.items.find(item => item._id === itemId);
+      const { lineId, quantity } = action.payload;
+      const item = state.items.find(item => item.lineId === lineId);
       
       if (!item) return state;
       
-      const quantityDiff = quantity - item.quantity;
-      
-      return {
-        ...state,
-        items: state.items.map(basketItem =>
-          basketItem._id === itemId
-            ? { ...basketItem, quantity }
-            : basketItem
-        ),
-        totalItems: state.totalItems + quantityDiff,
-        totalAmount: state.totalAmount + (item.price * quantityDiff)
-      };
+      return withPricedItems(state, state.items.map(basketItem =>
+        basketItem.lineId === lineId
+          ? withValidQuantity(basketItem, quantity)
+          : basketItem
+      ));
     }
     
     case REQUEST_BASKET_ACTIONS.CLEAR_BASKET:
-      return {
-        ...state,
-        items: [],
-        totalItems: 0,
-        totalAmount: 0
-      };
+      return withPricedItems(state, []);
     
     case REQUEST_BASKET_ACTIONS.TOGGLE_BASKET:
       return {
@@ -110,11 +221,58 @@ const requestBasketReducer = (state, action) => {
         isOpen: !state.isOpen
       };
     
+    case REQUEST_BASKET_ACTIONS.MERGE_BASKET: {
+      const lists = mergeBasketLists(normalizeLists(action.payload), state.lists);
+      return withActiveList(state, lists, state.activeListId);
+    }
+    
+    case REQUEST_BASKET_ACTIONS.IMPORT_ITEMS: {
+      const { items, replace } = action.payload;
+      return withPricedItems(state, addLines(replace ? [] : state.items, items));
+    }
+    
     case REQUEST_BASKET_ACTIONS.LOAD_BASKET:
+      // Baskets saved before tiered pricing have no unitPrice/bulkTiers; priceLineItem fills them in
+      return withActiveList(state, normalizeLists(action.payload), action.payload.activeListId);
+    
+    case REQUEST_BASKET_ACTIONS.CREATE_LIST:
+      return withActiveList(state, [...state.lists, action.payload.list], action.payload.list.id);
+    
+    case REQUEST_BASKET_ACTIONS.RENAME_LIST: {
+      const { listId, name } = action.payload;
       return {
         ...state,
-        ...action.payload
+        lists: state.lists.map(list => (list.id === listId ? { ...list, name } : list))
       };
+    }
+    
+    case REQUEST_BASKET_ACTIONS.DUPLICATE_LIST: {
+      const { listId, list } = action.payload;
+      const sourceList = state.lists.find(existing => existing.id === listId);
+      
+      if (!sourceList) return state;
+      
+      return {
+        ...state,
+        lists: [...state.lists, { ...list, items: sourceList.items.map(item => ({ ...item })) }]
+      };
+    }
+    
+    case REQUEST_BASKET_ACTIONS.SWITCH_LIST:
+      return withActiveList(state, state.lists, action.payload.listId);
+    
+    case REQUEST_BASKET_ACTIONS.DELETE_LIST: {
+      const { listId } = action.payload;
+      const remainingLists = state.lists.filter(list => list.id !== listId);
+      
+      // A buyer always has at least one list to add products to
+      if (remainingLists.length === 0) {
+        return withActiveList(state, [{ ...DEFAULT_LIST, items: [] }], DEFAULT_LIST.id);
+      }
+      
+      const nextActiveId = listId === state.activeListId ? remainingLists[0].id : state.activeListId;
+      return withActiveList(state, remainingLists, nextActiveId);
+    }
     
     default:
       return state;
@@ -128,12 +286,16 @@ const RequestBasketContext = createContext();
 export const RequestBasketProvider = ({ children }) => {
   const [state, dispatch] = useReducer(requestBasketReducer, initialState);
 
+  // Account the localStorage copy was last synced with; null when it was built as a guest
+  const cacheOwnerRef = useRef(null);
+
   // Load request basket from localStorage on mount
   useEffect(() => {
     const savedBasket = localStorage.getItem('ogla-request-basket');
     if (savedBasket) {
       try {
         const parsedBasket = JSON.parse(savedBasket);
+        cacheOwnerRef.current = parsedBasket.ownerId || null;
         dispatch({ type: REQUEST_BASKET_ACTIONS.LOAD_BASKET, payload: parsedBasket });
       } catch (error) {
         console.error('Error loading request basket from localStorage:', error);
@@ -141,57 +303,156 @@ export const RequestBasketProvider = ({ children }) => {
     }
   }, []);
 
-  // Save request basket to localStorage whenever it changes
+  // Apply basket changes made in other tabs. The tab that made the change has already
+  // saved it, so the next save here is skipped to avoid echoing it back. While this tab
+  // still has a save of its own waiting, the change is merged in instead so neither is lost,
+  // and the merged basket is saved.
+  const skipNextSaveRef = useRef(false);
+  const pendingSaveRef = useRef(false);
+  // Last basket written to or read from localStorage, so an unchanged basket is not written back
+  const storedBasketRef = useRef(null);
+
   useEffect(() => {
+    const handleStorageChange = (event) => {
+      if (event.key !== 'ogla-request-basket') return;
+
+      storedBasketRef.current = event.newValue;
+
+      if (!event.newValue) {
+        cacheOwnerRef.current = null;
+        skipNextSaveRef.current = true;
+        dispatch({ type: REQUEST_BASKET_ACTIONS.CLEAR_BASKET });
+        return;
+      }
+
+      try {
+        const parsedBasket = JSON.parse(event.newValue);
+        cacheOwnerRef.current = parsedBasket.ownerId || null;
+        if (pendingSaveRef.current) {
+          dispatch({ type: REQUEST_BASKET_ACTIONS.MERGE_BASKET, payload: parsedBasket });
+          return;
+        }
+        skipNextSaveRef.current = true;
+        dispatch({ type: REQUEST_BASKET_ACTIONS.LOAD_BASKET, payload: parsedBasket });
+      } catch (error) {
+        console.error('Error loading request basket from another tab:', error);
+      }
+    };
+
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, []);
+
+  // Sync with the account basket once the user is signed in
+  const { user, isAuthenticated, isLoading: isAuthLoading } = useAuth();
+  const accountId = user?._id || user?.id || null;
+  const serverSyncRef = useRef({ accountId: null, ready: false });
+
+  useEffect(() => {
+    if (isAuthLoading) return;
+
+    if (!isAuthenticated) {
+      // Signing out leaves the basket and the request form drafts on the account, not on this device
+      if (serverSyncRef.current.accountId) {
+        clearLocalDrafts(serverSyncRef.current.accountId);
+        cacheOwnerRef.current = null;
+        dispatch({ type: REQUEST_BASKET_ACTIONS.CLEAR_BASKET });
+      }
+      serverSyncRef.current = { accountId: null, ready: false };
+      return;
+    }
+
+    if (serverSyncRef.current.accountId === accountId) return;
+    serverSyncRef.current = { accountId, ready: false };
+
+    let cancelled = false;
+    const loadSavedBasket = async () => {
+      try {
+        const response = await basketService.getBasket();
+        if (cancelled) return;
+        // A basket built as a guest is merged into the account basket; a copy already
+        // synced with an account is only a cache and is replaced by the saved basket
+        const type = cacheOwnerRef.current
+          ? REQUEST_BASKET_ACTIONS.LOAD_BASKET
+          : REQUEST_BASKET_ACTIONS.MERGE_BASKET;
+        cacheOwnerRef.current = accountId;
+        serverSyncRef.current.ready = true;
+        dispatch({ type, payload: response.data?.data || {} });
+      } catch (error) {
+        // Stay on the localStorage copy; saving now could overwrite the account basket
+        console.error('Error loading saved request basket:', error);
+      }
+    };
+
+    loadSavedBasket();
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, isAuthLoading, accountId]);
+
+  // Save request basket to localStorage whenever it changes, and to the account when synced
+  useEffect(() => {
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+
     const basketToSave = {
+      ownerId: cacheOwnerRef.current,
+      lists: state.lists,
+      activeListId: state.activeListId,
       items: state.items,
       totalItems: state.totalItems,
-      totalAmount: state.totalAmount
+      totalAmount: state.totalAmount,
+      totalSavings: state.totalSavings
     };
-    localStorage.setItem('ogla-request-basket', JSON.stringify(basketToSave));
-  }, [state.items, state.totalItems, state.totalAmount]);
+    const serializedBasket = JSON.stringify(basketToSave);
+    if (serializedBasket !== storedBasketRef.current) {
+      localStorage.setItem('ogla-request-basket', serializedBasket);
+      storedBasketRef.current = serializedBasket;
+    }
 
-  // Request basket actions
-  const addToRequest = (product, quantity = 1) => {
-    // Handle different price structures
-    let price = 0;
-    if (product.pricing?.unitPrice) {
-      price = product.pricing.unitPrice;
-    } else if (typeof product.price === 'number') {
-      price = product.price;
-    } else if (typeof product.price === 'string') {
-      // Handle price strings like "₵156.00" or "GHS 280.00"
-      const priceMatch = product.price.match(/[\d,]+\.?\d*/);
-      price = priceMatch ? parseFloat(priceMatch[0].replace(/,/g, '')) : 0;
-    }
-
-    // Generate a unique ID for featured products that don't have _id
-    const productId = product._id || `featured_${product.name.replace(/\s+/g, '_').toLowerCase()}`;
-
-    const requestItem = {
-      _id: productId,
-      name: product.name,
-      price: price,
-      image: product.images?.[0] || product.image || '/images/placeholder-product.webp',
-      brandId: product.brandId || 'featured',
-      brandName: product.brandName || 'Featured Product',
-      quantity,
-      slug: product.slug || product.name.toLowerCase().replace(/\s+/g, '-'),
-      shortDescription: product.shortDescription || product.description || ''
+    if (!serverSyncRef.current.ready) return;
+
+    pendingSaveRef.current = true;
+    const saveTimeout = setTimeout(() => {
+      pendingSaveRef.current = false;
+      basketService.saveBasket({ lists: state.lists, activeListId: state.activeListId }).catch(error => {
+        console.error('Error saving request basket:', error);
+      });
+    }, 800);
+
+    return () => {
+      pendingSaveRef.current = false;
+      clearTimeout(saveTimeout);
     };
-    
+  }, [state.lists, state.activeListId, state.items, state.totalItems, state.totalAmount, state.totalSavings]);
+
+  // Request basket actions
+  // Without a quantity the product's minimum order quantity is added
+  const addToRequest = (product, quantity = getQuantityRules(product).minOrderQuantity, selectedOptions = {}) => {
+    const requestItem = buildRequestItem(product, quantity, selectedOptions);
     dispatch({ type: REQUEST_BASKET_ACTIONS.ADD_ITEM, payload: { item: requestItem } });
   };
 
-  const removeFromRequest = (itemId) => {
-    dispatch({ type: REQUEST_BASKET_ACTIONS.REMOVE_ITEM, payload: { itemId } });
+  // Add several products at once, e.g. from a shared basket link.
+  // `entries` are { product, quantity, selectedOptions }; `replace` empties the active list first.
+  const addItemsToRequest = (entries, { replace = false } = {}) => {
+    const items = entries.map(({ product, quantity, selectedOptions = {} }) =>
+      buildRequestItem(product, quantity, selectedOptions)
+    );
+    dispatch({ type: REQUEST_BASKET_ACTIONS.IMPORT_ITEMS, payload: { items, replace } });
   };
 
-  const updateQuantity = (itemId, quantity) => {
+  const removeFromRequest = (lineId) => {
+    dispatch({ type: REQUEST_BASKET_ACTIONS.REMOVE_ITEM, payload: { lineId } });
+  };
+
+  const updateQuantity = (lineId, quantity) => {
     if (quantity <= 0) {
-      removeFromRequest(itemId);
+      removeFromRequest(lineId);
     } else {
-      dispatch({ type: REQUEST_BASKET_ACTIONS.UPDATE_QUANTITY, payload: { itemId, quantity } });
+      dispatch({ type: REQUEST_BASKET_ACTIONS.UPDATE_QUANTITY, payload: { lineId, quantity } });
     }
   };
 
@@ -203,24 +464,81 @@ export const RequestBasketProvider = ({ children }) => {
     dispatch({ type: REQUEST_BASKET_ACTIONS.TOGGLE_BASKET });
   };
 
-  const isInRequest = (productId) => {
+  // Named request lists
+  const createList = (name) => {
+    const list = {
+      id: `list_${Date.now().toString(36)}`,
+      name: name.trim() || 'Untitled list',
+      items: [],
+      createdAt: new Date().toISOString()
+    };
+    dispatch({ type: REQUEST_BASKET_ACTIONS.CREATE_LIST, payload: { list } });
+    return list.id;
+  };
+
+  const renameList = (listId, name) => {
+    if (!name.trim()) return;
+    dispatch({ type: REQUEST_BASKET_ACTIONS.RENAME_LIST, payload: { listId, name: name.trim() } });
+  };
+
+  const duplicateList = (listId) => {
+    const sourceList = state.lists.find(list => list.id === listId);
+    if (!sourceList) return;
+
+    const list = {
+      id: `list_${Date.now().toString(36)}`,
+      name: `Copy of ${sourceList.name}`,
+      createdAt: new Date().toISOString()
+    };
+    dispatch({ type: REQUEST_BASKET_ACTIONS.DUPLICATE_LIST, payload: { listId, list } });
+  };
+
+  const switchList = (listId) => {
+    dispatch({ type: REQUEST_BASKET_ACTIONS.SWITCH_LIST, payload: { listId } });
+  };
+
+  const deleteList = (listId) => {
+    dispatch({ type: REQUEST_BASKET_ACTIONS.DELETE_LIST, payload: { listId } });
+  };
+
+  const activeList = state.lists.find(list => list.id === state.activeListId) || state.lists[0];
+
+  // Without options these match any variant of the product
+  const isInRequest = (productId, selectedOptions) => {
+    if (selectedOptions) {
+      const lineId = buildLineId(productId, selectedOptions);
+      return state.items.some(item => item.lineId === lineId);
+    }
     return state.items.some(item => item._id === productId);
   };
 
-  const getItemQuantity = (productId) => {
-    const item = state.items.find(item => item._id === productId);
-    return item ? item.quantity : 0;
+  const getItemQuantity = (productId, selectedOptions) => {
+    if (selectedOptions) {
+      const lineId = buildLineId(productId, selectedOptions);
+      const item = state.items.find(item => item.lineId === lineId);
+      return item ? item.quantity : 0;
+    }
+    return state.items
+      .filter(item => item._id === productId)
+      .reduce((sum, item) => sum + item.quantity, 0);
   };
 
   const value = {
     ...state,
     addToRequest,
+    addItemsToRequest,
     removeFromRequest,
     updateQuantity,
     clearRequestBasket,
     toggleRequestBasket,
     isInRequest,
-    getItemQuantity
+    getItemQuantity,
+    activeList,
+    createList,
+    renameList,
+    duplicateList,
+    switchList,
+    deleteList
   };
 
   return (
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { attachmentService } from '../services/attachmentService';
+import { MAX_ATTACHMENTS, getAttachmentError } from '../utils/attachmentUtils';
+
+// Uploads request attachments as they are chosen and tracks their progress
+export const useAttachmentUploads = () => {
+  const [attachments, setAttachments] = useState([]);
+  const [errors, setErrors] = useState([]);
+
+  const updateAttachment = (localId, changes) => {
+    setAttachments(prev => prev.map(attachment => (
+      attachment.localId === localId ? { ...attachment, ...changes } : attachment
+    )));
+  };
+
+  const uploadFile = async (file, localId) => {
+    try {
+      const response = await attachmentService.uploadAttachment(file, (progress) => {
+        updateAttachment(localId, { progress });
+      });
+      const uploaded = response.data?.data || {};
+      updateAttachment(localId, { id: uploaded.id, status: 'done', progress: 100 });
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      updateAttachment(localId, {
+        status: 'error',
+        error: error.response?.data?.message || 'Upload failed'
+      });
+    }
+  };
+
+  const addFiles = (files) => {
+    const newErrors = [];
+    const accepted = [];
+    Array.from(files).forEach(file => {
+      const error = getAttachmentError(file);
+      if (error) {
+        newErrors.push(error);
+      } else if (attachments.length + accepted.length >= MAX_ATTACHMENTS) {
+        newErrors.push(`${file.name}: you can attach up to ${MAX_ATTACHMENTS} files.`);
+      } else {
+        accepted.push(file);
+      }
+    });
+    setErrors(newErrors);
+
+    const entries = accepted.map((file, index) => ({
+      localId: `${Date.now()}_${index}`,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      progress: 0,
+      status: 'uploading'
+    }));
+    setAttachments(prev => [...prev, ...entries]);
+    entries.forEach((entry, index) => uploadFile(accepted[index], entry.localId));
+  };
+
+  const removeAttachment = (attachment) => {
+    setAttachments(prev => prev.filter(existing => existing.localId !== attachment.localId));
+    if (attachment.id) {
+      attachmentService.deleteAttachment(attachment.id).catch(error => {
+        console.error('Error removing attachment:', error);
+      });
+    }
+  };
+
+  // Forget the files once they have been sent with a request or message
+  const reset = () => {
+    setAttachments([]);
+    setErrors([]);
+  };
+
+  return {
+    attachments,
+    errors,
+    isUploading: attachments.some(attachment => attachment.status === 'uploading'),
+    // What to send with a request or message; failed uploads are left out
+    uploadedAttachments: attachments
+      .filter(attachment => attachment.status === 'done')
+      .map(({ id, name, size, type }) => ({ id, name, size, type })),
+    canAddMore: attachments.length < MAX_ATTACHMENTS,
+    addFiles,
+    removeAttachment,
+    reset
+  };
+};
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import { messageService } from '../services/messageService';
+
+// Loads the conversation on a request, marks it read and posts replies.
+// `onRead` is called once the thread has been marked read so lists can clear their unread badge.
+export const useRequestMessages = (requestNumber, onRead) => {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadMessages = useCallback(async () => {
+    if (!requestNumber) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await messageService.getMessages(requestNumber);
+      const thread = response.data?.data || [];
+      setMessages(thread);
+
+      if (thread.some(message => message.isUnread)) {
+        await messageService.markRead(requestNumber);
+      }
+      if (onRead) onRead(requestNumber);
+    } catch (loadError) {
+      console.error('Error loading messages:', loadError);
+      setError('Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+    // onRead is a notification only; reloading when its identity changes would refetch on every render
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [requestNumber]);
+
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  const sendMessage = async (message) => {
+    try {
+      setSending(true);
+      setError(null);
+      const response = await messageService.sendMessage(requestNumber, message);
+      const sent = response.data?.data;
+      if (sent) {
+        setMessages(prev => [...prev, sent]);
+      } else {
+        await loadMessages();
+      }
+      return true;
+    } catch (sendError) {
+      console.error('Error sending message:', sendError);
+      setError(sendError.response?.data?.message || 'Failed to send message');
+      return false;
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return { messages, loading, sending, error, sendMessage, reload: loadMessages };
+};
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import Loading from '../components/Loading';
 import ProductImageGallery from '../components/ProductImageGallery';
 import ProductReviews from '../components/ProductReviews';
@@ -16,6 +17,7 @@ const FeaturedProductDetail = () => {
   const navigate = useNavigate();
   const { addToRequest, isInRequest } = useRequestBasket();
   const { user } = useAuth();
+  const { formatPrice } = useCurrency();
   const [activeTab, setActiveTab] = useState('description');
   const [featuredProduct, setFeaturedProduct] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -83,14 +85,6 @@ const FeaturedProductDetail = () => {
     );
   }
 
-  const formatPrice = (price) => {
-    if (!price || isNaN(price)) return 'GH₵0.00';
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
-  };
-
   const getProductPrice = (product) => {
     if (product.pricing?.unitPrice) return product.pricing.unitPrice;
     if (product.pricing?.base) return product.pricing.base;
@@ -9,17 +9,36 @@ import {
   FiCheckCircle,
   FiXCircle,
   FiAlertCircle,
+  FiRepeat,
+  FiEdit2,
+  FiMessageSquare,
 } from "react-icons/fi";
 import { useAuth } from "../contexts/AuthContext";
 import api from "../services/api";
 import { formatDate } from "../utils/dateUtils";
 import invoiceGenerator from "../utils/invoiceGenerator";
+import { formatVariantOptions } from "../utils/variantUtils";
+import ReorderModal from "../components/ReorderModal";
+import AmendRequestModal from "../components/AmendRequestModal";
+import SavedDrafts from "../components/SavedDrafts";
+import RequestAttachments from "../components/RequestAttachments";
+import RequestMessages from "../components/RequestMessages";
+import StatusTimeline from "../components/StatusTimeline";
+import QuoteRevisions from "../components/QuoteRevisions";
+import OrderPayments from "../components/OrderPayments";
+import InvoiceExportButtons from "../components/InvoiceExportButtons";
+import { useCurrency } from "../contexts/CurrencyContext";
+import { getQuoteRevision, formatRevisionLabel } from "../utils/quoteRevisionUtils";
+import { getPayableTotal, hasTaxesOnTop } from "../utils/taxUtils";
+import { PAYMENT_STATUS_LABELS, getPaymentSummary } from "../utils/orderUtils";
 
 const MyRequests = () => {
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [reorderRequest, setReorderRequest] = useState(null);
+  const [amendRequest, setAmendRequest] = useState(null);
 
   const { isAuthenticated } = useAuth();
   const navigate = useNavigate();
@@ -73,6 +92,8 @@ const MyRequests = () => {
         return "text-red-600 bg-red-50 border-red-200";
       case "processing":
         return "text-blue-600 bg-blue-50 border-blue-200";
+      case "completed":
+        return "text-golden-700 bg-golden-50 border-golden-200";
       default:
         return "text-gray-600 bg-gray-50 border-gray-200";
     }
@@ -88,17 +109,14 @@ const MyRequests = () => {
         return <FiXCircle className="h-4 w-4" />;
       case "processing":
         return <FiAlertCircle className="h-4 w-4" />;
+      case "completed":
+        return <FiCheckCircle className="h-4 w-4" />;
       default:
         return <FiClock className="h-4 w-4" />;
     }
   };
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat("en-GH", {
-      style: "currency",
-      currency: "GHS",
-    }).format(price);
-  };
+  const { formatPrice } = useCurrency();
 
   // formatDate is now imported from utils/dateUtils
 
@@ -116,31 +134,8 @@ const MyRequests = () => {
         return;
       }
 
-      // Get request data (already parsed by backend)
-      const items = request.items || [];
-      const customerData = request.customerData || null;
-
       // Prepare invoice data for frontend generator
-      const invoiceData = {
-        invoiceNumber: request.request_number,
-        customer: customerData || {
-          firstName: request.customerName?.split(' ')[0] || 'Unknown',
-          lastName: request.customerName?.split(' ').slice(1).join(' ') || 'User',
-          email: request.customerEmail || 'Not provided',
-          phone: request.customerPhone || 'Not provided',
-          companyName: request.companyName || 'Not provided',
-          companyType: 'Not specified',
-          companyRole: 'Not specified'
-        },
-        items: items.map(item => ({
-          name: item.name || `Product ${item.productId}`,
-          quantity: item.quantity,
-          price: item.price,
-        })),
-        totalAmount: request.totalAmount,
-        submittedAt: request.formattedCreatedAt || request.createdAt,
-        status: request.status
-      };
+      const invoiceData = invoiceGenerator.buildInvoiceDataFromRequest(request);
 
       // Use frontend invoice generator
       await invoiceGenerator.generateProformaInvoice(invoiceData, false);
@@ -151,6 +146,33 @@ const MyRequests = () => {
     }
   };
 
+  // Only requests we haven't started working on or quoted again can be changed by the customer
+  const canAmend = (request) =>
+    (request.status || "pending") === "pending" && !getQuoteRevision(request);
+
+  const handleAmended = (updatedRequest) => {
+    const requestNumber =
+      updatedRequest.request_number || updatedRequest.requestNumber;
+    setRequests((prev) =>
+      prev.map((request) =>
+        request.request_number === requestNumber
+          ? { ...request, ...updatedRequest }
+          : request
+      )
+    );
+  };
+
+  // Clear the unread badge once the thread has been opened
+  const handleMessagesRead = (requestNumber) => {
+    setRequests((prev) =>
+      prev.map((request) =>
+        request.request_number === requestNumber
+          ? { ...request, unreadMessages: 0 }
+          : request
+      )
+    );
+  };
+
   const handleCloseDetails = () => {
     setShowDetails(false);
     setSelectedRequest(null);
@@ -186,6 +208,9 @@ const MyRequests = () => {
             </p>
           </div>
 
+          {/* Drafts */}
+          <SavedDrafts />
+
           {/* Requests List */}
           <div className="bg-white rounded-lg shadow-lg overflow-hidden">
             {loading ? (
@@ -245,6 +270,20 @@ const MyRequests = () => {
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm font-medium text-gray-900">
                             {request.request_number || `Request #${request.id}`}
+                            {request.version > 1 && (
+                              <span className="ml-2 text-xs font-normal text-gray-500">
+                                v{request.version}
+                              </span>
+                            )}
+                            {request.unreadMessages > 0 && (
+                              <span
+                                className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-golden-100 text-golden-800"
+                                title="New messages from our team"
+                              >
+                                <FiMessageSquare className="w-3 h-3 mr-1" />
+                                {request.unreadMessages} new
+                              </span>
+                            )}
                           </div>
                           <div className="text-sm text-gray-500">
                             {request.customerName || "Customer"}
@@ -266,8 +305,24 @@ const MyRequests = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-sm font-medium text-gray-900">
-                            {formatPrice(request.totalAmount || 0)}
+                            {formatPrice(getPayableTotal(request))}
                           </div>
+                          {getQuoteRevision(request) && (
+                            <div className="text-xs text-golden-700">
+                              Revised quote {formatRevisionLabel(getQuoteRevision(request).revision)}
+                            </div>
+                          )}
+                          {getPaymentSummary(request) && (
+                            <div
+                              className={`text-xs ${
+                                getPaymentSummary(request).status === "paid"
+                                  ? "text-green-600"
+                                  : "text-gray-500"
+                              }`}
+                            >
+                              {PAYMENT_STATUS_LABELS[getPaymentSummary(request).status]}
+                            </div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span
@@ -302,6 +357,22 @@ const MyRequests = () => {
                               <FiDownload className="h-4 w-4 mr-1" />
                               Download
                             </button>
+                            {canAmend(request) && (
+                              <button
+                                onClick={() => setAmendRequest(request)}
+                                className="text-gray-600 hover:text-gray-900 flex items-center"
+                              >
+                                <FiEdit2 className="h-4 w-4 mr-1" />
+                                Edit
+                              </button>
+                            )}
+                            <button
+                              onClick={() => setReorderRequest(request)}
+                              className="text-golden-600 hover:text-golden-700 flex items-center"
+                            >
+                              <FiRepeat className="h-4 w-4 mr-1" />
+                              Request again
+                            </button>
                           </div>
                         </td>
                       </motion.tr>
@@ -376,10 +447,20 @@ const MyRequests = () => {
                           {formatDate(selectedRequest.formattedCreatedAt || selectedRequest.createdAt || new Date())}
                         </span>
                       </div>
+                      {selectedRequest.version > 1 && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Version:</span>
+                          <span className="text-gray-900">
+                            {selectedRequest.version} (amended)
+                          </span>
+                        </div>
+                      )}
                       <div className="flex justify-between">
-                        <span className="text-gray-600">Total Amount:</span>
+                        <span className="text-gray-600">
+                          {hasTaxesOnTop(selectedRequest) ? "Total Amount (incl. taxes):" : "Total Amount:"}
+                        </span>
                         <span className="text-gray-900 font-medium">
-                          {formatPrice(selectedRequest.totalAmount || 0)}
+                          {formatPrice(getPayableTotal(selectedRequest))}
                         </span>
                       </div>
                     </div>
@@ -418,6 +499,26 @@ const MyRequests = () => {
                   </div>
                 </div>
 
+                {/* Order & Payments */}
+                {selectedRequest.order && (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-3">
+                      Order & Payments
+                    </h3>
+                    <OrderPayments request={selectedRequest} />
+                  </div>
+                )}
+
+                {/* Revised Quote */}
+                {getQuoteRevision(selectedRequest) && (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-3">
+                      Revised Quote
+                    </h3>
+                    <QuoteRevisions request={selectedRequest} />
+                  </div>
+                )}
+
                 {/* Items */}
                 <div className="mb-6">
                   <h3 className="text-lg font-medium text-gray-900 mb-3">
@@ -436,6 +537,11 @@ const MyRequests = () => {
                               <div className="font-medium text-gray-900">
                                 {item.name}
                               </div>
+                              {formatVariantOptions(item.selectedOptions) && (
+                                <div className="text-sm text-gray-500">
+                                  {formatVariantOptions(item.selectedOptions)}
+                                </div>
+                              )}
                               <div className="text-sm text-gray-600">
                                 Quantity: {item.quantity} ×{" "}
                                 {formatPrice(item.price)}
@@ -455,6 +561,53 @@ const MyRequests = () => {
                   </div>
                 </div>
 
+                {/* Amendment History */}
+                {Array.isArray(selectedRequest.amendments) &&
+                  selectedRequest.amendments.length > 0 && (
+                    <div className="mb-6">
+                      <h3 className="text-lg font-medium text-gray-900 mb-3">
+                        Change History
+                      </h3>
+                      <ul className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+                        {selectedRequest.amendments.map((amendment) => (
+                          <li
+                            key={amendment.version}
+                            className="flex justify-between"
+                          >
+                            <span className="text-gray-700">
+                              Version {amendment.version}
+                              {amendment.summary && ` · ${amendment.summary}`}
+                            </span>
+                            <span className="text-gray-500">
+                              {formatDate(amendment.amendedAt)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                {/* Status History */}
+                <div className="mb-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-3">
+                    Status History
+                  </h3>
+                  <StatusTimeline request={selectedRequest} />
+                </div>
+
+                {/* Attachments */}
+                {selectedRequest.attachments?.length > 0 && (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-3">
+                      Attachments
+                    </h3>
+                    <RequestAttachments
+                      requestNumber={selectedRequest.request_number || selectedRequest.requestNumber}
+                      attachments={selectedRequest.attachments}
+                    />
+                  </div>
+                )}
+
                 {/* Notes */}
                 {selectedRequest.notes && (
                   <div className="mb-6">
@@ -467,8 +620,25 @@ const MyRequests = () => {
                   </div>
                 )}
 
+                {/* Messages */}
+                <div className="mb-6">
+                  <h3 className="text-lg font-medium text-gray-900 mb-3">
+                    Messages
+                  </h3>
+                  <RequestMessages
+                    requestNumber={selectedRequest.request_number || selectedRequest.requestNumber}
+                    onRead={handleMessagesRead}
+                  />
+                </div>
+
                 {/* Actions */}
                 <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
+                  <InvoiceExportButtons
+                    className="mr-auto"
+                    getInvoiceData={() =>
+                      invoiceGenerator.buildInvoiceDataFromRequest(selectedRequest)
+                    }
+                  />
                   {selectedRequest.pdfMetadata?.generated && (
                     <button
                       onClick={() =>
@@ -480,6 +650,28 @@ const MyRequests = () => {
                       Download Invoice
                     </button>
                   )}
+                  {canAmend(selectedRequest) && (
+                    <button
+                      onClick={() => {
+                        handleCloseDetails();
+                        setAmendRequest(selectedRequest);
+                      }}
+                      className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+                    >
+                      <FiEdit2 className="h-4 w-4 mr-2" />
+                      Edit Request
+                    </button>
+                  )}
+                  <button
+                    onClick={() => {
+                      handleCloseDetails();
+                      setReorderRequest(selectedRequest);
+                    }}
+                    className="bg-golden-600 text-white px-4 py-2 rounded-lg hover:bg-golden-700 transition-colors flex items-center"
+                  >
+                    <FiRepeat className="h-4 w-4 mr-2" />
+                    Request Again
+                  </button>
                   <button
                     onClick={handleCloseDetails}
                     className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors"
@@ -492,6 +684,21 @@ const MyRequests = () => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {amendRequest && (
+        <AmendRequestModal
+          request={amendRequest}
+          onClose={() => setAmendRequest(null)}
+          onAmended={handleAmended}
+        />
+      )}
+
+      {reorderRequest && (
+        <ReorderModal
+          request={reorderRequest}
+          onClose={() => setReorderRequest(null)}
+        />
+      )}
     </div>
   );
 };
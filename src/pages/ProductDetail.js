@@ -1,22 +1,34 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useProducts } from '../hooks/useProducts';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import Loading from '../components/Loading';
 import ProductImageGallery from '../components/ProductImageGallery';
 import ProductReviews from '../components/ProductReviews';
 import RelatedProducts from '../components/RelatedProducts';
 import { ProductCardSkeleton } from '../components/LoadingSkeleton';
 import { getImageUrl } from '../utils/imageUtils';
+import { getSelectableVariants, getDefaultOptions } from '../utils/variantUtils';
+import { getQuantityRules, getQuantityError, stepQuantity, formatQuantityRules } from '../utils/orderQuantityUtils';
 
 const ProductDetail = () => {
   const { slug } = useParams();
   const { getProductBySlug, getBrandBySlug, products, brands } = useProducts();
-  const { addToRequest, isInRequest } = useRequestBasket();
+  const { addToRequest, isInRequest, getItemQuantity } = useRequestBasket();
   const { user } = useAuth();
+  const { formatPrice } = useCurrency();
   const [activeTab, setActiveTab] = useState('description');
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [quantityInput, setQuantityInput] = useState('');
+
+  // Related product links reuse this page, so drop the previous product's selection
+  useEffect(() => {
+    setSelectedOptions({});
+    setQuantityInput('');
+  }, [slug]);
   
   const product = getProductBySlug(slug);
   const brand = product ? brands.find(b => b._id === product.brandId) : null;
@@ -25,12 +37,40 @@ const ProductDetail = () => {
     return <Loading message="Product not found" />;
   }
 
-  const formatPrice = (price) => {
-    if (!price || isNaN(price)) return 'GH₵0.00';
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
+  // Start from the first option of every variant and apply the buyer's choices on top
+  const currentOptions = { ...getDefaultOptions(product), ...selectedOptions };
+  const selectableVariants = getSelectableVariants(product);
+  const isCurrentVariantInRequest = isInRequest(product._id, currentOptions);
+
+  // An empty quantity field means the minimum order
+  const quantityRules = getQuantityRules(product);
+  const quantity = quantityInput === '' ? quantityRules.minOrderQuantity : Number(quantityInput);
+  const quantityInRequest = getItemQuantity(product._id, currentOptions);
+  const quantityRulesText = formatQuantityRules(quantityRules);
+
+  const getAddQuantityError = () => {
+    const error = getQuantityError(quantityRules, quantity);
+    if (error) return error;
+
+    const { maxOrderQuantity } = quantityRules;
+    if (maxOrderQuantity && quantityInRequest + quantity > maxOrderQuantity) {
+      const remaining = maxOrderQuantity - quantityInRequest;
+      return remaining > 0
+        ? `You already have ${quantityInRequest} in your request. Up to ${remaining} more can be added.`
+        : `Your request already has the maximum of ${maxOrderQuantity} units.`;
+    }
+    return null;
+  };
+  const quantityError = getAddQuantityError();
+
+  const handleAddToRequest = () => {
+    if (quantityError) return;
+    addToRequest(product, quantity, currentOptions);
+    setQuantityInput('');
+  };
+
+  const handleOptionSelect = (variantName, option) => {
+    setSelectedOptions(prev => ({ ...prev, [variantName]: option }));
   };
 
   const getProductPrice = (product) => {
@@ -109,19 +149,87 @@ const ProductDetail = () => {
                 </div>
               )}
               
+              {/* Variant Selection */}
+              {selectableVariants.length > 0 && (
+                <div className="space-y-4 mb-6">
+                  {selectableVariants.map((variant) => (
+                    <div key={variant.name}>
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        {variant.name}: <span className="text-gray-900">{currentOptions[variant.name]}</span>
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {variant.options.map((option) => (
+                          <button
+                            key={option}
+                            type="button"
+                            onClick={() => handleOptionSelect(variant.name, option)}
+                            className={`px-4 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                              currentOptions[variant.name] === option
+                                ? 'border-golden-600 bg-golden-50 text-golden-700'
+                                : 'border-gray-300 text-gray-700 hover:border-golden-400'
+                            }`}
+                          >
+                            {option}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Add to Request Button - Hidden for admins */}
               {(!user || (user.role !== 'admin' && user.role !== 'super_admin')) && (
-                <button 
-                  className={`w-full text-lg py-3 font-semibold rounded-lg transition-all duration-300 mb-6 ${
-                    isInRequest(product._id)
-                      ? 'text-white hover:bg-golden-700'
-                      : 'btn btn-primary'
-                  }`}
-                  style={isInRequest(product._id) ? { backgroundColor: '#8B6914' } : {}}
-                  onClick={() => addToRequest(product)}
-                >
-                  {isInRequest(product._id) ? '✓ Added to Request' : 'Add to Request'}
-                </button>
+                <div className="mb-6">
+                  <div className="flex items-center gap-3 mb-2">
+                    <label htmlFor="request-quantity" className="text-sm font-medium text-gray-700">Quantity</label>
+                    <div className="flex items-center border border-gray-300 rounded-lg">
+                      <button
+                        type="button"
+                        onClick={() => setQuantityInput(String(stepQuantity(quantityRules, quantity, -1)))}
+                        disabled={quantity <= quantityRules.minOrderQuantity}
+                        className="px-3 py-2 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                      >
+                        −
+                      </button>
+                      <input
+                        id="request-quantity"
+                        type="number"
+                        min={quantityRules.minOrderQuantity}
+                        max={quantityRules.maxOrderQuantity || undefined}
+                        step={quantityRules.quantityStep}
+                        value={quantityInput === '' ? quantityRules.minOrderQuantity : quantityInput}
+                        onChange={(e) => setQuantityInput(e.target.value)}
+                        className="w-20 text-center py-2 border-x border-gray-300 focus:outline-none"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setQuantityInput(String(stepQuantity(quantityRules, quantity, 1)))}
+                        className="px-3 py-2 text-gray-600 hover:bg-gray-100"
+                      >
+                        +
+                      </button>
+                    </div>
+                  </div>
+                  {quantityRulesText && !quantityError && (
+                    <p className="text-sm text-gray-500 mb-2">{quantityRulesText}</p>
+                  )}
+                  {quantityError && (
+                    <p className="text-sm text-red-600 mb-2">{quantityError}</p>
+                  )}
+                  <button 
+                    className={`w-full text-lg py-3 font-semibold rounded-lg transition-all duration-300 disabled:opacity-50 ${
+                      isCurrentVariantInRequest
+                        ? 'text-white hover:bg-golden-700'
+                        : 'btn btn-primary'
+                    }`}
+                    style={isCurrentVariantInRequest ? { backgroundColor: '#8B6914' } : {}}
+                    onClick={handleAddToRequest}
+                    disabled={!!quantityError}
+                  >
+                    {isCurrentVariantInRequest ? `✓ In Request (${quantityInRequest}) · Add ${quantity} More` : 'Add to Request'}
+                  </button>
+                </div>
               )}
 
               {/* Bulk Pricing Info */}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { 
   FiUser, 
   FiLock, 
@@ -20,14 +20,19 @@ import {
   FiXCircle,
   FiClock,
   FiAlertCircle,
-  FiLogIn
+  FiLogIn,
+  FiRepeat
 } from 'react-icons/fi';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../services/api';
 import AdvancedSEO from '../components/AdvancedSEO';
+import ReorderModal from '../components/ReorderModal';
+import AddressBook from '../components/AddressBook';
+import { getPastRequestItems } from '../utils/reorderUtils';
 
 const Profile = () => {
-  const [activeTab, setActiveTab] = useState('profile');
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'profile');
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
   const [error, setError] = useState('');
@@ -53,6 +58,7 @@ const Profile = () => {
   // Requests data
   const [requests, setRequests] = useState([]);
   const [requestsLoading, setRequestsLoading] = useState(true);
+  const [reorderRequest, setReorderRequest] = useState(null);
 
   const { isAuthenticated, user } = useAuth();
   const navigate = useNavigate();
@@ -235,6 +241,7 @@ const Profile = () => {
 
   const tabs = [
     { id: 'profile', label: 'Profile Information', icon: FiUser },
+    { id: 'addresses', label: 'Addresses', icon: FiMapPin },
     { id: 'password', label: 'Change Password', icon: FiLock },
     { id: 'requests', label: 'My Requests', icon: FiFileText }
   ];
@@ -496,6 +503,9 @@ const Profile = () => {
               </div>
             )}
 
+            {/* Address Book Tab */}
+            {activeTab === 'addresses' && <AddressBook />}
+
             {/* Change Password Tab */}
             {activeTab === 'password' && (
               <div className="p-6">
@@ -627,7 +637,7 @@ const Profile = () => {
                           <div>
                             <span className="font-medium text-gray-700">Products:</span>
                             <p className="text-gray-600">
-                              {request.products ? JSON.parse(request.products).length : 0} items
+                              {getPastRequestItems(request).length} items
                             </p>
                           </div>
                           <div>
@@ -649,6 +659,16 @@ const Profile = () => {
                             <p className="text-blue-700 text-sm mt-1">{request.adminNotes}</p>
                           </div>
                         )}
+
+                        <div className="mt-3 flex justify-end">
+                          <button
+                            onClick={() => setReorderRequest(request)}
+                            className="inline-flex items-center text-sm font-medium text-golden-600 hover:text-golden-700"
+                          >
+                            <FiRepeat className="w-4 h-4 mr-1" />
+                            Request again
+                          </button>
+                        </div>
                       </motion.div>
                     ))}
                   </div>
@@ -658,6 +678,10 @@ const Profile = () => {
           </div>
         </div>
       </div>
+
+      {reorderRequest && (
+        <ReorderModal request={reorderRequest} onClose={() => setReorderRequest(null)} />
+      )}
     </>
   );
 };
@@ -1,8 +1,16 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FiArrowLeft, FiTrash2, FiPlus, FiMinus, FiShoppingBag } from 'react-icons/fi';
+import { FiArrowLeft, FiTrash2, FiPlus, FiMinus, FiShoppingBag, FiUpload, FiShare2 } from 'react-icons/fi';
 import { useRequestBasket } from '../contexts/RequestBasketContext';
+import BulkPricingHint from '../components/BulkPricingHint';
+import QuantityRulesHint from '../components/QuantityRulesHint';
+import RequestListManager from '../components/RequestListManager';
+import OrderSheetImport from '../components/OrderSheetImport';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { getQuantityRules, stepQuantity, canIncreaseQuantity } from '../utils/orderQuantityUtils';
+import { buildShareUrl } from '../utils/basketShareUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
 
 const RequestBasketPage = () => {
   const navigate = useNavigate();
@@ -10,26 +18,26 @@ const RequestBasketPage = () => {
     items,
     totalItems,
     totalAmount,
+    totalSavings,
+    lists,
+    activeList,
     removeFromRequest,
     updateQuantity,
     clearRequestBasket
   } = useRequestBasket();
 
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [shareLinkCopied, setShareLinkCopied] = useState(false);
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat('en-GH', {
-      style: 'currency',
-      currency: 'GHS'
-    }).format(price);
-  };
+  const { formatPrice } = useCurrency();
 
-  const handleQuantityChange = (itemId, newQuantity) => {
-    updateQuantity(itemId, newQuantity);
+  const handleQuantityChange = (lineId, newQuantity) => {
+    updateQuantity(lineId, newQuantity);
   };
 
-  const handleRemoveItem = (itemId) => {
-    removeFromRequest(itemId);
+  const handleRemoveItem = (lineId) => {
+    removeFromRequest(lineId);
   };
 
   const handleClearBasket = () => {
@@ -38,6 +46,18 @@ const RequestBasketPage = () => {
     }
   };
 
+  const handleShareBasket = async () => {
+    const shareUrl = buildShareUrl(activeList.name, items);
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setShareLinkCopied(true);
+      setTimeout(() => setShareLinkCopied(false), 3000);
+    } catch (error) {
+      // Clipboard access can be blocked; let the buyer copy the link by hand
+      window.prompt('Copy this link to share the basket:', shareUrl);
+    }
+  };
+
   const handleSubmitRequest = () => {
     navigate('/request-form');
   };
@@ -47,13 +67,20 @@ const RequestBasketPage = () => {
       <div className="min-h-screen bg-gray-50 py-16">
         <div className="container">
           <div className="max-w-2xl mx-auto text-center">
+            {lists.length > 1 && (
+              <div className="text-left">
+                <RequestListManager />
+              </div>
+            )}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               className="bg-white rounded-lg shadow-lg p-12"
             >
               <FiShoppingBag className="text-6xl text-gray-300 mx-auto mb-6" />
-              <h1 className="text-3xl font-bold text-gray-900 mb-4">Your request basket is empty</h1>
+              <h1 className="text-3xl font-bold text-gray-900 mb-4">
+                {lists.length > 1 ? `"${activeList.name}" is empty` : 'Your request basket is empty'}
+              </h1>
               <p className="text-gray-600 mb-8">
                 Looks like you haven't added any products to your request basket yet.
               </p>
@@ -64,6 +91,15 @@ const RequestBasketPage = () => {
                 >
                   Browse Products
                 </Link>
+                <div>
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="btn btn-outline inline-flex items-center"
+                  >
+                    <FiUpload className="mr-2" />
+                    Import Order Sheet
+                  </button>
+                </div>
                 <div>
                   <Link
                     to="/"
@@ -76,6 +112,8 @@ const RequestBasketPage = () => {
             </motion.div>
           </div>
         </div>
+
+        {showImport && <OrderSheetImport onClose={() => setShowImport(false)} />}
       </div>
     );
   }
@@ -92,12 +130,34 @@ const RequestBasketPage = () => {
             <FiArrowLeft className="mr-2" />
             Continue Browsing
           </Link>
-          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Request Basket</h1>
-          <p className="text-gray-600 mt-2 text-sm sm:text-base">
-            {totalItems} {totalItems === 1 ? 'item' : 'items'} in your request basket
-          </p>
+          <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-3">
+            <div>
+              <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Request Basket</h1>
+              <p className="text-gray-600 mt-2 text-sm sm:text-base">
+                {totalItems} {totalItems === 1 ? 'item' : 'items'} in <span className="font-medium">{activeList.name}</span>
+              </p>
+            </div>
+            <div className="flex flex-wrap gap-2 self-start sm:self-auto">
+              <button
+                onClick={handleShareBasket}
+                className="btn btn-outline px-3 sm:px-4 py-2 text-sm flex items-center"
+              >
+                <FiShare2 className="mr-2" />
+                {shareLinkCopied ? 'Link Copied' : 'Share This Basket'}
+              </button>
+              <button
+                onClick={() => setShowImport(true)}
+                className="btn btn-outline px-3 sm:px-4 py-2 text-sm flex items-center"
+              >
+                <FiUpload className="mr-2" />
+                Import Order Sheet
+              </button>
+            </div>
+          </div>
         </div>
 
+        <RequestListManager />
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 sm:gap-8">
           {/* Request Items */}
           <div className="lg:col-span-2">
@@ -123,7 +183,7 @@ const RequestBasketPage = () => {
               <div className="divide-y divide-gray-200">
                 {items.map((item, index) => (
                   <motion.div
-                    key={item._id}
+                    key={item.lineId}
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     transition={{ delay: index * 0.1 }}
@@ -144,18 +204,23 @@ const RequestBasketPage = () => {
                         {item.name}
                       </h3>
                       <p className="text-xs sm:text-sm text-gray-500">{item.brandName}</p>
+                      {formatVariantOptions(item.selectedOptions) && (
+                        <p className="text-xs sm:text-sm text-gray-600">{formatVariantOptions(item.selectedOptions)}</p>
+                      )}
                       <p className="text-base sm:text-lg font-semibold text-golden-600 mt-1 sm:mt-2">
                         {formatPrice(item.price)}
                       </p>
+                      <BulkPricingHint item={item} formatPrice={formatPrice} className="mt-1" />
+                      <QuantityRulesHint item={item} className="mt-1" />
                     </div>
 
                     {/* Quantity Controls */}
                     <div className="flex items-center space-x-2 sm:space-x-3">
                       <div className="flex items-center border border-gray-300 rounded-lg">
                         <button
-                          onClick={() => handleQuantityChange(item._id, item.quantity - 1)}
+                          onClick={() => handleQuantityChange(item.lineId, stepQuantity(getQuantityRules(item), item.quantity, -1))}
                           className="p-1 sm:p-2 hover:bg-gray-100 transition-colors"
-                          disabled={item.quantity <= 1}
+                          disabled={item.quantity <= getQuantityRules(item).minOrderQuantity}
                         >
                           <FiMinus className="w-3 h-3 sm:w-4 sm:h-4 text-gray-600" />
                         </button>
@@ -163,8 +228,9 @@ const RequestBasketPage = () => {
                           {item.quantity}
                         </span>
                         <button
-                          onClick={() => handleQuantityChange(item._id, item.quantity + 1)}
+                          onClick={() => handleQuantityChange(item.lineId, stepQuantity(getQuantityRules(item), item.quantity, 1))}
                           className="p-1 sm:p-2 hover:bg-gray-100 transition-colors"
+                          disabled={!canIncreaseQuantity(getQuantityRules(item), item.quantity)}
                         >
                           <FiPlus className="w-3 h-3 sm:w-4 sm:h-4 text-gray-600" />
                         </button>
@@ -180,7 +246,7 @@ const RequestBasketPage = () => {
 
                     {/* Remove Button */}
                     <button
-                      onClick={() => handleRemoveItem(item._id)}
+                      onClick={() => handleRemoveItem(item.lineId)}
                       className="p-2 hover:bg-red-100 rounded-full transition-colors text-red-500 self-end sm:self-auto"
                     >
                       <FiTrash2 className="w-4 h-4 sm:w-5 sm:h-5" />
@@ -203,6 +269,18 @@ const RequestBasketPage = () => {
               
               {/* Summary Details */}
               <div className="space-y-3 sm:space-y-4 mb-4 sm:mb-6">
+                {totalSavings > 0 && (
+                  <div className="flex justify-between text-gray-600 text-sm sm:text-base">
+                    <span>At unit prices</span>
+                    <span>{formatPrice(totalAmount + totalSavings)}</span>
+                  </div>
+                )}
+                {totalSavings > 0 && (
+                  <div className="flex justify-between text-green-700 text-sm sm:text-base">
+                    <span>Bulk savings</span>
+                    <span>-{formatPrice(totalSavings)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-gray-600 text-sm sm:text-base">
                   <span>Total ({totalItems} items)</span>
                   <span>{formatPrice(totalAmount)}</span>
@@ -227,6 +305,8 @@ const RequestBasketPage = () => {
           </div>
         </div>
       </div>
+
+      {showImport && <OrderSheetImport onClose={() => setShowImport(false)} />}
     </div>
   );
 };
@@ -11,14 +11,17 @@ import {
   FiLogIn,
 } from "react-icons/fi";
 import { useAuth } from "../contexts/AuthContext";
+import { useCurrency } from "../contexts/CurrencyContext";
 import api from "../services/api";
 import invoiceGenerator from "../utils/invoiceGenerator";
+import InvoiceExportButtons from "../components/InvoiceExportButtons";
 
 const RequestConfirmation = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { isAuthenticated } = useAuth();
-  const { invoiceNumber, totalAmount, isGuest, customerEmail } =
+  const { formatPrice } = useCurrency();
+  const { invoiceNumber, totalAmount, includesTaxes, isGuest, customerEmail } =
     location.state || {};
 
   // Redirect if no invoice data
@@ -27,41 +30,17 @@ const RequestConfirmation = () => {
     return null;
   }
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat("en-GH", {
-      style: "currency",
-      currency: "GHS",
-    }).format(price);
+  // The same invoice data feeds the PDF and the CSV, Excel and UBL exports
+  const loadInvoiceData = async () => {
+    const response = await api.get(`/requests/${invoiceNumber}/data`);
+    return invoiceGenerator.buildInvoiceDataFromRequest(response.data.data);
   };
 
   const handleDownloadInvoice = async () => {
     if (isAuthenticated) {
       // Authenticated user - get request data and use frontend generator
       try {
-        const response = await api.get(`/requests/${invoiceNumber}/data`);
-        const requestData = response.data.data;
-
-        // Prepare invoice data for frontend generator
-        const invoiceData = {
-          invoiceNumber: requestData.requestNumber,
-          customer: requestData.customerData || {
-            firstName: requestData.customerName?.split(' ')[0] || 'Unknown',
-            lastName: requestData.customerName?.split(' ').slice(1).join(' ') || 'User',
-            email: requestData.customerEmail || 'Not provided',
-            phone: 'Not provided',
-            companyName: 'Not provided',
-            companyType: 'Not specified',
-            companyRole: 'Not specified'
-          },
-          items: (requestData.items || []).map(item => ({
-            name: item.name || `Product ${item.productId}`,
-            quantity: item.quantity,
-            price: item.price,
-          })),
-          totalAmount: requestData.totalAmount,
-          submittedAt: requestData.createdAt,
-          status: requestData.status
-        };
+        const invoiceData = await loadInvoiceData();
 
         // Use frontend invoice generator
         await invoiceGenerator.generateProformaInvoice(invoiceData, false);
@@ -162,7 +141,7 @@ const RequestConfirmation = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
               <div className="bg-gray-50 rounded-lg p-4">
                 <h3 className="text-sm font-medium text-gray-700 mb-2">
-                  Total Amount
+                  {includesTaxes ? "Total Amount (incl. taxes)" : "Total Amount"}
                 </h3>
                 <p className="text-2xl font-bold text-gray-900">
                   {formatPrice(totalAmount)}
@@ -315,6 +294,13 @@ const RequestConfirmation = () => {
             </button>
           </motion.div>
 
+          {isAuthenticated && (
+            <InvoiceExportButtons
+              className="mt-4 justify-center"
+              getInvoiceData={loadInvoiceData}
+            />
+          )}
+
           {/* Additional Information */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, Link } from "react-router-dom";
 import { motion } from "framer-motion";
 import {
   FiUser,
@@ -8,44 +8,283 @@ import {
   FiFileText,
   FiCheck,
   FiAlertCircle,
+  FiTruck,
+  FiPaperclip,
 } from "react-icons/fi";
 import { useRequestBasket } from "../contexts/RequestBasketContext";
 import { useAuth } from "../contexts/AuthContext";
+import { useProducts } from "../hooks/useProducts";
 import { generateProformaInvoice } from "../utils/invoiceGenerator";
 import api from "../services/api";
+import { formatVariantOptions } from "../utils/variantUtils";
+import { getQuantityRules, getQuantityError } from "../utils/orderQuantityUtils";
+import QuantityRulesHint from "../components/QuantityRulesHint";
+import AttachmentUpload from "../components/AttachmentUpload";
+import { useAttachmentUploads } from "../hooks/useAttachmentUploads";
+import { draftService } from "../services/draftService";
+import {
+  getDraftId,
+  getLocalDrafts,
+  saveLocalDraft,
+  removeLocalDraft,
+  mergeDrafts,
+} from "../utils/requestDraftUtils";
+import { formatRelativeTime } from "../utils/dateUtils";
+import { useCurrency } from "../contexts/CurrencyContext";
+import { addressService } from "../services/addressService";
+import {
+  formatAddress,
+  getDefaultAddress,
+  toCompanyAddress,
+} from "../utils/addressUtils";
+import { shippingService } from "../services/shippingService";
+import {
+  INCOTERMS,
+  DEFAULT_SHIPPING,
+  getIncoterm,
+  getLineWeightKg,
+  getShipmentWeight,
+  estimateFreight,
+  formatShippingTerms,
+} from "../utils/shippingUtils";
+import { taxService } from "../services/taxService";
+import { calculateTaxes, formatTaxLabel } from "../utils/taxUtils";
+
+// Empty form, pre-filled with what we know about a signed-in buyer
+const getInitialFormData = (user) => ({
+  firstName: user?.firstName || "",
+  lastName: user?.lastName || "",
+  email: user?.email || "",
+  phone: user?.phone || "",
+  companyName: user?.companyName || "",
+  companyType: user?.companyType || "",
+  companyRole: user?.companyRole || "",
+  companyAddress: {
+    street: "",
+    city: "",
+    state: "",
+    postalCode: "",
+    country: "Ghana",
+  },
+  // Address book entries; empty means the buyer's default
+  billingAddressId: "",
+  deliveryAddressId: "",
+  shipping: { ...DEFAULT_SHIPPING },
+  notes: "",
+});
 
 const RequestForm = () => {
   const navigate = useNavigate();
   const {
     items: requestItems,
     totalAmount,
+    totalSavings,
+    lists,
+    activeList,
+    deleteList,
     clearRequestBasket: clearRequest,
   } = useRequestBasket();
   const { user } = useAuth();
+  const { products } = useProducts();
+  const { formatPrice, formatBasePrice, currency, rate, isBaseCurrency } = useCurrency();
 
-  const [formData, setFormData] = useState({
-    firstName: user?.firstName || "",
-    lastName: user?.lastName || "",
-    email: user?.email || "",
-    phone: user?.phone || "",
-    companyName: user?.companyName || "",
-    companyType: user?.companyType || "",
-    companyRole: user?.companyRole || "",
-    companyAddress: {
-      street: "",
-      city: "",
-      state: "",
-      postalCode: "",
-      country: "Ghana",
-    },
-    notes: "",
-  });
+  const [formData, setFormData] = useState(() => getInitialFormData(user));
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [pendingSubmission, setPendingSubmission] = useState(null);
 
+  // Drafts: one per request list, restored on return and autosaved while typing
+  const draftId = getDraftId(activeList?.id || "default");
+  const isSignedIn = !!user;
+  const accountId = user?._id || user?.id || null;
+  const [draftStatus, setDraftStatus] = useState({ restoredAt: null, savedAt: null });
+  const lastSavedDraftRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    lastSavedDraftRef.current = null;
+
+    const restoreDraft = async () => {
+      const localDraft = getLocalDrafts(accountId).find((draft) => draft.id === draftId);
+      let draft = localDraft;
+
+      if (isSignedIn) {
+        try {
+          const response = await draftService.getDrafts();
+          const serverDraft = (response.data?.data || []).find(
+            (saved) => saved.id === draftId
+          );
+          draft = mergeDrafts(
+            serverDraft ? [serverDraft] : [],
+            localDraft ? [localDraft] : []
+          )[0];
+        } catch (error) {
+          // Fall back to the copy on this device
+          console.error("Error loading saved drafts:", error);
+        }
+      }
+
+      if (cancelled) return;
+
+      if (draft?.formData) {
+        const restoredFormData = {
+          ...getInitialFormData(user),
+          ...draft.formData,
+          companyAddress: {
+            ...getInitialFormData(user).companyAddress,
+            ...(draft.formData.companyAddress || {}),
+          },
+          shipping: {
+            ...DEFAULT_SHIPPING,
+            ...(draft.formData.shipping || {}),
+          },
+        };
+        lastSavedDraftRef.current = JSON.stringify(restoredFormData);
+        setFormData(restoredFormData);
+        setDraftStatus({ restoredAt: draft.updatedAt, savedAt: draft.updatedAt });
+      } else {
+        lastSavedDraftRef.current = JSON.stringify(getInitialFormData(user));
+      }
+    };
+
+    restoreDraft();
+    return () => {
+      cancelled = true;
+    };
+    // Restore once per list and account, not on every profile refresh
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draftId, isSignedIn, accountId]);
+
+  useEffect(() => {
+    // Wait until the draft is restored, and skip saves that would not change anything
+    const serialized = JSON.stringify(formData);
+    if (lastSavedDraftRef.current === null || lastSavedDraftRef.current === serialized) {
+      return;
+    }
+
+    const saveTimeout = setTimeout(() => {
+      const draft = {
+        id: draftId,
+        listId: activeList?.id || "default",
+        listName: activeList?.name || "",
+        formData,
+        itemCount: (requestItems || []).length,
+        updatedAt: new Date().toISOString(),
+      };
+      saveLocalDraft(draft, accountId);
+      lastSavedDraftRef.current = serialized;
+      setDraftStatus((prev) => ({ ...prev, savedAt: draft.updatedAt }));
+
+      if (isSignedIn) {
+        draftService.saveDraft(draft).catch((error) => {
+          console.error("Error saving draft:", error);
+        });
+      }
+    }, 1000);
+
+    return () => clearTimeout(saveTimeout);
+  }, [formData, draftId, activeList?.id, activeList?.name, requestItems, isSignedIn, accountId]);
+
+  const discardDraft = () => {
+    removeLocalDraft(draftId, accountId);
+    if (isSignedIn) {
+      draftService.deleteDraft(draftId).catch((error) => {
+        console.error("Error discarding draft:", error);
+      });
+    }
+  };
+
+  const handleDiscardDraft = () => {
+    if (!window.confirm("Discard this draft and clear the form?")) return;
+    discardDraft();
+    const initialFormData = getInitialFormData(user);
+    lastSavedDraftRef.current = JSON.stringify(initialFormData);
+    setFormData(initialFormData);
+    setDraftStatus({ restoredAt: null, savedAt: null });
+  };
+
+  // Signed-in buyers pick billing and delivery addresses from their address book
+  const [addresses, setAddresses] = useState([]);
+
+  useEffect(() => {
+    if (!isSignedIn) {
+      setAddresses([]);
+      return;
+    }
+
+    addressService
+      .getAddresses()
+      .then((response) => setAddresses(response.data?.data || []))
+      .catch((error) => {
+        console.error("Error loading addresses:", error);
+      });
+  }, [isSignedIn]);
+
+  const findAddress = (addressId, type) =>
+    addresses.find((address) => address.id === addressId) ||
+    getDefaultAddress(addresses, type);
+  const billingAddress = findAddress(formData.billingAddressId, "billing");
+  const deliveryAddress = findAddress(formData.deliveryAddressId, "delivery");
+
+  // Purchase orders and specs, uploaded as they are chosen
+  const attachmentUploads = useAttachmentUploads();
+
+  // Shipping terms and a freight estimate from the admin rate tables
+  const [shippingRates, setShippingRates] = useState(null);
+
+  useEffect(() => {
+    shippingService
+      .getRates()
+      .then((response) => setShippingRates(response.data?.data || null))
+      .catch((error) => {
+        console.error("Error loading shipping rates:", error);
+      });
+  }, []);
+
+  const selectedIncoterm = getIncoterm(formData.shipping.incoterm);
+  const shippingZones = shippingRates?.zones || [];
+  const selectedZone = shippingZones.find(
+    (zone) => zone.id === formData.shipping.zoneId
+  );
+  const findProduct = (item) =>
+    products.find((candidate) => String(candidate._id) === String(item._id));
+  const shipment = getShipmentWeight(
+    (requestItems || []).map((item) => ({
+      quantity: item.quantity,
+      weightKg: getLineWeightKg(item.selectedOptions, findProduct(item)),
+    }))
+  );
+  const freightEstimate = estimateFreight({
+    shipping: formData.shipping,
+    weightKg: shipment.weightKg,
+    goodsValue: totalAmount,
+    rates: shippingRates,
+  });
+
+  // Statutory levies and VAT from the admin tax settings; exempt products carry none
+  const [taxSettings, setTaxSettings] = useState(null);
+
+  useEffect(() => {
+    taxService
+      .getSettings()
+      .then((response) => setTaxSettings(response.data?.data || null))
+      .catch((error) => {
+        console.error("Error loading tax settings:", error);
+      });
+  }, []);
+
+  const isTaxExempt = (item) => !!findProduct(item)?.taxExempt;
+  const taxes = calculateTaxes(
+    (requestItems || []).map((item) => ({
+      amount: item.price * item.quantity,
+      taxExempt: isTaxExempt(item),
+    })),
+    taxSettings
+  );
+  const payableTotal = taxes ? taxes.grossTotal : totalAmount || 0;
+
   // Redirect if no items in request basket
   useEffect(() => {
     if (!requestItems || requestItems.length === 0) {
@@ -102,6 +341,18 @@ const RequestForm = () => {
         "City is required if street address is provided";
     }
 
+    // Shipping destination
+    if (selectedIncoterm?.needsDestination && !formData.shipping.destination.trim()) {
+      newErrors["shipping.destination"] = "Destination port or region is required";
+    }
+    if (formData.shipping.incoterm === "CIF" && !formData.shipping.zoneId) {
+      newErrors["shipping.zoneId"] = "Select the shipping zone for your destination";
+    }
+
+    if (attachmentUploads.isUploading) {
+      newErrors.attachments = "Wait for your attachments to finish uploading.";
+    }
+
     // Email validation
     if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
       newErrors.email = "Please enter a valid email address";
@@ -112,6 +363,16 @@ const RequestForm = () => {
       newErrors.phone = "Please enter a valid phone number";
     }
 
+    // Quantities must respect each product's minimum, maximum and pack size
+    const invalidItems = (requestItems || []).filter((item) =>
+      getQuantityError(getQuantityRules(item), item.quantity)
+    );
+    if (invalidItems.length > 0) {
+      newErrors.items = `Adjust the quantity of ${invalidItems
+        .map((item) => item.name)
+        .join(", ")} in your basket before submitting.`;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -144,11 +405,46 @@ const RequestForm = () => {
       console.log("Total amount:", totalAmount);
 
       // Submit request to backend API
+      // Each item carries its tier price in `price` and its list price in `unitPrice`
+      const { shipping, ...customerFields } = submissionData;
       const requestPayload = {
-        items: requestItems || [],
+        items: (requestItems || []).map(({ bulkTiers, ...item }) => ({
+          ...item,
+          taxExempt: isTaxExempt(item),
+        })),
         totalAmount: totalAmount || 0,
+        totalSavings: totalSavings || 0,
+        listName: activeList?.name || "",
         notes: submissionData.notes || "",
-        customerData: submissionData,
+        shipping: {
+          ...shipping,
+          zoneName: selectedZone?.name || "",
+          weightKg: shipment.weightKg,
+          unweighedItems: shipment.unweighedCount,
+          // Estimates only; the admin confirms freight on the final invoice
+          freightEstimate: freightEstimate ? freightEstimate.freight : null,
+          insuranceEstimate: freightEstimate ? freightEstimate.insurance : null,
+        },
+        customerData: {
+          ...customerFields,
+          // Invoices print companyAddress, so fill it from the billing address when one is chosen
+          ...(billingAddress && {
+            companyAddress: toCompanyAddress(billingAddress),
+          }),
+          billingAddress,
+          deliveryAddress,
+        },
+        attachments: attachmentUploads.uploadedAttachments,
+        // Amounts stay in cedis; the rate records what the buyer saw when they submitted
+        currency: { code: currency, rate },
+        // The tax settings the request was priced under, kept with it for the proforma
+        taxConfig: taxes
+          ? {
+              enabled: true,
+              pricesIncludeTax: !!taxSettings.pricesIncludeTax,
+              rules: taxSettings.rules,
+            }
+          : null,
       };
 
       console.log("Submitting to backend:", requestPayload);
@@ -167,14 +463,22 @@ const RequestForm = () => {
       // No frontend PDF generation. Backend handles PDF and email for all users.
       // Just navigate to confirmation page after successful request.
 
-      // Clear request basket
-      clearRequest();
+      // The draft has become a request
+      discardDraft();
+
+      // Submitted lists are done with; keep the buyer's last list as an empty basket
+      if (lists.length > 1) {
+        deleteList(activeList.id);
+      } else {
+        clearRequest();
+      }
 
       // Navigate to confirmation page with appropriate state
       navigate("/request-confirmation", {
         state: {
           invoiceNumber: requestNumber,
-          totalAmount: totalAmount || 0,
+          totalAmount: payableTotal,
+          includesTaxes: !!taxes,
           isGuest: !user,
           customerEmail: submissionData.email,
         },
@@ -237,13 +541,6 @@ const RequestForm = () => {
     });
   };
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat("en-GH", {
-      style: "currency",
-      currency: "GHS",
-    }).format(price);
-  };
-
   if (!requestItems || requestItems.length === 0) {
     return null; // Will redirect due to useEffect
   }
@@ -300,6 +597,24 @@ const RequestForm = () => {
                 className="bg-white rounded-2xl shadow-lg p-8"
               >
                 <form onSubmit={handleSubmit} className="space-y-6">
+                  {/* Draft Status */}
+                  {draftStatus.savedAt && (
+                    <div className="flex items-center justify-between text-sm text-gray-500 bg-gray-50 rounded-lg px-4 py-2">
+                      <span>
+                        {draftStatus.restoredAt
+                          ? `Draft restored · last saved ${formatRelativeTime(draftStatus.savedAt)}`
+                          : `Draft saved ${formatRelativeTime(draftStatus.savedAt)}`}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={handleDiscardDraft}
+                        className="text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Discard draft
+                      </button>
+                    </div>
+                  )}
+
                   {/* Personal Information - Only show for guest users */}
                   {!user && (
                     <div>
@@ -667,6 +982,207 @@ const RequestForm = () => {
                     </div>
                   )}
 
+                  {/* Billing & Delivery - signed-in buyers choose from their address book */}
+                  {user && (
+                    <div>
+                      <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                        <FiMapPin className="h-5 w-5 mr-2 text-golden-600" />
+                        Billing & Delivery
+                      </h3>
+                      {addresses.length === 0 ? (
+                        <p className="text-sm text-gray-600">
+                          You have no saved addresses.{" "}
+                          <Link
+                            to="/profile"
+                            state={{ tab: "addresses" }}
+                            className="text-golden-600 hover:text-golden-700 font-medium"
+                          >
+                            Add billing and delivery addresses
+                          </Link>{" "}
+                          to include them with your request.
+                        </p>
+                      ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          {[
+                            { name: "billingAddressId", label: "Billing Address", selected: billingAddress },
+                            { name: "deliveryAddressId", label: "Delivery Address", selected: deliveryAddress },
+                          ].map((field) => (
+                            <div key={field.name}>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">
+                                {field.label}
+                              </label>
+                              <select
+                                name={field.name}
+                                value={field.selected?.id || ""}
+                                onChange={handleInputChange}
+                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-golden-500 focus:border-golden-500"
+                              >
+                                {addresses.map((address) => (
+                                  <option key={address.id} value={address.id}>
+                                    {address.label}
+                                  </option>
+                                ))}
+                              </select>
+                              <p className="mt-1 text-sm text-gray-500">
+                                {formatAddress(field.selected)}
+                              </p>
+                            </div>
+                          ))}
+                          <p className="md:col-span-2 text-sm text-gray-500">
+                            <Link
+                              to="/profile"
+                              state={{ tab: "addresses" }}
+                              className="text-golden-600 hover:text-golden-700 font-medium"
+                            >
+                              Manage your addresses
+                            </Link>
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Shipping */}
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                      <FiTruck className="h-5 w-5 mr-2 text-golden-600" />
+                      Shipping
+                    </h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+                      {INCOTERMS.map((incoterm) => (
+                        <label
+                          key={incoterm.code}
+                          className={`border rounded-lg p-3 cursor-pointer transition-colors ${
+                            formData.shipping.incoterm === incoterm.code
+                              ? "border-golden-500 bg-golden-50"
+                              : "border-gray-300 hover:border-golden-300"
+                          }`}
+                        >
+                          <div className="flex items-center">
+                            <input
+                              type="radio"
+                              name="shipping.incoterm"
+                              value={incoterm.code}
+                              checked={formData.shipping.incoterm === incoterm.code}
+                              onChange={handleInputChange}
+                              className="h-4 w-4 text-golden-600 border-gray-300 mr-2"
+                            />
+                            <span className="text-sm font-semibold text-gray-900">
+                              {incoterm.label}
+                            </span>
+                          </div>
+                          <p className="text-xs text-gray-600 mt-1">
+                            {incoterm.description}
+                          </p>
+                        </label>
+                      ))}
+                    </div>
+
+                    {selectedIncoterm?.needsDestination && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                        <div className={formData.shipping.incoterm === "CIF" ? "" : "md:col-span-2"}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Destination Port or Region *
+                          </label>
+                          <input
+                            type="text"
+                            name="shipping.destination"
+                            value={formData.shipping.destination}
+                            onChange={handleInputChange}
+                            className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-golden-500 focus:border-golden-500 ${
+                              errors["shipping.destination"]
+                                ? "border-red-300"
+                                : "border-gray-300"
+                            }`}
+                            placeholder="e.g. Rotterdam, Netherlands"
+                          />
+                          {errors["shipping.destination"] && (
+                            <p className="mt-1 text-sm text-red-600">
+                              {errors["shipping.destination"]}
+                            </p>
+                          )}
+                        </div>
+                        {formData.shipping.incoterm === "CIF" && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              Shipping Zone *
+                            </label>
+                            <select
+                              name="shipping.zoneId"
+                              value={formData.shipping.zoneId}
+                              onChange={handleInputChange}
+                              className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-golden-500 focus:border-golden-500 ${
+                                errors["shipping.zoneId"]
+                                  ? "border-red-300"
+                                  : "border-gray-300"
+                              }`}
+                            >
+                              <option value="">Select zone</option>
+                              {shippingZones.map((zone) => (
+                                <option key={zone.id} value={zone.id}>
+                                  {zone.name}
+                                </option>
+                              ))}
+                            </select>
+                            {errors["shipping.zoneId"] && (
+                              <p className="mt-1 text-sm text-red-600">
+                                {errors["shipping.zoneId"]}
+                              </p>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {formData.shipping.incoterm !== "EXW" && (
+                      <div className="bg-gray-50 rounded-lg px-4 py-3 text-sm text-gray-700">
+                        {freightEstimate ? (
+                          <>
+                            <p>
+                              Estimated freight for{" "}
+                              {shipment.weightKg.toLocaleString("en-GH", { maximumFractionDigits: 1 })} kg:{" "}
+                              <span className="font-semibold">
+                                {formatPrice(freightEstimate.total)}
+                              </span>
+                              {freightEstimate.insurance > 0 &&
+                                ` (incl. ${formatPrice(freightEstimate.insurance)} insurance)`}
+                            </p>
+                            {shipment.unweighedCount > 0 && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                {shipment.unweighedCount}{" "}
+                                {shipment.unweighedCount === 1 ? "item has" : "items have"} no listed
+                                weight and {shipment.unweighedCount === 1 ? "is" : "are"} not included.
+                              </p>
+                            )}
+                          </>
+                        ) : (
+                          <p>
+                            {formData.shipping.incoterm === "CIF" && !selectedZone
+                              ? "Select a shipping zone to see a freight estimate."
+                              : "We'll quote freight for this shipment on your proforma invoice."}
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Attachments */}
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                      <FiPaperclip className="h-5 w-5 mr-2 text-golden-600" />
+                      Attachments
+                    </h3>
+                    <AttachmentUpload
+                      uploads={attachmentUploads}
+                      label="Attach a purchase order or packaging spec"
+                    />
+                    {errors.attachments && (
+                      <p className="mt-1 text-sm text-red-600">
+                        {errors.attachments}
+                      </p>
+                    )}
+                  </div>
+
                   {/* Notes */}
                   <div>
                     <h3 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
@@ -688,6 +1204,16 @@ const RequestForm = () => {
                     </div>
                   </div>
 
+                  {/* Quantity Error */}
+                  {errors.items && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                      <div className="flex items-center space-x-2">
+                        <FiAlertCircle className="h-5 w-5 text-red-600" />
+                        <p className="text-red-800">{errors.items}</p>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Submit Error */}
                   {errors.submit && (
                     <div className="bg-red-50 border border-red-200 rounded-lg p-4">
@@ -709,7 +1235,7 @@ const RequestForm = () => {
                     </button>
                     <button
                       type="submit"
-                      disabled={isSubmitting}
+                      disabled={isSubmitting || attachmentUploads.isUploading}
                       className="w-full sm:w-auto px-8 py-3 bg-golden-600 text-white rounded-lg hover:bg-golden-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
                     >
                       {isSubmitting ? (
@@ -736,15 +1262,16 @@ const RequestForm = () => {
                 animate={{ opacity: 1, x: 0 }}
                 className="bg-white rounded-2xl shadow-lg p-6 sticky top-8"
               >
-                <h3 className="text-xl font-semibold text-gray-900 mb-4">
+                <h3 className="text-xl font-semibold text-gray-900 mb-1">
                   Request Summary
                 </h3>
+                <p className="text-sm text-gray-500 mb-4">{activeList?.name}</p>
 
                 <div className="space-y-4 mb-6">
                   {requestItems &&
                     requestItems.map((item) => (
                       <div
-                        key={item._id}
+                        key={item.lineId}
                         className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg"
                       >
                         <img
@@ -756,9 +1283,20 @@ const RequestForm = () => {
                           <h4 className="text-sm font-medium text-gray-900 truncate">
                             {item.name}
                           </h4>
+                          {formatVariantOptions(item.selectedOptions) && (
+                            <p className="text-xs text-gray-600">
+                              {formatVariantOptions(item.selectedOptions)}
+                            </p>
+                          )}
                           <p className="text-xs text-gray-500">
-                            Qty: {item.quantity}
+                            Qty: {item.quantity} × {formatPrice(item.price)}
                           </p>
+                          {item.savings > 0 && (
+                            <p className="text-xs text-green-700">
+                              Bulk price · saves {formatPrice(item.savings)}
+                            </p>
+                          )}
+                          <QuantityRulesHint item={item} />
                         </div>
                         <div className="text-right">
                           <p className="text-sm font-semibold text-gray-900">
@@ -770,10 +1308,54 @@ const RequestForm = () => {
                 </div>
 
                 <div className="border-t border-gray-200 pt-4">
+                  {totalSavings > 0 && (
+                    <div className="flex justify-between items-center text-sm text-green-700 mb-2">
+                      <span>Bulk savings</span>
+                      <span>-{formatPrice(totalSavings)}</span>
+                    </div>
+                  )}
+                  {taxes && !taxes.pricesIncludeTax && (
+                    <>
+                      <div className="flex justify-between items-center text-sm text-gray-700 mb-1">
+                        <span>Subtotal</span>
+                        <span>{formatPrice(totalAmount || 0)}</span>
+                      </div>
+                      {taxes.lines.map((line) => (
+                        <div
+                          key={line.id}
+                          className="flex justify-between items-center text-sm text-gray-600 mb-1"
+                        >
+                          <span>{formatTaxLabel(line)}</span>
+                          <span>{formatPrice(line.amount)}</span>
+                        </div>
+                      ))}
+                    </>
+                  )}
                   <div className="flex justify-between items-center text-lg font-semibold text-gray-900">
-                    <span>Total Amount</span>
-                    <span>{formatPrice(totalAmount || 0)}</span>
+                    <span>{taxes && !taxes.pricesIncludeTax ? "Total incl. taxes" : "Total Amount"}</span>
+                    <span>{formatPrice(payableTotal)}</span>
                   </div>
+                  {taxes?.pricesIncludeTax && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Includes {formatPrice(taxes.taxTotal)} VAT and levies
+                    </p>
+                  )}
+                  {taxes?.exemptAmount > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatPrice(taxes.exemptAmount)} of goods are exempt from VAT and levies
+                    </p>
+                  )}
+                  {!isBaseCurrency && (
+                    <p className="text-sm text-gray-500 mt-1">
+                      Payable in Ghana cedis: {formatBasePrice(payableTotal)}
+                    </p>
+                  )}
+                  {freightEstimate?.total > 0 && (
+                    <div className="flex justify-between items-center text-sm text-gray-700 mt-2">
+                      <span>Freight estimate ({formatShippingTerms({ incoterm: formData.shipping.incoterm })})</span>
+                      <span>{formatPrice(freightEstimate.total)}</span>
+                    </div>
+                  )}
                   <p className="text-sm text-gray-500 mt-2">
                     * Final pricing will be confirmed in your Proforma Invoice
                   </p>
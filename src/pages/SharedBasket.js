@@ -0,0 +1,177 @@
+import React, { useMemo } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiShoppingBag, FiPlus, FiRefreshCw, FiAlertTriangle } from 'react-icons/fi';
+import { useProducts } from '../hooks/useProducts';
+import { useRequestBasket } from '../contexts/RequestBasketContext';
+import { decodeSharedBasket } from '../utils/basketShareUtils';
+import { priceLineItem, getUnitPrice, getBulkTiers, calculateTotals } from '../utils/pricingUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { useCurrency } from '../contexts/CurrencyContext';
+
+// Preview of a basket someone shared by link, with options to load it into the recipient's basket
+const SharedBasket = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { products, loading } = useProducts();
+  const { items: currentItems, addItemsToRequest } = useRequestBasket();
+
+  const sharedBasket = useMemo(() => decodeSharedBasket(token), [token]);
+
+  // Match the shared lines to the current catalogue so prices are today's, not the sender's
+  const lines = useMemo(() => {
+    if (!sharedBasket) return [];
+
+    return sharedBasket.items.map(line => {
+      const product = products.find(candidate =>
+        candidate._id === line.productId || String(candidate.id) === line.productId
+      );
+      if (!product) return { ...line, product: null };
+
+      return {
+        ...line,
+        product,
+        ...priceLineItem({
+          quantity: line.quantity,
+          unitPrice: getUnitPrice(product),
+          bulkTiers: getBulkTiers(product)
+        })
+      };
+    });
+  }, [sharedBasket, products]);
+
+  const availableLines = lines.filter(line => line.product);
+  const unavailableCount = lines.length - availableLines.length;
+  const { totalAmount } = calculateTotals(availableLines);
+
+  const { formatPrice } = useCurrency();
+
+  const handleLoad = (replace) => {
+    if (replace && currentItems.length > 0 &&
+        !window.confirm('Replace the products currently in your request basket with this shared basket?')) {
+      return;
+    }
+
+    addItemsToRequest(
+      availableLines.map(({ product, quantity, selectedOptions }) => ({ product, quantity, selectedOptions })),
+      { replace }
+    );
+    navigate('/request-basket');
+  };
+
+  if (!sharedBasket || sharedBasket.items.length === 0) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-16">
+        <div className="container">
+          <div className="max-w-2xl mx-auto text-center bg-white rounded-lg shadow-lg p-12">
+            <FiAlertTriangle className="text-6xl text-gray-300 mx-auto mb-6" />
+            <h1 className="text-3xl font-bold text-gray-900 mb-4">This basket link is not valid</h1>
+            <p className="text-gray-600 mb-8">
+              The link may have been copied incompletely. Ask the sender to share it again.
+            </p>
+            <Link to="/products" className="btn btn-primary inline-block">
+              Browse Products
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-6 sm:py-8">
+      <div className="container px-4 sm:px-6">
+        <div className="max-w-3xl mx-auto">
+          <div className="mb-6 sm:mb-8">
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Shared Request Basket</h1>
+            <p className="text-gray-600 mt-2 text-sm sm:text-base">
+              <span className="font-medium">{sharedBasket.name}</span> · {lines.length} {lines.length === 1 ? 'product' : 'products'}
+            </p>
+          </div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-lg shadow-lg overflow-hidden"
+          >
+            {loading ? (
+              <div className="p-8 text-center text-gray-500">Loading products...</div>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {lines.map((line, index) => (
+                  <div key={`${line.productId}-${index}`} className="p-4 sm:p-6 flex items-center gap-4">
+                    {line.product ? (
+                      <img
+                        src={line.product.images?.[0] || line.product.image || '/images/placeholder-product.webp'}
+                        alt={line.product.name}
+                        className="w-16 h-16 object-cover rounded-lg flex-shrink-0"
+                      />
+                    ) : (
+                      <div className="w-16 h-16 bg-gray-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                        <FiShoppingBag className="text-gray-400" />
+                      </div>
+                    )}
+                    <div className="flex-1 min-w-0">
+                      {line.product ? (
+                        <Link to={`/product/${line.product.slug}`} className="font-semibold text-gray-900 hover:text-golden-600">
+                          {line.product.name}
+                        </Link>
+                      ) : (
+                        <p className="font-semibold text-gray-500">Product no longer available</p>
+                      )}
+                      {formatVariantOptions(line.selectedOptions) && (
+                        <p className="text-xs text-gray-500">{formatVariantOptions(line.selectedOptions)}</p>
+                      )}
+                      <p className="text-sm text-gray-600">Quantity: {line.quantity}</p>
+                    </div>
+                    {line.product && (
+                      <div className="text-right">
+                        <p className="font-semibold text-gray-900">{formatPrice(line.price * line.quantity)}</p>
+                        <p className="text-xs text-gray-500">{formatPrice(line.price)} each</p>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="p-4 sm:p-6 bg-gray-50 border-t border-gray-200">
+              {unavailableCount > 0 && (
+                <p className="text-sm text-yellow-700 mb-3">
+                  {unavailableCount} {unavailableCount === 1 ? 'product is' : 'products are'} no longer available and will be skipped.
+                </p>
+              )}
+              <div className="flex justify-between font-semibold text-gray-900 mb-4">
+                <span>Estimated total</span>
+                <span className="text-golden-600">{formatPrice(totalAmount)}</span>
+              </div>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <button
+                  onClick={() => handleLoad(false)}
+                  disabled={loading || availableLines.length === 0}
+                  className="btn btn-primary flex-1 flex items-center justify-center disabled:opacity-50"
+                >
+                  <FiPlus className="mr-2" />
+                  Add to My Basket
+                </button>
+                <button
+                  onClick={() => handleLoad(true)}
+                  disabled={loading || availableLines.length === 0}
+                  className="btn btn-outline flex-1 flex items-center justify-center disabled:opacity-50"
+                >
+                  <FiRefreshCw className="mr-2" />
+                  Replace My Basket
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-3">
+                Prices are current catalogue prices and may differ from when the basket was shared.
+              </p>
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedBasket;
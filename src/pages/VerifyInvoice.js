@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { motion } from 'framer-motion';
+import { FiCheckCircle, FiAlertTriangle, FiXCircle, FiInfo } from 'react-icons/fi';
+import { invoiceService } from '../services/invoiceService';
+import { parseVerificationParams, getVerificationResult, isTotalMismatch } from '../utils/invoiceVerificationUtils';
+import { getStatusLabel } from '../utils/requestStatusUtils';
+import { formatRevisionLabel } from '../utils/quoteRevisionUtils';
+import { BASE_CURRENCY, formatMoney } from '../utils/currencyUtils';
+import { formatDate } from '../utils/dateUtils';
+
+const RESULT_BANNERS = {
+  verified: {
+    icon: FiCheckCircle,
+    className: 'bg-green-50 border-green-200 text-green-800',
+    title: 'This proforma is genuine',
+    message: 'The number and the total you entered match our records.'
+  },
+  superseded: {
+    icon: FiInfo,
+    className: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+    title: 'This proforma has been replaced',
+    message: 'It is genuine, but a later revised quote has been issued. Ask the buyer for the latest proforma.'
+  },
+  mismatch: {
+    icon: FiXCircle,
+    className: 'bg-red-50 border-red-200 text-red-800',
+    title: 'The total does not match our records',
+    message: 'This proforma may have been altered. Do not pay against it; contact us to confirm the amount.'
+  },
+  unconfirmed: {
+    icon: FiInfo,
+    className: 'bg-blue-50 border-blue-200 text-blue-800',
+    title: 'Proforma found',
+    message: 'Check that the total printed on your copy is the total payable below, or enter it to compare.'
+  }
+};
+
+const VerifyInvoice = () => {
+  const { number } = useParams();
+  const [searchParams] = useSearchParams();
+  const printed = parseVerificationParams(searchParams);
+
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState('');
+  const [enteredTotal, setEnteredTotal] = useState('');
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        setLoading(true);
+        const response = await invoiceService.verify(number, printed.revision);
+        setRecord(response.data?.data || null);
+        setNotFound(!response.data?.data);
+      } catch (verifyError) {
+        if (verifyError.response?.status === 404) {
+          setNotFound(true);
+        } else {
+          console.error('Error verifying invoice:', verifyError);
+          setError('We could not check this proforma right now. Please try again later.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [number, printed.revision]);
+
+  // The QR code may sit on a copy whose printed total was edited, so only a total read off
+  // the paper and typed in can confirm it
+  const typedTotal = parseFloat(enteredTotal);
+  const totals = {
+    linkTotal: printed.total,
+    enteredTotal: Number.isFinite(typedTotal) ? typedTotal : null
+  };
+  const result = record ? getVerificationResult(record, totals) : null;
+  const enteredTotalDiffers = !!record && isTotalMismatch(record, totals.enteredTotal);
+  const banner = result && RESULT_BANNERS[result];
+
+  return (
+    <>
+      <Helmet>
+        <title>Verify Proforma Invoice - Ogla Shea Butter</title>
+        <meta name="robots" content="noindex" />
+      </Helmet>
+
+      <div className="min-h-screen bg-gray-50 py-16">
+        <div className="container px-4 sm:px-6">
+          <div className="max-w-2xl mx-auto">
+            <div className="mb-6 text-center">
+              <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Verify a Proforma Invoice</h1>
+              <p className="text-gray-600 mt-2">Proforma #{number}</p>
+            </div>
+
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="bg-white rounded-lg shadow-lg p-6 sm:p-8"
+            >
+              {loading ? (
+                <div className="text-center text-gray-500 py-8">Checking our records...</div>
+              ) : notFound ? (
+                <div className="text-center py-4">
+                  <FiXCircle className="text-6xl text-red-500 mx-auto mb-4" />
+                  <h2 className="text-xl font-semibold text-gray-900 mb-2">Unknown proforma number</h2>
+                  <p className="text-gray-600">
+                    We have never issued a proforma numbered {number}. Do not pay against it; contact us if you
+                    received it from someone claiming to represent Ogla Shea Butter.
+                  </p>
+                </div>
+              ) : error ? (
+                <div className="text-center py-4">
+                  <FiAlertTriangle className="text-6xl text-gray-300 mx-auto mb-4" />
+                  <p className="text-gray-600">{error}</p>
+                </div>
+              ) : (
+                <>
+                  {banner && (
+                    <div className={`flex items-start border rounded-lg p-4 mb-6 ${banner.className}`}>
+                      <banner.icon className="w-6 h-6 mr-3 flex-shrink-0" />
+                      <div>
+                        <p className="font-semibold">{banner.title}</p>
+                        <p className="text-sm mt-1">{banner.message}</p>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="text-center bg-gray-50 rounded-lg p-4 mb-6">
+                    <p className="text-sm text-gray-600">Total payable on our records</p>
+                    <p className="text-3xl font-bold text-golden-600 mt-1">{formatMoney(record.total, BASE_CURRENCY)}</p>
+                    <p className="text-sm text-gray-600 mt-2">
+                      Compare this with the total printed on your copy. If they differ, do not pay against it.
+                    </p>
+                  </div>
+
+                  <dl className="divide-y divide-gray-200 text-sm">
+                    <div className="flex justify-between py-3">
+                      <dt className="text-gray-600">Invoice number</dt>
+                      <dd className="font-medium text-gray-900">
+                        {record.invoiceNumber}
+                        {record.revision && ` · Quote ${formatRevisionLabel(record.revision)}`}
+                      </dd>
+                    </div>
+                    <div className="flex justify-between py-3">
+                      <dt className="text-gray-600">Issued</dt>
+                      <dd className="font-medium text-gray-900">{formatDate(record.issuedAt)}</dd>
+                    </div>
+                    {result === 'mismatch' && (
+                      <div className="flex justify-between py-3">
+                        <dt className="text-gray-600">
+                          {enteredTotalDiffers ? 'Total you entered' : 'Total in the QR code'}
+                        </dt>
+                        <dd className="font-medium text-red-700">
+                          {formatMoney(enteredTotalDiffers ? totals.enteredTotal : totals.linkTotal, BASE_CURRENCY)}
+                        </dd>
+                      </div>
+                    )}
+                    <div className="flex justify-between py-3">
+                      <dt className="text-gray-600">Status</dt>
+                      <dd className="font-medium text-gray-900">{getStatusLabel(record.status)}</dd>
+                    </div>
+                  </dl>
+
+                  <div className="mt-6">
+                    <label htmlFor="printed-total" className="block text-sm font-medium text-gray-700 mb-1">
+                      Total printed on your copy ({BASE_CURRENCY})
+                    </label>
+                    <p className="text-xs text-gray-500 mb-2">Type the total from the paper, not from the QR code.</p>
+                    <input
+                      id="printed-total"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={enteredTotal}
+                      onChange={(e) => setEnteredTotal(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-golden-500 focus:border-transparent"
+                    />
+                  </div>
+                </>
+              )}
+            </motion.div>
+
+            <p className="text-center text-sm text-gray-500 mt-6">
+              Questions about a proforma? <Link to="/contact" className="text-golden-600 hover:text-golden-700">Contact us</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VerifyInvoice;
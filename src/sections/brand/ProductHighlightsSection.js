@@ -3,6 +3,7 @@ import { motion } from 'framer-motion';
 import { FiStar } from 'react-icons/fi';
 import { useRequestBasket } from '../../contexts/RequestBasketContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 
 const ProductHighlightsSection = ({ 
   products = [], 
@@ -14,6 +15,7 @@ const ProductHighlightsSection = ({
   const displayProducts = products.slice(0, maxProducts);
   const { addToRequest, isInRequest } = useRequestBasket();
   const { user } = useAuth();
+  const { formatPrice } = useCurrency();
 
   return (
     <section className="relative py-24 bg-gradient-to-b from-white to-gray-50">
@@ -67,10 +69,7 @@ const ProductHighlightsSection = ({
                     className="text-2xl font-bold"
                     style={{ color: brandColors.primary }}
                   >
-                    {new Intl.NumberFormat('en-GH', {
-                      style: 'currency',
-                      currency: 'GHS'
-                    }).format(product.pricing.unitPrice)}
+                    {formatPrice(product.pricing.unitPrice)}
                   </span>
                   <span className="text-sm text-gray-500">1,234 reviews</span>
                 </div>
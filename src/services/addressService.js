@@ -0,0 +1,26 @@
+import api from "./api";
+
+// Customer address book API calls (authenticated users only)
+export const addressService = {
+  // Get the signed-in customer's saved addresses
+  getAddresses: async () => {
+    return api.get("/addresses");
+  },
+
+  // Add an address
+  createAddress: async (address) => {
+    return api.post("/addresses", address);
+  },
+
+  // Update an address; setting a default flag clears it on the customer's other addresses
+  updateAddress: async (addressId, address) => {
+    return api.put(`/addresses/${addressId}`, address);
+  },
+
+  // Delete an address
+  deleteAddress: async (addressId) => {
+    return api.delete(`/addresses/${addressId}`);
+  },
+};
+
+export default addressService;
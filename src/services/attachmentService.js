@@ -0,0 +1,34 @@
+import api from "./api";
+
+// Request attachment API calls. Files are uploaded as they are chosen and linked to the
+// request by ID when it is submitted
+export const attachmentService = {
+  // Upload one file; onProgress receives a percentage
+  uploadAttachment: async (file, onProgress) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    return api.post("/request-attachments", formData, {
+      timeout: 120000, // large scans on slow connections
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      },
+    });
+  },
+
+  // Remove an uploaded file that hasn't been submitted with a request
+  deleteAttachment: async (attachmentId) => {
+    return api.delete(`/request-attachments/${attachmentId}`);
+  },
+
+  // Download a file attached to a request
+  downloadAttachment: async (requestNumber, attachmentId) => {
+    return api.get(`/requests/${requestNumber}/attachments/${attachmentId}`, {
+      responseType: "blob",
+    });
+  },
+};
+
+export default attachmentService;
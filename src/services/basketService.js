@@ -0,0 +1,16 @@
+import api from "./api";
+
+// Saved request basket API calls (authenticated users only)
+export const basketService = {
+  // Get the basket saved against the signed-in account
+  getBasket: async () => {
+    return api.get("/basket");
+  },
+
+  // Replace the saved basket with the buyer's request lists
+  saveBasket: async ({ lists, activeListId }) => {
+    return api.put("/basket", { lists, activeListId });
+  },
+};
+
+export default basketService;
@@ -0,0 +1,16 @@
+import api from "./api";
+
+// Exchange rate API calls. Rates are cedis per unit of each currency, e.g. { USD: 15.5 }
+export const currencyService = {
+  // Get the current rates (public)
+  getRates: async () => {
+    return api.get("/currency-rates");
+  },
+
+  // Replace the rates (admin only)
+  updateRates: async (rates) => {
+    return api.put("/currency-rates", { rates });
+  },
+};
+
+export default currencyService;
@@ -0,0 +1,21 @@
+import api from "./api";
+
+// Request form draft API calls (authenticated users only)
+export const draftService = {
+  // Get the drafts saved against the signed-in account
+  getDrafts: async () => {
+    return api.get("/request-drafts");
+  },
+
+  // Create or replace a draft; drafts are keyed by the request list they belong to
+  saveDraft: async (draft) => {
+    return api.put(`/request-drafts/${draft.id}`, draft);
+  },
+
+  // Discard a draft
+  deleteDraft: async (draftId) => {
+    return api.delete(`/request-drafts/${draftId}`);
+  },
+};
+
+export default draftService;
@@ -0,0 +1,15 @@
+import api from "./api";
+
+// Proforma invoice API calls
+export const invoiceService = {
+  // Look up a proforma by number (public, used by the QR verification page).
+  // Returns { invoiceNumber, issuedAt, total, currency, status, revision, latestRevision }
+  // for the given quote revision, or the latest one; unknown numbers answer 404
+  verify: async (invoiceNumber, revision) => {
+    return api.get(`/invoices/${encodeURIComponent(invoiceNumber)}/verify`, {
+      params: revision ? { revision } : {},
+    });
+  },
+};
+
+export default invoiceService;
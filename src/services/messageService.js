@@ -0,0 +1,22 @@
+import api from "./api";
+
+// Request conversation API calls, shared by customers and staff. The server keeps every
+// message with the request and sends the email notifications
+export const messageService = {
+  // Get the thread for a request
+  getMessages: async (requestNumber) => {
+    return api.get(`/requests/${requestNumber}/messages`);
+  },
+
+  // Post a message; { body, attachments, notifyByEmail }
+  sendMessage: async (requestNumber, message) => {
+    return api.post(`/requests/${requestNumber}/messages`, message);
+  },
+
+  // Mark the other side's messages as read by the current user
+  markRead: async (requestNumber) => {
+    return api.post(`/requests/${requestNumber}/messages/read`);
+  },
+};
+
+export default messageService;
@@ -0,0 +1,22 @@
+import api from "./api";
+
+// Order and payment API calls. Orders are returned with their request as `order`;
+// see utils/orderUtils for their shape
+export const orderService = {
+  // Convert an approved request into an order (admin only); returns the updated request
+  createOrder: async (requestNumber, order) => {
+    return api.post(`/requests/${requestNumber}/order`, order);
+  },
+
+  // Record a payment against an order (admin only); returns the updated request
+  recordPayment: async (requestNumber, payment) => {
+    return api.post(`/requests/${requestNumber}/order/payments`, payment);
+  },
+
+  // Payments received and balances outstanding, for the admin dashboard
+  getRevenueSummary: async () => {
+    return api.get("/orders/revenue-summary");
+  },
+};
+
+export default orderService;
@@ -0,0 +1,12 @@
+import api from "./api";
+
+// Quote revision API calls. Revisions are returned with the request as `quoteRevisions`;
+// see utils/quoteRevisionUtils for their shape
+export const quoteService = {
+  // Save a new revision (admin only). The server numbers it and returns the updated request
+  createRevision: async (requestNumber, revision) => {
+    return api.post(`/requests/${requestNumber}/quote-revisions`, revision);
+  },
+};
+
+export default quoteService;
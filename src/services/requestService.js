@@ -0,0 +1,18 @@
+import api from "./api";
+
+// Admin request API calls. See utils/requestQueryUtils for the list query parameters
+export const requestService = {
+  // One page of requests matching the filters, sorted on the server (admin only).
+  // Returns { requests, pagination: { page, limit, total, pages } }
+  getAdminRequests: async (params) => {
+    return api.get("/requests/admin/all", { params });
+  },
+
+  // Move a request to a new status (admin only). The server records the change in the
+  // request's status history and may email the customer (`emailSent` in the response)
+  updateStatus: async (requestId, status, comment = "") => {
+    return api.put(`/requests/${requestId}/status`, { status, comment });
+  },
+};
+
+export default requestService;
@@ -0,0 +1,16 @@
+import api from "./api";
+
+// Freight rate table API calls. See utils/shippingUtils for the shape of the tables
+export const shippingService = {
+  // Get the current rate tables (public, used for estimates on the request form)
+  getRates: async () => {
+    return api.get("/shipping-rates");
+  },
+
+  // Replace the rate tables (admin only)
+  updateRates: async (rates) => {
+    return api.put("/shipping-rates", rates);
+  },
+};
+
+export default shippingService;
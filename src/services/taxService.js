@@ -0,0 +1,16 @@
+import api from "./api";
+
+// Tax settings API calls. See utils/taxUtils for the shape of the settings
+export const taxService = {
+  // Get the current tax settings (public, used for totals on the request form)
+  getSettings: async () => {
+    return api.get("/tax-settings");
+  },
+
+  // Replace the tax settings (admin only)
+  updateSettings: async (settings) => {
+    return api.put("/tax-settings", settings);
+  },
+};
+
+export default taxService;
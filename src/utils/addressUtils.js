@@ -0,0 +1,118 @@
+/**
+ * Address book utility functions. Saved addresses carry a label, a Ghana region and an
+ * optional GhanaPostGPS digital address, and can be the default for billing, delivery or both.
+ */
+
+// Ghana's sixteen administrative regions
+export const GHANA_REGIONS = [
+  'Ahafo',
+  'Ashanti',
+  'Bono',
+  'Bono East',
+  'Central',
+  'Eastern',
+  'Greater Accra',
+  'North East',
+  'Northern',
+  'Oti',
+  'Savannah',
+  'Upper East',
+  'Upper West',
+  'Volta',
+  'Western',
+  'Western North'
+];
+
+export const EMPTY_ADDRESS = {
+  label: '',
+  contactName: '',
+  phone: '',
+  street: '',
+  city: '',
+  region: '',
+  digitalAddress: '',
+  postalCode: '',
+  country: 'Ghana',
+  isDefaultBilling: false,
+  isDefaultDelivery: false
+};
+
+/**
+ * Tidy a GhanaPostGPS digital address as typed, e.g. "ga 123 4567" -> "GA-123-4567"
+ * @param {string} value - Digital address as entered
+ * @returns {string} - Upper-case address with hyphen separators
+ */
+export const normalizeDigitalAddress = (value) => {
+  return (value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-');
+};
+
+/**
+ * Check a GhanaPostGPS digital address: a two-letter district code followed by
+ * two groups of three or four digits
+ * @param {string} value - Digital address
+ * @returns {boolean} - Whether the address is well formed
+ */
+export const isValidDigitalAddress = (value) => {
+  return /^[A-Z]{2}-\d{3,4}-\d{3,4}$/.test(normalizeDigitalAddress(value));
+};
+
+/**
+ * Validate an address before it is saved
+ * @param {Object} address - Address form values
+ * @returns {Object} - Field errors, empty when the address is valid
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+
+  if (!address.label?.trim()) errors.label = 'Give the address a name, e.g. "Head office"';
+  if (!address.street?.trim()) errors.street = 'Street address is required';
+  if (!address.city?.trim()) errors.city = 'City is required';
+  if (address.country === 'Ghana' && !address.region) errors.region = 'Region is required';
+  if (address.digitalAddress && !isValidDigitalAddress(address.digitalAddress)) {
+    errors.digitalAddress = 'Enter a digital address like GA-123-4567';
+  }
+
+  return errors;
+};
+
+/**
+ * Format an address on one line
+ * @param {Object} address - Saved address
+ * @returns {string} - e.g. "12 Ring Road, Accra, Greater Accra · GA-123-4567"
+ */
+export const formatAddress = (address) => {
+  if (!address) return '';
+
+  const place = [address.street, address.city, address.region, address.country !== 'Ghana' && address.country]
+    .filter(Boolean)
+    .join(', ');
+  return address.digitalAddress ? `${place} · ${address.digitalAddress}` : place;
+};
+
+/**
+ * Find the customer's default address of a type, falling back to their first address
+ * @param {Array} addresses - Saved addresses
+ * @param {'billing'|'delivery'} type - Address type
+ * @returns {Object|null} - Address, or null when the book is empty
+ */
+export const getDefaultAddress = (addresses, type) => {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultDelivery';
+  return addresses.find(address => address[flag]) || addresses[0] || null;
+};
+
+/**
+ * Map a saved address onto the `companyAddress` shape requests and invoices already use
+ * @param {Object} address - Saved address
+ * @returns {Object} - { street, city, state, postalCode, country }
+ */
+export const toCompanyAddress = (address) => ({
+  street: address.street || '',
+  city: address.city || '',
+  state: address.region || '',
+  postalCode: address.digitalAddress || address.postalCode || '',
+  country: address.country || 'Ghana'
+});
@@ -0,0 +1,69 @@
+/**
+ * Request attachment utility functions: the files buyers may attach (purchase orders,
+ * packaging specs) and how they are checked before upload.
+ */
+
+// MIME types accepted by the upload endpoint, with the extensions the file picker offers
+export const ATTACHMENT_TYPES = {
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg,.jpeg',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/csv': '.csv'
+};
+
+export const ATTACHMENT_ACCEPT = Object.values(ATTACHMENT_TYPES).join(',');
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB per file
+export const MAX_ATTACHMENTS = 5;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "820 KB" or "2.4 MB"
+ */
+export const formatFileSize = (bytes) => {
+  const size = Number(bytes) || 0;
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${Math.round(size / 1024)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Check a file before it is uploaded
+ * @param {File} file - File chosen by the buyer
+ * @returns {string|null} - Reason the file can't be attached, or null when it is fine
+ */
+export const getAttachmentError = (file) => {
+  // Some browsers leave the type empty for Office files, so fall back to the extension
+  const extension = `.${(file.name.split('.').pop() || '').toLowerCase()}`;
+  const typeAllowed = ATTACHMENT_TYPES[file.type] ||
+    Object.values(ATTACHMENT_TYPES).some(extensions => extensions.split(',').includes(extension));
+
+  if (!typeAllowed) {
+    return `${file.name}: only PDF, image, Word, Excel and CSV files can be attached.`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name} is ${formatFileSize(file.size)}; the limit is ${formatFileSize(MAX_ATTACHMENT_SIZE)}.`;
+  }
+  return null;
+};
+
+/**
+ * Save a downloaded file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save as
+ */
+export const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,79 @@
+/**
+ * Shareable basket link utility functions. The basket is encoded into the link itself
+ * so no server storage is needed; prices are looked up again when the link is opened.
+ */
+
+import { getBaseUrl } from './urlUtils';
+
+// Bump when the encoded shape changes so old links can still be read
+const SHARE_FORMAT_VERSION = 1;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (token) => {
+  const base64 = token.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Encode a request list into a URL-safe token
+ * @param {string} name - Request list name
+ * @param {Array} items - Basket lines
+ * @returns {string} - Token holding the product IDs, quantities and selected options
+ */
+export const encodeSharedBasket = (name, items = []) => {
+  const payload = {
+    v: SHARE_FORMAT_VERSION,
+    n: name,
+    i: items.map(item => {
+      const line = { p: item._id, q: item.quantity };
+      if (item.selectedOptions && Object.keys(item.selectedOptions).length > 0) {
+        line.o = item.selectedOptions;
+      }
+      return line;
+    })
+  };
+  return toBase64Url(JSON.stringify(payload));
+};
+
+/**
+ * Decode a shared basket token
+ * @param {string} token - Token from the share link
+ * @returns {{name: string, items: Array}|null} - Shared lines as {productId, quantity, selectedOptions}, or null if the token is invalid
+ */
+export const decodeSharedBasket = (token) => {
+  try {
+    const payload = JSON.parse(fromBase64Url(token || ''));
+    if (!Array.isArray(payload?.i)) return null;
+
+    const items = payload.i
+      .map(line => ({
+        productId: String(line.p || ''),
+        quantity: parseInt(line.q, 10),
+        selectedOptions: line.o && typeof line.o === 'object' ? line.o : {}
+      }))
+      .filter(line => line.productId && Number.isInteger(line.quantity) && line.quantity > 0);
+
+    return { name: payload.n || 'Shared request', items };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the link a recipient opens to preview a shared basket
+ * @param {string} name - Request list name
+ * @param {Array} items - Basket lines
+ * @returns {string} - Absolute share URL
+ */
+export const buildShareUrl = (name, items) => {
+  return `${getBaseUrl()}/shared-basket/${encodeSharedBasket(name, items)}`;
+};
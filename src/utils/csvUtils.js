@@ -0,0 +1,50 @@
+/**
+ * CSV utility functions
+ */
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, escaped quotes ("")
+ * and commas or line breaks inside quotes.
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} - Rows of trimmed cells, blank rows removed
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
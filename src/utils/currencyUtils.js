@@ -0,0 +1,65 @@
+/**
+ * Money utility functions. Every price is stored and charged in Ghana cedis (the base currency);
+ * other currencies are display conversions using the rates maintained in the admin.
+ */
+
+export const BASE_CURRENCY = 'GHS';
+
+// Currencies buyers can choose to see prices in
+export const CURRENCIES = [
+  { code: 'GHS', name: 'Ghana Cedi', symbol: 'GH₵' },
+  { code: 'USD', name: 'US Dollar', symbol: '$' },
+  { code: 'EUR', name: 'Euro', symbol: '€' }
+];
+
+/**
+ * Format an amount in a currency
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount, e.g. "GH₵25.00" or "US$1.61"
+ */
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const value = Number(amount);
+  return new Intl.NumberFormat('en-GH', {
+    style: 'currency',
+    currency
+  }).format(isNaN(value) ? 0 : value);
+};
+
+/**
+ * Convert a cedi amount into another currency
+ * @param {number} amount - Amount in GHS
+ * @param {string} currency - Target currency code
+ * @param {Object} rates - Cedis per unit of each currency, e.g. { USD: 15.5, EUR: 16.9 }
+ * @returns {number|null} - Converted amount, or null when there is no rate for the currency
+ */
+export const convertFromBase = (amount, currency, rates = {}) => {
+  if (currency === BASE_CURRENCY) return Number(amount) || 0;
+
+  const rate = Number(rates[currency]);
+  if (!rate || rate <= 0) return null;
+
+  return (Number(amount) || 0) / rate;
+};
+
+/**
+ * Format a cedi amount in the chosen currency, falling back to cedis when there is no rate
+ * @param {number} amount - Amount in GHS
+ * @param {string} currency - Currency to display
+ * @param {Object} rates - Cedis per unit of each currency
+ * @returns {string} - Formatted amount
+ */
+export const formatFromBase = (amount, currency, rates = {}) => {
+  const converted = convertFromBase(amount, currency, rates);
+  return converted === null ? formatMoney(amount, BASE_CURRENCY) : formatMoney(converted, currency);
+};
+
+/**
+ * Describe an exchange rate for display
+ * @param {string} currency - Currency code
+ * @param {number} rate - Cedis per unit of the currency
+ * @returns {string} - e.g. "1 USD = GH₵15.50"
+ */
+export const formatExchangeRate = (currency, rate) => {
+  return `1 ${currency} = ${formatMoney(rate, BASE_CURRENCY)}`;
+};
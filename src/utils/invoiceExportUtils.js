@@ -0,0 +1,371 @@
+/**
+ * Machine-readable proforma exports for buyers' procurement systems. Every format is built
+ * from the same invoice data as the PDF (see buildInvoiceDataFromRequest in invoiceGenerator):
+ *   - CSV and XLSX: one table with a row per item, charge, tax and total
+ *   - UBL 2.1 XML: an Invoice document with type code 325 (proforma invoice)
+ * Amounts are exported in GHS, the currency the proforma is payable in.
+ */
+
+import { formatVariantOptions } from './variantUtils';
+import { BASE_CURRENCY } from './currencyUtils';
+import { formatRevisionLabel } from './quoteRevisionUtils';
+import { formatTaxLabel } from './taxUtils';
+import { escapeHtml, getPayableAmount, getFreightEstimate } from './invoiceTemplate';
+import { saveBlob } from './attachmentUtils';
+
+export const INVOICE_EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { value: 'xlsx', label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { value: 'ubl', label: 'UBL XML', extension: 'xml', mimeType: 'application/xml;charset=utf-8' }
+];
+
+const SUPPLIER = {
+  name: 'OGLA SHEA BUTTER & TRADING',
+  country: 'GH'
+};
+
+// UN/ECE unit code for "one" (a unit of the item), UNCL1001 code for a proforma invoice
+const UNIT_CODE = 'C62';
+const PROFORMA_TYPE_CODE = '325';
+
+const TABLE_COLUMNS = [
+  { key: 'invoiceNumber', header: 'Invoice Number', width: 16 },
+  { key: 'issueDate', header: 'Issue Date', width: 12 },
+  { key: 'revision', header: 'Quote Revision', width: 10 },
+  { key: 'currency', header: 'Currency', width: 9 },
+  { key: 'type', header: 'Type', width: 9 },
+  { key: 'line', header: 'Line', width: 6, numeric: true },
+  { key: 'description', header: 'Description', width: 40 },
+  { key: 'options', header: 'Options', width: 24 },
+  { key: 'quantity', header: 'Quantity', width: 10, numeric: true },
+  { key: 'listPrice', header: 'List Price', width: 12, numeric: true },
+  { key: 'discountPercent', header: 'Discount %', width: 10, numeric: true },
+  { key: 'unitPrice', header: 'Unit Price', width: 12, numeric: true },
+  { key: 'amount', header: 'Amount', width: 14, numeric: true },
+  { key: 'taxExempt', header: 'Tax Exempt', width: 10 }
+];
+
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Invoice data fills in missing customer details with placeholders; they are left out of exports
+const provided = (value) => (value && value !== 'Not provided' ? value : '');
+
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+};
+
+/**
+ * Summarise invoice data into the lines and totals every export format needs
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {Object} - { invoiceNumber, issueDate, revision, lines, charges, taxes, lineTotal, chargesTotal,
+ *   taxExclusiveTotal, payableAmount, freightEstimate }
+ */
+export const getInvoiceSummary = (invoiceData) => {
+  const lines = (invoiceData.items || []).map((item, index) => {
+    const unitPrice = Number(item.price) || 0;
+    const quantity = Number(item.quantity) || 0;
+    return {
+      line: index + 1,
+      description: item.name,
+      options: formatVariantOptions(item.selectedOptions),
+      quantity,
+      listPrice: Math.max(Number(item.unitPrice) || 0, unitPrice),
+      discountPercent: Number(item.discountPercent) || 0,
+      unitPrice,
+      amount: roundMoney(unitPrice * quantity),
+      taxExempt: !!item.taxExempt
+    };
+  });
+  const charges = (invoiceData.quoteRevision?.charges || []).map(charge => ({
+    label: charge.label,
+    amount: roundMoney(charge.amount)
+  }));
+
+  const lineTotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const chargesTotal = roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0));
+  const taxes = invoiceData.taxes || null;
+
+  return {
+    invoiceNumber: invoiceData.invoiceNumber,
+    issueDate: toIsoDate(invoiceData.issuedAt || invoiceData.submittedAt),
+    revision: invoiceData.quoteRevision?.revision || null,
+    lines,
+    charges,
+    taxes,
+    lineTotal,
+    chargesTotal,
+    taxExclusiveTotal: taxes ? taxes.netTotal : roundMoney(lineTotal + chargesTotal),
+    payableAmount: getPayableAmount(invoiceData),
+    freightEstimate: getFreightEstimate(invoiceData.shipping)
+  };
+};
+
+/**
+ * Lay invoice data out as one table: a row per item, charge, tax and total
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {{columns: Array, rows: Array<Object>}} - Column definitions and rows keyed by column
+ */
+export const getInvoiceTable = (invoiceData) => {
+  const summary = getInvoiceSummary(invoiceData);
+  const base = {
+    invoiceNumber: summary.invoiceNumber,
+    issueDate: summary.issueDate,
+    revision: summary.revision ? formatRevisionLabel(summary.revision) : '',
+    currency: BASE_CURRENCY
+  };
+
+  const rows = [
+    ...summary.lines.map(line => ({
+      ...base,
+      type: 'Item',
+      ...line,
+      taxExempt: line.taxExempt ? 'Yes' : 'No'
+    })),
+    ...summary.charges.map(charge => ({ ...base, type: 'Charge', description: charge.label, amount: charge.amount })),
+    ...(summary.taxes?.lines || []).map(line => ({
+      ...base,
+      type: 'Tax',
+      description: formatTaxLabel(line),
+      amount: line.amount
+    })),
+    summary.freightEstimate > 0 && {
+      ...base,
+      type: 'Estimate',
+      description: 'Estimated freight (not included in the total)',
+      amount: summary.freightEstimate
+    },
+    {
+      ...base,
+      type: 'Total',
+      description: summary.taxes?.pricesIncludeTax ? 'Amount payable (taxes included)' : 'Amount payable',
+      amount: summary.payableAmount
+    }
+  ].filter(Boolean);
+
+  return { columns: TABLE_COLUMNS, rows };
+};
+
+// Text that spreadsheets would run as a formula is kept as text
+const neutraliseFormula = (value) => (/^[=+\-@]/.test(value) ? `'${value}` : value);
+
+const toCsvCell = (value, numeric) => {
+  if (value === null || value === undefined || value === '') return '';
+  const text = numeric ? String(value) : neutraliseFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export invoice data as CSV
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {string} - CSV text with a header row
+ */
+export const buildInvoiceCsv = (invoiceData) => {
+  const { columns, rows } = getInvoiceTable(invoiceData);
+  return [
+    columns.map(column => toCsvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => toCsvCell(row[column.key], column.numeric)).join(','))
+  ].join('\r\n');
+};
+
+/**
+ * Export invoice data as an Excel workbook
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {Promise<ArrayBuffer>} - XLSX file contents
+ */
+export const buildInvoiceXlsx = async (invoiceData) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const { columns, rows } = getInvoiceTable(invoiceData);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = SUPPLIER.name;
+  const sheet = workbook.addWorksheet('Proforma');
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  rows.forEach(row => {
+    sheet.addRow(
+      columns.reduce((values, column) => {
+        const value = row[column.key];
+        values[column.key] = column.numeric || value === undefined ? value : neutraliseFormula(String(value));
+        return values;
+      }, {})
+    );
+  });
+  ['listPrice', 'unitPrice', 'amount'].forEach(key => {
+    sheet.getColumn(key).numFmt = '#,##0.00';
+  });
+  sheet.lastRow.font = { bold: true };
+
+  return workbook.xlsx.writeBuffer();
+};
+
+const xmlElement = (name, value, attributes = {}) => {
+  const attributeText = Object.entries(attributes)
+    .map(([key, attributeValue]) => ` ${key}="${escapeHtml(attributeValue)}"`)
+    .join('');
+  return `<${name}${attributeText}>${escapeHtml(value)}</${name}>`;
+};
+
+const xmlAmount = (name, amount) => xmlElement(name, roundMoney(amount).toFixed(2), { currencyID: BASE_CURRENCY });
+
+const ublTaxCategory = (elementName, { exempt, percent, schemeId, schemeName }) => [
+  `<${elementName}>`,
+  xmlElement('cbc:ID', exempt ? 'E' : 'S'),
+  exempt || percent !== undefined ? xmlElement('cbc:Percent', exempt ? 0 : percent) : '',
+  exempt ? xmlElement('cbc:TaxExemptionReason', 'Exempt from VAT and levies') : '',
+  '<cac:TaxScheme>',
+  xmlElement('cbc:ID', schemeId),
+  schemeName ? xmlElement('cbc:Name', schemeName) : '',
+  '</cac:TaxScheme>',
+  `</${elementName}>`
+].join('');
+
+const ublParty = (elementName, { name, contactName, email, phone, country }) => [
+  `<${elementName}><cac:Party>`,
+  `<cac:PartyName>${xmlElement('cbc:Name', name)}</cac:PartyName>`,
+  country ? `<cac:PostalAddress><cac:Country>${xmlElement('cbc:IdentificationCode', country)}</cac:Country></cac:PostalAddress>` : '',
+  `<cac:PartyLegalEntity>${xmlElement('cbc:RegistrationName', name)}</cac:PartyLegalEntity>`,
+  contactName || email || phone
+    ? [
+        '<cac:Contact>',
+        contactName ? xmlElement('cbc:Name', contactName) : '',
+        phone ? xmlElement('cbc:Telephone', phone) : '',
+        email ? xmlElement('cbc:ElectronicMail', email) : '',
+        '</cac:Contact>'
+      ].join('')
+    : '',
+  `</cac:Party></${elementName}>`
+].join('');
+
+/**
+ * Export invoice data as a UBL 2.1 Invoice document (type code 325, proforma invoice)
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {string} - UBL XML
+ */
+export const buildInvoiceUbl = (invoiceData) => {
+  const summary = getInvoiceSummary(invoiceData);
+  const { taxes } = summary;
+  const customer = invoiceData.customer || {};
+  const contactName = `${customer.firstName || ''} ${customer.lastName || ''}`.trim();
+  const taxScheme = (line) => ({ schemeId: String(line.id).toUpperCase(), schemeName: line.label });
+  const defaultScheme = { schemeId: 'VAT' };
+
+  const taxTotal = taxes
+    ? [
+        '<cac:TaxTotal>',
+        xmlAmount('cbc:TaxAmount', taxes.taxTotal),
+        ...taxes.lines.map(line => [
+          '<cac:TaxSubtotal>',
+          xmlAmount('cbc:TaxableAmount', line.base),
+          xmlAmount('cbc:TaxAmount', line.amount),
+          ublTaxCategory('cac:TaxCategory', { exempt: false, percent: line.rate, ...taxScheme(line) }),
+          '</cac:TaxSubtotal>'
+        ].join('')),
+        taxes.exemptAmount > 0
+          ? [
+              '<cac:TaxSubtotal>',
+              xmlAmount('cbc:TaxableAmount', taxes.exemptAmount),
+              xmlAmount('cbc:TaxAmount', 0),
+              ublTaxCategory('cac:TaxCategory', { exempt: true, ...defaultScheme }),
+              '</cac:TaxSubtotal>'
+            ].join('')
+          : '',
+        '</cac:TaxTotal>'
+      ].join('')
+    : '';
+
+  const notes = [
+    invoiceData.quoteRevision && `Quote ${formatRevisionLabel(invoiceData.quoteRevision.revision)}${invoiceData.quoteRevision.note ? `: ${invoiceData.quoteRevision.note}` : ''}`,
+    taxes?.pricesIncludeTax && 'Prices include VAT and levies',
+    summary.freightEstimate > 0 && `Estimated freight of ${summary.freightEstimate.toFixed(2)} ${BASE_CURRENCY} is not included`
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"',
+    ' xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"',
+    ' xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">',
+    xmlElement('cbc:UBLVersionID', '2.1'),
+    xmlElement('cbc:ID', summary.revision ? `${summary.invoiceNumber}-${formatRevisionLabel(summary.revision)}` : summary.invoiceNumber),
+    xmlElement('cbc:IssueDate', summary.issueDate),
+    xmlElement('cbc:InvoiceTypeCode', PROFORMA_TYPE_CODE),
+    ...notes.map(note => xmlElement('cbc:Note', note)),
+    xmlElement('cbc:DocumentCurrencyCode', BASE_CURRENCY),
+    ublParty('cac:AccountingSupplierParty', SUPPLIER),
+    ublParty('cac:AccountingCustomerParty', {
+      name: provided(customer.companyName) || contactName,
+      contactName,
+      email: provided(customer.email),
+      phone: provided(customer.phone)
+    }),
+    ...summary.charges.map(charge => [
+      '<cac:AllowanceCharge>',
+      xmlElement('cbc:ChargeIndicator', 'true'),
+      xmlElement('cbc:AllowanceChargeReason', charge.label),
+      xmlAmount('cbc:Amount', charge.amount),
+      '</cac:AllowanceCharge>'
+    ].join('')),
+    taxTotal,
+    '<cac:LegalMonetaryTotal>',
+    xmlAmount('cbc:LineExtensionAmount', summary.lineTotal),
+    xmlAmount('cbc:TaxExclusiveAmount', summary.taxExclusiveTotal),
+    xmlAmount('cbc:TaxInclusiveAmount', summary.payableAmount),
+    summary.chargesTotal > 0 ? xmlAmount('cbc:ChargeTotalAmount', summary.chargesTotal) : '',
+    xmlAmount('cbc:PayableAmount', summary.payableAmount),
+    '</cac:LegalMonetaryTotal>',
+    ...summary.lines.map(line => [
+      '<cac:InvoiceLine>',
+      xmlElement('cbc:ID', line.line),
+      xmlElement('cbc:InvoicedQuantity', line.quantity, { unitCode: UNIT_CODE }),
+      xmlAmount('cbc:LineExtensionAmount', line.amount),
+      '<cac:Item>',
+      line.options ? xmlElement('cbc:Description', line.options) : '',
+      xmlElement('cbc:Name', line.description),
+      taxes ? ublTaxCategory('cac:ClassifiedTaxCategory', { exempt: line.taxExempt, ...defaultScheme }) : '',
+      '</cac:Item>',
+      '<cac:Price>',
+      xmlAmount('cbc:PriceAmount', line.unitPrice),
+      line.listPrice > line.unitPrice
+        ? [
+            '<cac:AllowanceCharge>',
+            xmlElement('cbc:ChargeIndicator', 'false'),
+            xmlAmount('cbc:Amount', line.listPrice - line.unitPrice),
+            xmlAmount('cbc:BaseAmount', line.listPrice),
+            '</cac:AllowanceCharge>'
+          ].join('')
+        : '',
+      '</cac:Price>',
+      '</cac:InvoiceLine>'
+    ].join('')),
+    '</Invoice>'
+  ].join('\n');
+};
+
+/**
+ * Build an export and download it
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @param {string} format - 'csv', 'xlsx' or 'ubl'
+ * @returns {Promise<void>}
+ */
+export const downloadInvoiceExport = async (invoiceData, format) => {
+  const definition = INVOICE_EXPORT_FORMATS.find(candidate => candidate.value === format);
+  if (!definition) throw new Error(`Unknown invoice export format: ${format}`);
+
+  let contents;
+  if (format === 'csv') {
+    // Byte order mark so Excel opens the cedi sign and accented names correctly
+    contents = `\uFEFF${buildInvoiceCsv(invoiceData)}`;
+  } else if (format === 'xlsx') {
+    contents = await buildInvoiceXlsx(invoiceData);
+  } else {
+    contents = buildInvoiceUbl(invoiceData);
+  }
+
+  const revisionSuffix = invoiceData.quoteRevision ? `_${formatRevisionLabel(invoiceData.quoteRevision.revision)}` : '';
+  saveBlob(
+    new Blob([contents], { type: definition.mimeType }),
+    `Proforma_Invoice_${invoiceData.invoiceNumber}${revisionSuffix}.${definition.extension}`
+  );
+};
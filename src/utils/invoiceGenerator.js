@@ -1,7 +1,11 @@
 // Proforma Invoice Generator Utility
 // Handles generation of Proforma Invoices with Ogla letterhead
 
-import jsPDF from "jspdf";
+import { BASE_CURRENCY, formatMoney } from "./currencyUtils";
+import { getQuoteRevision, getNetUnitPrice, diffQuoteRevision, formatRevisionLabel } from "./quoteRevisionUtils";
+import { getRequestTaxes } from "./taxUtils";
+import { renderInvoicePages, getPayableAmount } from "./invoiceTemplate";
+import { buildVerificationUrl } from "./invoiceVerificationUtils";
 
 
 
@@ -18,12 +22,7 @@ export const generateInvoiceNumber = () => {
   return `OGL-${String(nextNumber).padStart(3, "0")}${yearShort}`;
 };
 
-export const formatPrice = (price) => {
-  return new Intl.NumberFormat("en-GH", {
-    style: "currency",
-    currency: "GHS",
-  }).format(price);
-};
+export const formatPrice = (price) => formatMoney(price, BASE_CURRENCY);
 
 export const formatDate = (dateString) => {
   return new Date(dateString).toLocaleDateString("en-GH", {
@@ -33,17 +32,96 @@ export const formatDate = (dateString) => {
   });
 };
 
+// Build the generator's invoice data from a request returned by /requests/my-requests.
+// Revised quotes use the given revision number, or the latest revision when none is given.
+export const buildInvoiceDataFromRequest = (request, revisionNumber) => {
+  const originalItems = request.items || [];
+  const revision = getQuoteRevision(request, revisionNumber);
+  const items = revision
+    ? revision.lines.map(line => ({
+        name: line.name,
+        quantity: line.quantity,
+        price: getNetUnitPrice(line),
+        unitPrice: Number(line.unitPrice) > Number(line.price) ? line.unitPrice : line.price,
+        discountPercent: Number(line.discountPercent) || 0,
+        selectedOptions: line.selectedOptions,
+        taxExempt: !!line.taxExempt,
+      }))
+    : originalItems;
+
+  return {
+    invoiceNumber: request.request_number || request.requestNumber,
+    version: request.version || 1,
+    customer: request.customerData || {
+      firstName: request.customerName?.split(' ')[0] || 'Unknown',
+      lastName: request.customerName?.split(' ').slice(1).join(' ') || 'User',
+      email: request.customerEmail || 'Not provided',
+      phone: request.customerPhone || 'Not provided',
+      companyName: request.companyName || 'Not provided',
+      companyType: 'Not specified',
+      companyRole: 'Not specified'
+    },
+    items: items.map(item => ({
+      name: item.name || `Product ${item.productId}`,
+      quantity: item.quantity,
+      price: item.price,
+      unitPrice: item.unitPrice,
+      discountPercent: item.discountPercent,
+      selectedOptions: item.selectedOptions,
+      taxExempt: !!item.taxExempt,
+    })),
+    totalAmount: revision ? revision.total : request.totalAmount,
+    taxes: getRequestTaxes(request, revisionNumber),
+    quoteRevision: revision
+      ? {
+          revision: revision.revision,
+          note: revision.note,
+          createdAt: revision.createdAt,
+          charges: revision.charges || [],
+          originalTotal: request.totalAmount,
+          changes: diffQuoteRevision(originalItems, revision).filter(line => line.change !== 'unchanged'),
+        }
+      : null,
+    currency: request.currency,
+    shipping: request.shipping,
+    submittedAt: request.formattedCreatedAt || request.createdAt,
+    issuedAt: request.createdAt,
+    status: request.status
+  };
+};
+
+// QR code linking to the public verification page. A proforma is still issued without one
+// if the code cannot be drawn.
+const createVerificationCode = async (invoiceData) => {
+  const url = buildVerificationUrl({
+    invoiceNumber: invoiceData.invoiceNumber,
+    revision: invoiceData.quoteRevision?.revision,
+    total: getPayableAmount(invoiceData),
+  });
+
+  try {
+    const { default: QRCode } = await import("qrcode");
+    const qrDataUrl = await QRCode.toDataURL(url, { margin: 1, width: 240, errorCorrectionLevel: "M" });
+    return { url, qrDataUrl };
+  } catch (error) {
+    console.error("Error creating verification QR code:", error);
+    return null;
+  }
+};
+
 export const generateProformaInvoice = async (invoiceData, isAdminDownload = false) => {
   try {
     // Use local letterhead image for reliable PDF generation
     const letterheadUrl = '/images/OGLA_SHEA_lh.jpg';
     console.log('🎯 Using local letterhead image:', letterheadUrl);
     
-    const invoiceHTML = createInvoiceHTML(invoiceData, letterheadUrl, isAdminDownload);
-    const pdfBlob = await generatePDF(invoiceHTML);
+    const verification = await createVerificationCode(invoiceData);
+    const pages = renderInvoicePages(invoiceData, { letterheadUrl, isAdminDownload, verification });
+    const pdfBlob = await generatePDF(pages);
+    const revisionSuffix = invoiceData.quoteRevision ? `_${formatRevisionLabel(invoiceData.quoteRevision.revision)}` : '';
     const filename = isAdminDownload 
-      ? `Admin_Invoice_${invoiceData.invoiceNumber}_${new Date().toISOString().split('T')[0]}.pdf`
-      : `Proforma_Invoice_${invoiceData.invoiceNumber}.pdf`;
+      ? `Admin_Invoice_${invoiceData.invoiceNumber}${revisionSuffix}_${new Date().toISOString().split('T')[0]}.pdf`
+      : `Proforma_Invoice_${invoiceData.invoiceNumber}${revisionSuffix}.pdf`;
     downloadPDF(pdfBlob, filename);
     
     if (!isAdminDownload) {
@@ -57,165 +135,59 @@ export const generateProformaInvoice = async (invoiceData, isAdminDownload = fal
   }
 };
 
-const createInvoiceHTML = (invoiceData, letterheadUrl, isAdminDownload = false) => {
-  const { invoiceNumber, customer, items, totalAmount, submittedAt, adminStamp } = invoiceData;
-
-  return `
-  <div style="
-    font-family: Arial, sans-serif;
-    font-size: 11px;
-    color: #333;
-    width: 210mm;
-    min-height: 297mm;
-    position: relative;
-    box-sizing: border-box;
-    padding: 20mm 15mm;
-    ${letterheadUrl ? `background-image: url('${letterheadUrl}'); background-size: 210mm 297mm; background-repeat: no-repeat; background-position: center;` : ''}
-  ">
-    <div style="position: relative; z-index: 1;">
-      <div style="text-align:center; border-bottom: 1px solid #b5a033; margin-bottom: 20px; padding-bottom: 8px;">
-      <div style="font-size: 1.6em; font-weight: bold; color:#b5a033;">Proforma Invoice</div>
-      <div style="font-size: 0.9em; color:#666; font-weight: bold;">Invoice #: ${invoiceNumber}</div>
-    </div>
-
-    <div style="display:flex; justify-content:space-between; margin-bottom:20px;">
-      <div>
-        <div style="font-weight:bold; color:#b5a033; border-bottom:1px solid #b5a033; margin-bottom:5px;">Bill To:</div>
-        <div><b>Name:</b> ${customer.firstName} ${customer.lastName}</div>
-        <div><b>Company:</b> ${customer.companyName}</div>
-        <div><b>Email:</b> ${customer.email}</div>
-        <div><b>Phone:</b> ${customer.phone}</div>
-      </div>
-      <div>
-        <div style="font-weight:bold; color:#b5a033; border-bottom:1px solid #b5a033; margin-bottom:5px;">Invoice Details:</div>
-        <div><b>Date:</b> ${formatDate(submittedAt)}</div>
-        <div><b>Company Type:</b> ${customer.companyType}</div>
-        <div><b>Role:</b> ${customer.companyRole}</div>
-      </div>
-    </div>
+// Render one page of markup to a canvas. The page is attached off-screen while it is drawn.
+const renderPageToCanvas = async (html2canvas, pageHTML, canvasOptions) => {
+  const tempDiv = document.createElement("div");
+  tempDiv.innerHTML = pageHTML;
+  tempDiv.style.position = "absolute";
+  tempDiv.style.left = "-9999px";
+  tempDiv.style.width = "210mm";
+  tempDiv.style.height = "297mm";
+  document.body.appendChild(tempDiv);
 
-    <table style="width:100%; border-collapse:collapse; margin:20px 0; font-size:0.8em;">
-      <thead>
-        <tr style="background:#b5a033; color:white;">
-          <th style="padding:8px 4px; text-align:left;">Item</th>
-          <th style="padding:8px 4px; text-align:left;">Qty</th>
-          <th style="padding:8px 4px; text-align:left;">Unit Price</th>
-          <th style="padding:8px 4px; text-align:left;">Total</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${items
-          .map(
-            (item) => `
-          <tr style="border-bottom: 1px solid #dee2e6;">
-            <td style="padding:6px 4px;">${item.name}</td>
-            <td style="padding:6px 4px;">${item.quantity}</td>
-            <td style="padding:6px 4px;">GH₵${item.price}</td>
-            <td style="padding:6px 4px;">GH₵${(item.price * item.quantity).toFixed(2)}</td>
-          </tr>`
-          )
-          .join("")}
-      </tbody>
-    </table>
-
-    <div style="text-align:right; border-top:2px solid #b5a033; margin-top:15px; padding-top:10px;">
-      <span style="font-weight:bold; font-size: 1.1em; margin-right:10px;">Total:</span>
-      <span style="font-weight:bold; font-size: 1.1em; color:#b5a033;">GH₵${totalAmount.toFixed(2)}</span>
-    </div>
-
-    <div style="margin-top:30px; padding:15px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
-      <h4 style="color:#b5a033; margin:0 0 15px 0; font-size:1.1em;">Bank Payment Details</h4>
-      <div style="display:flex; gap:15px; flex-wrap:wrap;">
-        <div style="flex:1; text-align:center; padding:10px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
-          <div style="font-weight:bold; color:#b5a033; font-size:0.9em; margin-bottom:5px;">Ecobank Ghana</div>
-          <div style="font-size:0.7em; color:#666; margin-bottom:5px;">Head Office, Ridge – Accra</div>
-          <div style="font-weight:bold; font-size:0.8em; margin-bottom:3px;">OGLA SHEA BUTTER & TRADING</div>
-          <div style="font-family:'Courier New',monospace; font-size:0.8em; color:#333; background:#f8f9fa; padding:2px 5px; border-radius:3px;">1441002558413</div>
-        </div>
-        <div style="flex:1; text-align:center; padding:10px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
-          <div style="font-weight:bold; color:#b5a033; font-size:0.9em; margin-bottom:5px;">First Bank Ghana</div>
-          <div style="font-size:0.7em; color:#666; margin-bottom:5px;">Osu Branch – Accra</div>
-          <div style="font-weight:bold; font-size:0.8em; margin-bottom:3px;">OGLA SHEA BUTTER & TRADING</div>
-          <div style="font-family:'Courier New',monospace; font-size:0.8em; color:#333; background:#f8f9fa; padding:2px 5px; border-radius:3px;">0203400000888</div>
-        </div>
-        <div style="flex:1; text-align:center; padding:10px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
-          <div style="font-weight:bold; color:#b5a033; font-size:0.9em; margin-bottom:5px;">Access Bank Ghana</div>
-          <div style="font-size:0.7em; color:#666; margin-bottom:5px;">Stadium Branch – Accra</div>
-          <div style="font-weight:bold; font-size:0.8em; margin-bottom:3px;">OGLA SHEA BUTTER & TRADING</div>
-          <div style="font-family:'Courier New',monospace; font-size:0.8em; color:#333; background:#f8f9fa; padding:2px 5px; border-radius:3px;">100900031728</div>
-        </div>
-      </div>
-    </div>
-
-    <div style="margin-top:25px; padding:10px; background:rgba(248,249,250,0.8); border-left:3px solid #b5a033;">
-      <h4 style="font-size:0.9em; color:#b5a033; margin-top:0;">Terms & Conditions:</h4>
-      <ul style="font-size:0.8em; margin:0; padding-left:20px;">
-        <li>This is a Proforma Invoice and does not constitute a tax invoice</li>
-        <li>Prices are subject to change without prior notice</li>
-        <li>Delivery will be arranged upon confirmation of order</li>
-        <li>All disputes are subject to Ghanaian law</li>
-      </ul>
-    </div>
-    
-    ${isAdminDownload && adminStamp ? `
-    <div style="margin-top:20px; padding:15px; background:rgba(220,53,69,0.1); border:2px solid #dc3545; border-radius:8px;">
-      <div style="text-align:center; color:#dc3545; font-weight:bold; font-size:1.2em; margin-bottom:10px;">
-        ⚫ ADMIN COPY ⚫
-      </div>
-      <div style="font-size:0.8em; color:#666;">
-        <div><strong>Downloaded by:</strong> ${adminStamp.downloadedBy}</div>
-        <div><strong>Download Date:</strong> ${formatDate(adminStamp.downloadedAt)}</div>
-        <div><strong>Admin Email:</strong> ${adminStamp.adminEmail}</div>
-        <div style="margin-top:8px; font-style:italic;">This copy was generated for administrative purposes.</div>
-      </div>
-    </div>
-    ` : ''}
-    </div>
-  </div>`;
-};
-
-const generatePDF = async (htmlContent) => {
-  const { jsPDF } = await import("jspdf");
-  const html2canvas = await import("html2canvas");
-  
   try {
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = htmlContent;
-    tempDiv.style.position = "absolute";
-    tempDiv.style.left = "-9999px";
-    tempDiv.style.width = "210mm";
-    tempDiv.style.height = "297mm";
-    document.body.appendChild(tempDiv);
-
     // Wait for images to load before rendering (local images should load quickly)
     const images = tempDiv.querySelectorAll('img');
     if (images.length > 0) {
-      console.log('🖼️ Found', images.length, 'images, waiting for them to load...');
       await Promise.all(Array.from(images).map((img, index) => {
         if (img.complete && img.naturalHeight !== 0) {
-          console.log(`✅ Image ${index + 1} already loaded`);
           return Promise.resolve();
         }
         return new Promise(resolve => {
-          img.onload = () => {
-            console.log(`✅ Image ${index + 1} loaded successfully`);
-            resolve();
-          };
+          img.onload = () => resolve();
           img.onerror = (error) => {
             console.error(`❌ Image ${index + 1} failed to load:`, error);
             resolve(); // Continue even if image fails to load
           };
           // Shorter timeout for local images
-          setTimeout(() => {
-            console.log(`⏰ Image ${index + 1} load timeout`);
-            resolve();
-          }, 3000);
+          setTimeout(() => resolve(), 3000);
         });
       }));
-      console.log('🎯 All images processed');
     }
 
-    const canvas = await html2canvas.default(tempDiv, {
+    return await html2canvas.default(tempDiv, canvasOptions);
+  } finally {
+    document.body.removeChild(tempDiv);
+  }
+};
+
+// Draw each A4 page of markup onto its own PDF page
+const generatePDF = async (pages) => {
+  const { jsPDF } = await import("jspdf");
+  const html2canvas = await import("html2canvas");
+
+  const renderPages = async (canvasOptions) => {
+    const pdf = new jsPDF("p", "mm", "a4");
+    for (let index = 0; index < pages.length; index++) {
+      const canvas = await renderPageToCanvas(html2canvas, pages[index], canvasOptions);
+      if (index > 0) pdf.addPage();
+      pdf.addImage(canvas.toDataURL("image/jpeg", 0.95), "JPEG", 0, 0, 210, 297);
+    }
+    return pdf.output("blob");
+  };
+
+  try {
+    return await renderPages({
       scale: 2,
       useCORS: true,
       logging: false,
@@ -225,41 +197,16 @@ const generatePDF = async (htmlContent) => {
       imageTimeout: 15000,
       removeContainer: false,
     });
-
-    document.body.removeChild(tempDiv);
-
-    const pdf = new jsPDF("p", "mm", "a4");
-    const imgData = canvas.toDataURL("image/jpeg", 0.95);
-    pdf.addImage(imgData, "JPEG", 0, 0, 210, 297);
-
-    return pdf.output("blob");
-    
   } catch (error) {
     console.error("Error generating PDF:", error);
-    
-    // Fallback: generate PDF without letterhead
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = htmlContent;
-    tempDiv.style.position = "absolute";
-    tempDiv.style.left = "-9999px";
-    tempDiv.style.width = "210mm";
-    tempDiv.style.height = "297mm";
-    document.body.appendChild(tempDiv);
 
-    const canvas = await html2canvas.default(tempDiv, {
+    // Fallback: render with the default canvas options
+    return renderPages({
       scale: 2,
       useCORS: true,
       logging: false,
       backgroundColor: "#ffffff",
     });
-
-    document.body.removeChild(tempDiv);
-
-    const pdf = new jsPDF("p", "mm", "a4");
-    const imgData = canvas.toDataURL("image/jpeg", 0.95);
-    pdf.addImage(imgData, "JPEG", 0, 0, 210, 297);
-
-    return pdf.output("blob");
   }
 };
 
@@ -282,6 +229,7 @@ const invoiceGenerator = {
   generateInvoiceNumber,
   formatPrice,
   formatDate,
+  buildInvoiceDataFromRequest,
   generateProformaInvoice,
 };
 
@@ -0,0 +1,480 @@
+/**
+ * Proforma invoice templates. Invoices are laid out as A4 pages of HTML that the generator
+ * renders one at a time through html2canvas.
+ *
+ * Every value is interpolated through the `html` tag, which escapes it unless it is markup
+ * built by another `html` call. Pagination works from estimated block heights in millimetres,
+ * so the same invoice always breaks the same way: item rows flow across pages under a
+ * repeated table header, the totals stay on the page of the last rows, and the blocks after
+ * them never split.
+ */
+
+import { formatVariantOptions } from './variantUtils';
+import { BASE_CURRENCY, formatMoney, formatExchangeRate } from './currencyUtils';
+import { formatShippingTerms } from './shippingUtils';
+import { formatRevisionLabel } from './quoteRevisionUtils';
+import { formatTaxLabel } from './taxUtils';
+
+const BRAND_COLOR = '#b5a033';
+
+// A4 at 20mm top/bottom padding, less room for the page number
+const PAGE_CONTENT_HEIGHT_MM = 297 - 40 - 10;
+
+const HEIGHTS_MM = {
+  firstPageHeader: 70,
+  continuationHeader: 14,
+  tableHeader: 9,
+  row: 7,
+  rowExtraLine: 3.5,
+  totalsBase: 16,
+  totalsLine: 5.5,
+  taxBase: 8,
+  changesBase: 14,
+  changesLine: 5,
+  bankDetails: 42,
+  terms: 32,
+  adminStamp: 42
+};
+
+// Characters that fit on one line of the item column before the name wraps
+const ITEM_NAME_LINE_LENGTH = 55;
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape; null and undefined become an empty string
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Mark a string as trusted markup so `html` inserts it as is
+ * @param {string} markup - Markup that is already safe
+ * @returns {{__html: string}} - Trusted markup
+ */
+export const raw = (markup) => ({ __html: String(markup) });
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (typeof value === 'object' && typeof value.__html === 'string') return value.__html;
+  return escapeHtml(value);
+};
+
+/**
+ * Template tag that escapes every interpolated value. Arrays are joined, false/null/undefined
+ * render nothing and results of other `html` calls are inserted as markup.
+ * @returns {{__html: string}} - Trusted markup
+ */
+export const html = (strings, ...values) =>
+  raw(strings.reduce((markup, string, index) => markup + string + (index < values.length ? renderValue(values[index]) : ''), ''));
+
+/**
+ * Get the markup string of a template result
+ * @param {{__html: string}} template - Result of `html`
+ * @returns {string} - Markup
+ */
+export const toMarkup = (template) => renderValue(template);
+
+const formatInvoiceDate = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-GH', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+// Amounts are stored in cedis; a request quoted in another currency is shown at the rate it was quoted at
+const createAmountFormatter = (currency) => {
+  const quoteCurrency = currency?.code && currency.code !== BASE_CURRENCY && Number(currency.rate) > 0 ? currency : null;
+  const formatAmount = (amount) =>
+    quoteCurrency
+      ? formatMoney(Number(amount) / Number(quoteCurrency.rate), quoteCurrency.code)
+      : formatMoney(amount, BASE_CURRENCY);
+  return { quoteCurrency, formatAmount };
+};
+
+/**
+ * Get the freight and insurance estimate; it is kept apart from the goods total until the admin confirms it
+ * @param {Object} shipping - Shipping details of the invoice
+ * @returns {number} - Amount in GHS
+ */
+export const getFreightEstimate = (shipping) =>
+  shipping ? (Number(shipping.freightEstimate) || 0) + (Number(shipping.insuranceEstimate) || 0) : 0;
+
+// Bulk tier prices are stored per line; unitPrice is the list price before the tier or quote discount
+const getTotalSavings = (items) =>
+  items.reduce(
+    (sum, item) => sum + (item.unitPrice > item.price ? (item.unitPrice - item.price) * item.quantity : 0),
+    0
+  );
+
+const getRowHeight = (item) => {
+  const nameLength = String(item.name || '').length + (item.taxExempt ? ' (tax exempt)'.length : 0);
+  const nameLines = Math.max(1, Math.ceil(nameLength / ITEM_NAME_LINE_LENGTH));
+  const extraLines =
+    nameLines - 1 +
+    (formatVariantOptions(item.selectedOptions) ? 1 : 0) +
+    (item.unitPrice > item.price ? 1 : 0);
+  return HEIGHTS_MM.row + extraLines * HEIGHTS_MM.rowExtraLine;
+};
+
+/**
+ * Get the amount payable for the goods on an invoice; taxes charged on top of the prices are added
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @returns {number} - Amount in GHS
+ */
+export const getPayableAmount = ({ totalAmount, taxes }) =>
+  taxes && !taxes.pricesIncludeTax ? taxes.grossTotal : Number(totalAmount) || 0;
+
+const getTotalsHeight = (invoiceData) => {
+  const { items, shipping, currency, quoteRevision, taxes } = invoiceData;
+  const taxLines = taxes
+    ? 1 + taxes.lines.length + (taxes.exemptAmount > 0 ? 1 : 0) + 1
+    : 0;
+  const lines =
+    taxLines +
+    (getTotalSavings(items) > 0 ? 1 : 0) +
+    (quoteRevision?.charges?.length || 0) +
+    (getFreightEstimate(shipping) > 0 ? 2 : 0) +
+    (createAmountFormatter(currency).quoteCurrency ? 2 : 0);
+  return HEIGHTS_MM.totalsBase + (taxes ? HEIGHTS_MM.taxBase : 0) + lines * HEIGHTS_MM.totalsLine;
+};
+
+/* ------------------------------------------------------------------ */
+/* Sections                                                            */
+/* ------------------------------------------------------------------ */
+
+const renderTitle = ({ invoiceNumber, version, quoteRevision }) => html`
+  <div style="text-align:center; border-bottom: 1px solid ${BRAND_COLOR}; margin-bottom: 20px; padding-bottom: 8px;">
+    <div style="font-size: 1.6em; font-weight: bold; color:${BRAND_COLOR};">Proforma Invoice</div>
+    <div style="font-size: 0.9em; color:#666; font-weight: bold;">
+      Invoice #: ${invoiceNumber}${version > 1 && ` (Revision ${version})`}${quoteRevision && ` · Quote ${formatRevisionLabel(quoteRevision.revision)}`}
+    </div>
+  </div>`;
+
+const renderContinuationTitle = ({ invoiceNumber }) => html`
+  <div style="border-bottom: 1px solid ${BRAND_COLOR}; margin-bottom: 12px; padding-bottom: 6px; display:flex; justify-content:space-between;">
+    <span style="font-weight: bold; color:${BRAND_COLOR};">Proforma Invoice</span>
+    <span style="color:#666;">Invoice #: ${invoiceNumber} (continued)</span>
+  </div>`;
+
+const renderVerificationCode = (verification) => html`
+    <div style="text-align:center; width:26mm;">
+      <img src="${verification.qrDataUrl}" alt="Verification QR code" style="width:24mm; height:24mm; display:block; margin:0 auto;" />
+      <div style="font-size:0.75em; color:#666; margin-top:2px;">Scan to verify this proforma</div>
+    </div>`;
+
+const renderParties = ({ customer, submittedAt, shipping }, verification) => html`
+  <div style="display:flex; justify-content:space-between; margin-bottom:20px;">
+    <div>
+      <div style="font-weight:bold; color:${BRAND_COLOR}; border-bottom:1px solid ${BRAND_COLOR}; margin-bottom:5px;">Bill To:</div>
+      <div><b>Name:</b> ${customer.firstName} ${customer.lastName}</div>
+      <div><b>Company:</b> ${customer.companyName}</div>
+      <div><b>Email:</b> ${customer.email}</div>
+      <div><b>Phone:</b> ${customer.phone}</div>
+    </div>
+    <div>
+      <div style="font-weight:bold; color:${BRAND_COLOR}; border-bottom:1px solid ${BRAND_COLOR}; margin-bottom:5px;">Invoice Details:</div>
+      <div><b>Date:</b> ${formatInvoiceDate(submittedAt)}</div>
+      <div><b>Company Type:</b> ${customer.companyType}</div>
+      <div><b>Role:</b> ${customer.companyRole}</div>
+      ${shipping?.incoterm && html`<div><b>Shipping Terms:</b> ${formatShippingTerms(shipping)}</div>`}
+    </div>
+    ${verification?.qrDataUrl && renderVerificationCode(verification)}
+  </div>`;
+
+const renderItemRow = (item, formatAmount) => html`
+  <tr style="border-bottom: 1px solid #dee2e6;">
+    <td style="padding:6px 4px;">
+      ${item.name}${item.taxExempt && html` <span style="font-size:0.85em; color:#888;">(tax exempt)</span>`}
+      ${formatVariantOptions(item.selectedOptions) && html`<div style="font-size:0.85em; color:#666;">${formatVariantOptions(item.selectedOptions)}</div>`}
+    </td>
+    <td style="padding:6px 4px;">${item.quantity}</td>
+    <td style="padding:6px 4px;">
+      ${formatAmount(item.price)}
+      ${item.unitPrice > item.price && html`<div style="font-size:0.85em; color:#888;"><s>${formatAmount(item.unitPrice)}</s> ${item.discountPercent > 0 ? `${item.discountPercent}% discount` : 'bulk price'}</div>`}
+    </td>
+    <td style="padding:6px 4px;">${formatAmount(item.price * item.quantity)}</td>
+  </tr>`;
+
+const renderItemsTable = (items, formatAmount) => html`
+  <table style="width:100%; border-collapse:collapse; margin:0 0 20px 0; font-size:0.8em;">
+    <thead>
+      <tr style="background:${BRAND_COLOR}; color:white;">
+        <th style="padding:8px 4px; text-align:left;">Item</th>
+        <th style="padding:8px 4px; text-align:left;">Qty</th>
+        <th style="padding:8px 4px; text-align:left;">Unit Price</th>
+        <th style="padding:8px 4px; text-align:left;">Total</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${items.map(item => renderItemRow(item, formatAmount))}
+    </tbody>
+  </table>`;
+
+const renderTaxBreakdown = (taxes, formatAmount) => html`
+  <table style="margin:8px 0 8px auto; border-collapse:collapse; font-size:0.85em; text-align:right;">
+    <tr>
+      <td style="padding:2px 10px; color:#666;">${taxes.pricesIncludeTax ? 'Taxable amount (excl. taxes)' : 'Taxable amount'}</td>
+      <td style="padding:2px 0;">${formatAmount(taxes.taxableAmount)}</td>
+    </tr>
+    ${taxes.lines.map(line => html`
+    <tr>
+      <td style="padding:2px 10px; color:#666;">${formatTaxLabel(line)}</td>
+      <td style="padding:2px 0;">${formatAmount(line.amount)}</td>
+    </tr>`)}
+    ${taxes.exemptAmount > 0 && html`
+    <tr>
+      <td style="padding:2px 10px; color:#666;">Exempt from VAT and levies</td>
+      <td style="padding:2px 0;">${formatAmount(taxes.exemptAmount)}</td>
+    </tr>`}
+    <tr style="border-top:1px solid #dee2e6;">
+      <td style="padding:2px 10px; font-weight:bold;">Total taxes</td>
+      <td style="padding:2px 0; font-weight:bold;">${formatAmount(taxes.taxTotal)}</td>
+    </tr>
+  </table>`;
+
+const renderTotals = (invoiceData, { formatAmount, quoteCurrency }) => {
+  const { items, totalAmount, shipping, quoteRevision, taxes } = invoiceData;
+  const totalSavings = getTotalSavings(items);
+  const hasDiscounts = items.some(item => item.discountPercent > 0);
+  const freightEstimate = getFreightEstimate(shipping);
+  const payableAmount = getPayableAmount(invoiceData);
+  const taxesOnTop = taxes && !taxes.pricesIncludeTax;
+
+  return html`
+  <div style="text-align:right; border-top:2px solid ${BRAND_COLOR}; padding-top:10px; margin-bottom:10px;">
+    ${totalSavings > 0 && html`
+    <div style="color:#2e7d32; margin-bottom:6px;">
+      <span style="margin-right:10px;">${hasDiscounts ? 'Discounts and bulk savings' : 'Bulk savings'}:</span>
+      <span>-${formatAmount(totalSavings)}</span>
+    </div>`}
+    ${(quoteRevision?.charges || []).map(charge => html`
+    <div style="margin-bottom:6px;">
+      <span style="margin-right:10px;">${charge.label}:</span>
+      <span>${formatAmount(charge.amount)}</span>
+    </div>`)}
+    ${taxesOnTop && html`
+    <div style="margin-bottom:6px;">
+      <span style="margin-right:10px;">Subtotal:</span>
+      <span>${formatAmount(totalAmount)}</span>
+    </div>`}
+    ${taxes && renderTaxBreakdown(taxes, formatAmount)}
+    <span style="font-weight:bold; font-size: 1.1em; margin-right:10px;">${taxesOnTop ? 'Total incl. taxes' : 'Total'}:</span>
+    <span style="font-weight:bold; font-size: 1.1em; color:${BRAND_COLOR};">${formatAmount(payableAmount)}</span>
+    ${taxes?.pricesIncludeTax && html`
+    <div style="font-size:0.85em; color:#666;">Prices include ${formatAmount(taxes.taxTotal)} VAT and levies</div>`}
+    ${freightEstimate > 0 && html`
+    <div style="margin-top:6px;">
+      <span style="margin-right:10px;">Estimated freight (${formatShippingTerms({ incoterm: shipping.incoterm })}${Number(shipping.insuranceEstimate) > 0 && ', incl. insurance'}):</span>
+      <span>${formatAmount(freightEstimate)}</span>
+    </div>
+    <div style="margin-top:4px; font-weight:bold;">
+      <span style="margin-right:10px;">Estimated total incl. freight:</span>
+      <span>${formatAmount(payableAmount + freightEstimate)}</span>
+    </div>`}
+    ${quoteCurrency && html`
+    <div style="margin-top:6px; font-size:0.9em; color:#666;">
+      Amount payable: <b>${formatMoney(payableAmount, BASE_CURRENCY)}</b><br />
+      Exchange rate: ${formatExchangeRate(quoteCurrency.code, quoteCurrency.rate)}
+    </div>`}
+  </div>`;
+};
+
+const describeChange = (line, formatAmount) => {
+  if (line.change === 'added') return `Added: ${line.after.quantity} × ${formatAmount(line.after.price)}`;
+  if (line.change === 'removed') return 'Removed';
+  return `${line.before.quantity} × ${formatAmount(line.before.price)} → ${line.after.quantity} × ${formatAmount(line.after.price)}`;
+};
+
+const renderRevisionChanges = (quoteRevision, formatAmount) => html`
+  <div style="margin-top:10px; padding:10px; border:1px solid #dee2e6; border-radius:5px; font-size:0.85em;">
+    <div style="font-weight:bold; color:${BRAND_COLOR}; margin-bottom:6px;">
+      Quote ${formatRevisionLabel(quoteRevision.revision)}${quoteRevision.createdAt && ` of ${formatInvoiceDate(quoteRevision.createdAt)}`}: changes from your original request (${formatAmount(quoteRevision.originalTotal)})
+    </div>
+    ${quoteRevision.note && html`<div style="margin-bottom:6px; font-style:italic;">${quoteRevision.note}</div>`}
+    ${quoteRevision.changes.length > 0
+      ? quoteRevision.changes.map(line => html`
+    <div style="display:flex; justify-content:space-between; padding:2px 0;">
+      <span>${line.name}${formatVariantOptions(line.selectedOptions) && ` (${formatVariantOptions(line.selectedOptions)})`}</span>
+      <span>${describeChange(line, formatAmount)}</span>
+    </div>`)
+      : html`<div>Items unchanged; see the charges above.</div>`}
+  </div>`;
+
+const BANK_ACCOUNTS = [
+  { bank: 'Ecobank Ghana', branch: 'Head Office, Ridge – Accra', number: '1441002558413' },
+  { bank: 'First Bank Ghana', branch: 'Osu Branch – Accra', number: '0203400000888' },
+  { bank: 'Access Bank Ghana', branch: 'Stadium Branch – Accra', number: '100900031728' }
+];
+
+const renderBankDetails = () => html`
+  <div style="margin-top:20px; padding:15px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
+    <h4 style="color:${BRAND_COLOR}; margin:0 0 15px 0; font-size:1.1em;">Bank Payment Details</h4>
+    <div style="display:flex; gap:15px; flex-wrap:wrap;">
+      ${BANK_ACCOUNTS.map(account => html`
+      <div style="flex:1; text-align:center; padding:10px; background:rgba(248,249,250,0.8); border-radius:5px; border:1px solid #dee2e6;">
+        <div style="font-weight:bold; color:${BRAND_COLOR}; font-size:0.9em; margin-bottom:5px;">${account.bank}</div>
+        <div style="font-size:0.7em; color:#666; margin-bottom:5px;">${account.branch}</div>
+        <div style="font-weight:bold; font-size:0.8em; margin-bottom:3px;">OGLA SHEA BUTTER &amp; TRADING</div>
+        <div style="font-family:'Courier New',monospace; font-size:0.8em; color:#333; background:#f8f9fa; padding:2px 5px; border-radius:3px;">${account.number}</div>
+      </div>`)}
+    </div>
+  </div>`;
+
+const renderTerms = () => html`
+  <div style="margin-top:20px; padding:10px; background:rgba(248,249,250,0.8); border-left:3px solid ${BRAND_COLOR};">
+    <h4 style="font-size:0.9em; color:${BRAND_COLOR}; margin-top:0;">Terms &amp; Conditions:</h4>
+    <ul style="font-size:0.8em; margin:0; padding-left:20px;">
+      <li>This is a Proforma Invoice and does not constitute a tax invoice</li>
+      <li>Prices are subject to change without prior notice</li>
+      <li>Delivery will be arranged upon confirmation of order</li>
+      <li>All disputes are subject to Ghanaian law</li>
+    </ul>
+  </div>`;
+
+const renderAdminStamp = (adminStamp) => html`
+  <div style="margin-top:20px; padding:15px; background:rgba(220,53,69,0.1); border:2px solid #dc3545; border-radius:8px;">
+    <div style="text-align:center; color:#dc3545; font-weight:bold; font-size:1.2em; margin-bottom:10px;">
+      ⚫ ADMIN COPY ⚫
+    </div>
+    <div style="font-size:0.8em; color:#666;">
+      <div><strong>Downloaded by:</strong> ${adminStamp.downloadedBy}</div>
+      <div><strong>Download Date:</strong> ${formatInvoiceDate(adminStamp.downloadedAt)}</div>
+      <div><strong>Admin Email:</strong> ${adminStamp.adminEmail}</div>
+      <div style="margin-top:8px; font-style:italic;">This copy was generated for administrative purposes.</div>
+    </div>
+  </div>`;
+
+const renderPage = ({ content, pageNumber, pageCount, letterheadUrl }) => html`
+  <div style="
+    font-family: Arial, sans-serif;
+    font-size: 11px;
+    color: #333;
+    width: 210mm;
+    height: 297mm;
+    overflow: hidden;
+    position: relative;
+    box-sizing: border-box;
+    padding: 20mm 15mm;
+    ${letterheadUrl && `background-image: url('${letterheadUrl}'); background-size: 210mm 297mm; background-repeat: no-repeat; background-position: center;`}
+  ">
+    <div style="position: relative; z-index: 1;">
+      ${content}
+    </div>
+    <div style="position:absolute; left:15mm; right:15mm; bottom:12mm; text-align:center; font-size:0.85em; color:#888;">
+      Page ${pageNumber} of ${pageCount}
+    </div>
+  </div>`;
+
+/* ------------------------------------------------------------------ */
+/* Pagination                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Lay an invoice out over pages
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @param {Object} [options] - { isAdminDownload }
+ * @returns {Array<{items: Array, blocks: Array<string>}>} - Item rows and closing blocks on each page.
+ *   Block names are 'totals', 'changes', 'bank', 'terms' and 'adminStamp'.
+ */
+export const paginateInvoice = (invoiceData, { isAdminDownload = false } = {}) => {
+  const items = invoiceData.items || [];
+  const pages = [{ items: [], blocks: [] }];
+  let remaining = PAGE_CONTENT_HEIGHT_MM - HEIGHTS_MM.firstPageHeader;
+
+  const startPage = () => {
+    pages.push({ items: [], blocks: [] });
+    remaining = PAGE_CONTENT_HEIGHT_MM - HEIGHTS_MM.continuationHeader;
+  };
+  const currentPage = () => pages[pages.length - 1];
+
+  // The first row on each page brings the repeated table header with it
+  const getHeightOnPage = (item) =>
+    getRowHeight(item) + (currentPage().items.length === 0 ? HEIGHTS_MM.tableHeader : 0);
+
+  items.forEach(item => {
+    if (getHeightOnPage(item) > remaining && currentPage().items.length > 0) startPage();
+    remaining -= getHeightOnPage(item);
+    currentPage().items.push(item);
+  });
+  if (items.length === 0) remaining -= HEIGHTS_MM.tableHeader;
+
+  const blocks = [
+    ['totals', getTotalsHeight(invoiceData)],
+    invoiceData.quoteRevision && [
+      'changes',
+      HEIGHTS_MM.changesBase +
+        (invoiceData.quoteRevision.note ? HEIGHTS_MM.changesLine : 0) +
+        Math.max(invoiceData.quoteRevision.changes?.length || 0, 1) * HEIGHTS_MM.changesLine
+    ],
+    ['bank', HEIGHTS_MM.bankDetails],
+    ['terms', HEIGHTS_MM.terms],
+    isAdminDownload && invoiceData.adminStamp && ['adminStamp', HEIGHTS_MM.adminStamp]
+  ].filter(Boolean);
+
+  blocks.forEach(([name, height]) => {
+    const pageIsEmpty = currentPage().items.length === 0 && currentPage().blocks.length === 0 && pages.length > 1;
+    if (height > remaining && !pageIsEmpty) {
+      // The totals take the last item row with them so they never stand alone on a page
+      const carried = name === 'totals' && currentPage().items.length > 1 ? currentPage().items.pop() : null;
+      startPage();
+      if (carried) {
+        remaining -= getHeightOnPage(carried);
+        currentPage().items.push(carried);
+      }
+    }
+    currentPage().blocks.push(name);
+    remaining -= height;
+  });
+
+  return pages;
+};
+
+/**
+ * Render an invoice as one HTML string per A4 page
+ * @param {Object} invoiceData - Invoice data from buildInvoiceDataFromRequest
+ * @param {Object} [options] - { letterheadUrl, isAdminDownload, verification: { url, qrDataUrl } }
+ * @returns {Array<string>} - Page markup
+ */
+export const renderInvoicePages = (invoiceData, { letterheadUrl = '', isAdminDownload = false, verification = null } = {}) => {
+  const formatters = createAmountFormatter(invoiceData.currency);
+  const pages = paginateInvoice(invoiceData, { isAdminDownload });
+  const items = invoiceData.items || [];
+
+  const renderBlock = (name) => {
+    switch (name) {
+      case 'totals':
+        return renderTotals(invoiceData, formatters);
+      case 'changes':
+        return renderRevisionChanges(invoiceData.quoteRevision, formatters.formatAmount);
+      case 'bank':
+        return renderBankDetails();
+      case 'terms':
+        return renderTerms();
+      case 'adminStamp':
+        return renderAdminStamp(invoiceData.adminStamp);
+      default:
+        return '';
+    }
+  };
+
+  return pages.map((page, index) => {
+    const isFirstPage = index === 0;
+    // An invoice without items still shows the empty table on its first page
+    const showTable = page.items.length > 0 || (isFirstPage && items.length === 0);
+
+    const content = html`
+      ${isFirstPage ? [renderTitle(invoiceData), renderParties(invoiceData, verification)] : renderContinuationTitle(invoiceData)}
+      ${showTable && renderItemsTable(page.items, formatters.formatAmount)}
+      ${page.blocks.map(renderBlock)}`;
+
+    return toMarkup(renderPage({ content, pageNumber: index + 1, pageCount: pages.length, letterheadUrl }));
+  });
+};
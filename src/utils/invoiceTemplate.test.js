@@ -0,0 +1,113 @@
+import { escapeHtml, html, toMarkup, paginateInvoice, renderInvoicePages } from './invoiceTemplate';
+
+const createItem = (index) => ({
+  name: `Raw Shea Butter lot ${index}`,
+  quantity: 2,
+  price: 100,
+  unitPrice: 100
+});
+
+const createInvoice = (overrides = {}) => ({
+  invoiceNumber: 'OGL-2026-0001',
+  version: 1,
+  customer: {
+    firstName: 'Ama',
+    lastName: 'Mensah',
+    companyName: 'Mensah Trading',
+    email: 'ama@example.com'
+  },
+  items: Array.from({ length: 60 }, (_, index) => createItem(index + 1)),
+  totalAmount: 12000,
+  taxes: null,
+  quoteRevision: null,
+  currency: null,
+  shipping: null,
+  submittedAt: '2026-01-15T10:00:00.000Z',
+  issuedAt: '2026-01-15T10:00:00.000Z',
+  status: 'pending',
+  ...overrides
+});
+
+describe('escapeHtml and html', () => {
+  it('escapes markup in a customer name', () => {
+    expect(escapeHtml('<script>alert("x")</script>')).toBe('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+  });
+
+  it('escapes interpolated values but keeps nested templates as markup', () => {
+    const name = '<script>alert(1)</script>';
+    const markup = toMarkup(html`<div>${name}${html`<b>ok</b>`}</div>`);
+
+    expect(markup).toBe('<div>&lt;script&gt;alert(1)&lt;/script&gt;<b>ok</b></div>');
+  });
+
+  it('escapes the customer name on a rendered invoice', () => {
+    const [firstPage] = renderInvoicePages(
+      createInvoice({ customer: { firstName: '<script>alert(1)</script>', lastName: 'Mensah' } })
+    );
+
+    expect(firstPage).not.toContain('<script>');
+    expect(firstPage).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+});
+
+describe('paginateInvoice', () => {
+  it('spreads a long item list over several pages in order', () => {
+    const invoiceData = createInvoice();
+    const pages = paginateInvoice(invoiceData);
+
+    expect(pages.length).toBeGreaterThan(1);
+    expect(pages.flatMap(page => page.items)).toEqual(invoiceData.items);
+  });
+
+  it('keeps the totals on the page of the last item rows', () => {
+    // Some of these counts leave no room for the totals under the last row
+    for (let count = 20; count <= 80; count += 1) {
+      const invoiceData = createInvoice({ items: Array.from({ length: count }, (_, index) => createItem(index + 1)) });
+      const pages = paginateInvoice(invoiceData);
+      const totalsPage = pages.find(page => page.blocks.includes('totals'));
+
+      expect(totalsPage.items[totalsPage.items.length - 1]).toBe(invoiceData.items[count - 1]);
+    }
+  });
+
+  it('places the closing blocks in order after the totals', () => {
+    const pages = paginateInvoice(createInvoice({ adminStamp: { downloadedBy: 'Admin' } }), { isAdminDownload: true });
+
+    expect(pages.flatMap(page => page.blocks)).toEqual(['totals', 'bank', 'terms', 'adminStamp']);
+  });
+
+  it('puts the table and all blocks on one page when there are no items', () => {
+    const pages = paginateInvoice(createInvoice({ items: [], totalAmount: 0 }));
+
+    expect(pages).toHaveLength(1);
+    expect(pages[0].items).toEqual([]);
+    expect(pages[0].blocks).toEqual(['totals', 'bank', 'terms']);
+  });
+});
+
+describe('renderInvoicePages', () => {
+  it('repeats the table header on every page with item rows', () => {
+    const invoiceData = createInvoice();
+    const pages = paginateInvoice(invoiceData);
+
+    expect(renderInvoicePages(invoiceData)).toHaveLength(pages.length);
+    renderInvoicePages(invoiceData).forEach((page, index) => {
+      expect(page.includes('<thead>')).toBe(pages[index].items.length > 0);
+    });
+  });
+
+  it('numbers every page out of the page count', () => {
+    renderInvoicePages(createInvoice()).forEach((page, index, pages) => {
+      expect(page).toContain(`Page ${index + 1} of ${pages.length}`);
+    });
+  });
+
+  it('shows the empty table and totals on a single page when there are no items', () => {
+    const [firstPage, ...otherPages] = renderInvoicePages(createInvoice({ items: [], totalAmount: 0 }));
+
+    expect(otherPages).toHaveLength(0);
+    expect(firstPage).toContain('<thead>');
+    expect(firstPage).toContain('Total:');
+    expect(firstPage).toContain('Page 1 of 1');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Proforma verification utility functions. Every proforma carries a QR code that links to
+ * /verify-invoice/:number with the quote revision and the total printed on it:
+ *   /verify-invoice/REQ-1042?rev=2&total=1419.00
+ * The verification page looks the number up on the server and shows the total on record.
+ * A genuine QR code can be left on a copy whose printed total was edited, so the total in the
+ * link only ever flags a mismatch; a proforma is confirmed only against a total the reader
+ * types in from their copy. Totals are the amount payable in GHS.
+ */
+
+export const VERIFY_INVOICE_PATH = '/verify-invoice';
+
+// Printed and recorded totals may differ by rounding only
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * Build the link encoded in a proforma's QR code
+ * @param {Object} invoice - { invoiceNumber, revision, total }
+ * @param {string} [origin] - Site origin; defaults to the current one
+ * @returns {string} - Absolute verification URL
+ */
+export const buildVerificationUrl = ({ invoiceNumber, revision, total }, origin = window.location.origin) => {
+  const params = new URLSearchParams();
+  if (revision) params.set('rev', String(revision));
+  params.set('total', (Number(total) || 0).toFixed(2));
+  return `${origin}${VERIFY_INVOICE_PATH}/${encodeURIComponent(invoiceNumber)}?${params.toString()}`;
+};
+
+/**
+ * Read the printed details back from a verification link
+ * @param {URLSearchParams} searchParams - Query string of the verification page
+ * @returns {{revision: number|null, total: number|null}} - Null when the link does not carry the value
+ */
+export const parseVerificationParams = (searchParams) => {
+  const revision = parseInt(searchParams.get('rev'), 10);
+  const total = parseFloat(searchParams.get('total'));
+  return {
+    revision: revision > 0 ? revision : null,
+    total: Number.isFinite(total) ? total : null
+  };
+};
+
+/**
+ * Check whether a total differs from the one on record
+ * @param {Object} record - Verification record from the server
+ * @param {number|null} total - Total to check; null when there is none
+ * @returns {boolean} - True when a total was given and it does not match
+ */
+export const isTotalMismatch = (record, total) =>
+  total !== null && Math.abs(Number(record.total) - total) > TOTAL_TOLERANCE;
+
+/**
+ * Compare a proforma's details with the server's record
+ * @param {Object} record - Verification record from the server
+ * @param {{linkTotal: number|null, enteredTotal: number|null}} totals - Total carried by the QR link and
+ *   total the reader typed in from their copy; null when missing
+ * @returns {string} - 'mismatch' when either total differs from the record, 'superseded' when a later
+ *   quote revision exists, 'verified' when the typed total matches, 'unconfirmed' when none was typed
+ */
+export const getVerificationResult = (record, { linkTotal, enteredTotal }) => {
+  if (isTotalMismatch(record, linkTotal) || isTotalMismatch(record, enteredTotal)) return 'mismatch';
+  if (record.latestRevision && (Number(record.revision) || 0) < record.latestRevision) return 'superseded';
+  return enteredTotal === null ? 'unconfirmed' : 'verified';
+};
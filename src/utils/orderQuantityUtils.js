@@ -0,0 +1,117 @@
+/**
+ * Order quantity utility functions for products sold with a minimum, a maximum or in fixed pack sizes.
+ * Valid quantities start at the minimum and go up in steps: min, min + step, min + 2 × step, ...
+ */
+
+const toPositiveInteger = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Get the order quantity rules of a product or basket line
+ * @param {Object} product - Product or basket line with minOrderQuantity, maxOrderQuantity and quantityStep
+ * @returns {{minOrderQuantity: number, maxOrderQuantity: number|null, quantityStep: number}} - Rules with defaults applied
+ */
+export const getQuantityRules = (product) => {
+  const minOrderQuantity = toPositiveInteger(product?.minOrderQuantity) || 1;
+  const quantityStep = toPositiveInteger(product?.quantityStep) || 1;
+  const maxOrderQuantity = toPositiveInteger(product?.maxOrderQuantity);
+
+  return {
+    minOrderQuantity,
+    // A maximum below the minimum would make the product impossible to order
+    maxOrderQuantity: maxOrderQuantity && maxOrderQuantity >= minOrderQuantity ? maxOrderQuantity : null,
+    quantityStep
+  };
+};
+
+/**
+ * Get the largest valid quantity, if the product has a maximum
+ * @param {Object} rules - Rules from getQuantityRules
+ * @returns {number|null} - Largest orderable quantity, or null when there is no maximum
+ */
+const getLargestQuantity = ({ minOrderQuantity, maxOrderQuantity, quantityStep }) => {
+  if (!maxOrderQuantity) return null;
+  return minOrderQuantity + Math.floor((maxOrderQuantity - minOrderQuantity) / quantityStep) * quantityStep;
+};
+
+/**
+ * Round a quantity up to the nearest valid quantity, capped at the maximum
+ * @param {Object} rules - Rules from getQuantityRules
+ * @param {number} quantity - Requested quantity
+ * @returns {number} - Valid quantity
+ */
+export const snapQuantity = (rules, quantity) => {
+  const { minOrderQuantity, quantityStep } = rules;
+  const largest = getLargestQuantity(rules);
+
+  if (!quantity || quantity <= minOrderQuantity) return minOrderQuantity;
+
+  const snapped = minOrderQuantity + Math.ceil((quantity - minOrderQuantity) / quantityStep) * quantityStep;
+  return largest ? Math.min(snapped, largest) : snapped;
+};
+
+/**
+ * Move a valid quantity one step up or down
+ * @param {Object} rules - Rules from getQuantityRules
+ * @param {number} quantity - Current quantity
+ * @param {number} direction - 1 to increase, -1 to decrease
+ * @returns {number} - Next quantity; never below the minimum or above the maximum
+ */
+export const stepQuantity = (rules, quantity, direction) => {
+  const next = snapQuantity(rules, quantity) + direction * rules.quantityStep;
+  if (next < rules.minOrderQuantity) return rules.minOrderQuantity;
+  return snapQuantity(rules, next);
+};
+
+/**
+ * Check whether more units can be added to a quantity
+ * @param {Object} rules - Rules from getQuantityRules
+ * @param {number} quantity - Current quantity
+ * @returns {boolean} - False once the maximum is reached
+ */
+export const canIncreaseQuantity = (rules, quantity) => {
+  const largest = getLargestQuantity(rules);
+  return !largest || quantity + rules.quantityStep <= largest;
+};
+
+/**
+ * Explain why a quantity cannot be ordered
+ * @param {Object} rules - Rules from getQuantityRules
+ * @param {number} quantity - Requested quantity
+ * @returns {string|null} - Message for the buyer, or null when the quantity is valid
+ */
+export const getQuantityError = (rules, quantity) => {
+  const { minOrderQuantity, maxOrderQuantity, quantityStep } = rules;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return 'Enter a whole number of units.';
+  }
+  if (quantity < minOrderQuantity) {
+    return `Minimum order is ${minOrderQuantity} units.`;
+  }
+  if (maxOrderQuantity && quantity > maxOrderQuantity) {
+    return `Maximum order is ${maxOrderQuantity} units.`;
+  }
+  if ((quantity - minOrderQuantity) % quantityStep !== 0) {
+    const lower = quantity - ((quantity - minOrderQuantity) % quantityStep);
+    const upper = snapQuantity(rules, quantity);
+    const suggestion = upper > quantity ? `${lower} or ${upper}` : `${lower}`;
+    return `Sold in packs of ${quantityStep}. Try ${suggestion} units.`;
+  }
+  return null;
+};
+
+/**
+ * Describe the rules for display next to a quantity selector
+ * @param {Object} rules - Rules from getQuantityRules
+ * @returns {string} - e.g. "Min. 50 units · Packs of 25 · Max. 500 units", or '' when any quantity is allowed
+ */
+export const formatQuantityRules = ({ minOrderQuantity, maxOrderQuantity, quantityStep }) => {
+  const parts = [];
+  if (minOrderQuantity > 1) parts.push(`Min. ${minOrderQuantity} units`);
+  if (quantityStep > 1) parts.push(`Packs of ${quantityStep}`);
+  if (maxOrderQuantity) parts.push(`Max. ${maxOrderQuantity} units`);
+  return parts.join(' · ');
+};
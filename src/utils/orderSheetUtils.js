@@ -0,0 +1,137 @@
+/**
+ * Order sheet utility functions for importing customer CSV order sheets into the request basket
+ */
+
+import { parseCSV } from './csvUtils';
+import { getSelectableVariants, getDefaultOptions } from './variantUtils';
+
+// Header names we accept for each column, compared lower-cased and in order of preference.
+// "Amount" is left out of the quantity headers: on order sheets it is usually the money column.
+const PRODUCT_HEADERS = ['product', 'product name', 'name', 'item', 'sku', 'product code', 'code', 'slug', 'description'];
+const QUANTITY_HEADERS = ['quantity', 'qty', 'units', 'count'];
+
+const normalise = (value) => String(value || '').trim().toLowerCase();
+
+// Index of the most preferred accepted header present in the sheet, wherever it sits; -1 when none is
+const findColumn = (headers, acceptedHeaders) => {
+  const header = acceptedHeaders.find(name => headers.includes(name));
+  return header ? headers.indexOf(header) : -1;
+};
+
+/**
+ * Get the SKU of a product from the fields the API may use
+ * @param {Object} product - Product from the API
+ * @returns {string} - Lower-cased SKU, or '' when the product has none
+ */
+const getProductSku = (product) => normalise(product.sku || product.specifications?.sku || product.code);
+
+/**
+ * Find the products matching an order sheet reference by slug, SKU or name
+ * @param {string} reference - Product name, slug or SKU from the sheet
+ * @param {Array} products - Products from useProducts
+ * @returns {Array} - Exact matches when there are any, otherwise partial name matches
+ */
+export const findProductMatches = (reference, products = []) => {
+  const term = normalise(reference);
+  if (!term) return [];
+
+  const exactMatches = products.filter(product =>
+    normalise(product.slug) === term ||
+    (getProductSku(product) && getProductSku(product) === term) ||
+    normalise(product.name) === term
+  );
+  if (exactMatches.length > 0) return exactMatches;
+
+  // A product without a name would be contained in every reference
+  return products.filter(product => {
+    const name = normalise(product.name);
+    return name !== '' && (name.includes(term) || term.includes(name));
+  });
+};
+
+/**
+ * Pick variant options from extra sheet columns named after a variant (e.g. a "Size" column)
+ * @param {Object} product - Matched product
+ * @param {Object} rowValues - Row cells keyed by lower-cased header
+ * @returns {Object} - Selected options keyed by variant name
+ */
+const getRowOptions = (product, rowValues) => {
+  const selected = getDefaultOptions(product);
+
+  getSelectableVariants(product).forEach(variant => {
+    const value = rowValues[normalise(variant.name)];
+    const option = variant.options.find(candidate => normalise(candidate) === normalise(value));
+    if (option) selected[variant.name] = option;
+  });
+
+  return selected;
+};
+
+/**
+ * Parse an order sheet and match every row to a product
+ * @param {string} text - Raw CSV text with a header row
+ * @param {Array} products - Products from useProducts
+ * @returns {{rows: Array, error: string|null}} - Reviewed rows with status 'matched', 'ambiguous', 'unmatched' or 'invalid'
+ */
+export const parseOrderSheet = (text, products = []) => {
+  const [headerRow, ...dataRows] = parseCSV(text);
+  if (!headerRow || dataRows.length === 0) {
+    return { rows: [], error: 'The sheet is empty. Add a header row and at least one product row.' };
+  }
+
+  const headers = headerRow.map(normalise);
+  const productColumn = findColumn(headers, PRODUCT_HEADERS);
+  const quantityColumn = findColumn(headers, QUANTITY_HEADERS);
+
+  if (productColumn === -1 || quantityColumn === -1) {
+    return { rows: [], error: 'The sheet needs a product column (name, slug or SKU) and a quantity column.' };
+  }
+
+  const rows = dataRows.map((cells, index) => {
+    const rowValues = headers.reduce((values, header, column) => ({ ...values, [header]: cells[column] || '' }), {});
+    const reference = cells[productColumn] || '';
+    // Fractional quantities such as "12.5" are rejected rather than cut down to a whole number
+    const quantityText = String(cells[quantityColumn] || '').trim();
+    const quantity = quantityText ? Number(quantityText.replace(/,/g, '')) : NaN;
+    const row = {
+      rowNumber: index + 2,
+      reference,
+      quantityText,
+      quantity,
+      rowValues,
+      product: null,
+      candidates: [],
+      selectedOptions: {}
+    };
+
+    if (!reference || !Number.isInteger(quantity) || quantity <= 0) {
+      return { ...row, status: 'invalid' };
+    }
+
+    const candidates = findProductMatches(reference, products);
+    if (candidates.length === 0) return { ...row, status: 'unmatched' };
+    if (candidates.length > 1) return { ...row, status: 'ambiguous', candidates };
+
+    return {
+      ...row,
+      status: 'matched',
+      product: candidates[0],
+      selectedOptions: getRowOptions(candidates[0], rowValues)
+    };
+  });
+
+  return { rows, error: null };
+};
+
+/**
+ * Resolve an ambiguous row to the product the buyer picked
+ * @param {Object} row - Row from parseOrderSheet
+ * @param {Object} product - Chosen candidate
+ * @returns {Object} - Row marked as matched
+ */
+export const resolveOrderSheetRow = (row, product) => ({
+  ...row,
+  status: 'matched',
+  product,
+  selectedOptions: getRowOptions(product, row.rowValues)
+});
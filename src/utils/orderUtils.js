@@ -0,0 +1,123 @@
+/**
+ * Order utility functions. An approved request is converted into an order with a payment
+ * schedule, and payments are recorded against it:
+ * {
+ *   orderNumber, createdAt, total,
+ *   schedule: [{ id, label, percent, amount, dueDate }],
+ *   payments: [{ id, amount, method, reference, paidAt, recordedBy: { name } }]
+ * }
+ * Amounts are in GHS. Paid and outstanding amounts are always worked out from the payments.
+ */
+
+import { getPayableTotal } from './taxUtils';
+
+export const PAYMENT_METHODS = [
+  { value: 'bank_transfer', label: 'Bank transfer' },
+  { value: 'mobile_money', label: 'Mobile money' },
+  { value: 'cheque', label: 'Cheque' },
+  { value: 'cash', label: 'Cash' }
+];
+
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Awaiting payment',
+  partially_paid: 'Partially paid',
+  paid: 'Paid'
+};
+
+export const DEFAULT_DEPOSIT_PERCENT = 50;
+
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Check whether a request can be converted into an order
+ * @param {Object} request - Request
+ * @returns {boolean} - True for approved requests without an order
+ */
+export const canConvertToOrder = (request) => request?.status === 'approved' && !request.order;
+
+/**
+ * Split an order total into a deposit and a balance
+ * @param {number} total - Order total in GHS
+ * @param {Object} terms - { depositPercent, depositDueDate, balanceDueDate }; no deposit means one full payment
+ * @returns {Array} - Schedule lines
+ */
+export const buildPaymentSchedule = (total, { depositPercent, depositDueDate, balanceDueDate }) => {
+  const percent = Math.min(Math.max(Number(depositPercent) || 0, 0), 100);
+
+  if (percent === 0 || percent === 100) {
+    return [{ id: 'full', label: 'Full payment', percent: 100, amount: roundMoney(total), dueDate: depositDueDate || balanceDueDate || null }];
+  }
+
+  const deposit = roundMoney(total * percent / 100);
+  return [
+    { id: 'deposit', label: 'Deposit', percent, amount: deposit, dueDate: depositDueDate || null },
+    { id: 'balance', label: 'Balance', percent: 100 - percent, amount: roundMoney(total - deposit), dueDate: balanceDueDate || null }
+  ];
+};
+
+/**
+ * Get the total of an order: its own total, else what is payable on the request including taxes
+ * @param {Object} request - Request with an order
+ * @returns {number} - Order total in GHS
+ */
+export const getOrderTotal = (request) => {
+  const total = Number(request?.order?.total);
+  return total > 0 ? total : getPayableTotal(request);
+};
+
+/**
+ * Sum the payments recorded on an order
+ * @param {Object} order - Order
+ * @returns {number} - Amount paid in GHS
+ */
+export const getAmountPaid = (order) =>
+  roundMoney((order?.payments || []).reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0));
+
+/**
+ * Summarise what has been paid on a request's order
+ * @param {Object} request - Request with an order
+ * @returns {{total: number, paid: number, balance: number, status: string}|null} - Null when there is no order
+ */
+export const getPaymentSummary = (request) => {
+  if (!request?.order) return null;
+
+  const total = getOrderTotal(request);
+  const paid = getAmountPaid(request.order);
+  const balance = Math.max(roundMoney(total - paid), 0);
+
+  let status = 'unpaid';
+  if (paid > 0) status = balance > 0 ? 'partially_paid' : 'paid';
+
+  return { total, paid, balance, status };
+};
+
+/**
+ * Allocate the payments to the schedule in order, deposit first
+ * @param {Object} order - Order
+ * @returns {Array} - Schedule lines with `paid`, `outstanding` and `isOverdue`
+ */
+export const getScheduleProgress = (order) => {
+  let remaining = getAmountPaid(order);
+  const today = new Date();
+
+  return (order?.schedule || []).map(line => {
+    const paid = Math.min(remaining, Number(line.amount) || 0);
+    remaining = roundMoney(remaining - paid);
+    const outstanding = roundMoney((Number(line.amount) || 0) - paid);
+
+    return {
+      ...line,
+      paid: roundMoney(paid),
+      outstanding,
+      isOverdue: outstanding > 0 && !!line.dueDate && new Date(line.dueDate) < today
+    };
+  });
+};
+
+/**
+ * Get the label of a payment method
+ * @param {string} method - Payment method value
+ * @returns {string} - Label
+ */
+export const getPaymentMethodLabel = (method) =>
+  PAYMENT_METHODS.find(candidate => candidate.value === method)?.label || method || '';
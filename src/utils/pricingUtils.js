@@ -0,0 +1,137 @@
+/**
+ * Pricing utility functions for unit and tiered (bulk) pricing
+ */
+
+/**
+ * Parse a price value that may be a number or a display string ("₵156.00", "GHS 280.00")
+ * @param {number|string} value - Raw price value
+ * @returns {number} - Numeric price, 0 when it cannot be parsed
+ */
+export const parsePrice = (value) => {
+  if (typeof value === 'number') return isNaN(value) ? 0 : value;
+  if (typeof value === 'string') {
+    const priceMatch = value.match(/[\d,]+\.?\d*/);
+    return priceMatch ? parseFloat(priceMatch[0].replace(/,/g, '')) : 0;
+  }
+  return 0;
+};
+
+/**
+ * Get the single-unit price of a product
+ * @param {Object} product - Product from the API or mock data
+ * @returns {number} - Unit price
+ */
+export const getUnitPrice = (product) => {
+  if (!product) return 0;
+  if (product.pricing?.unitPrice) return parsePrice(product.pricing.unitPrice);
+  if (product.pricing?.base) return parsePrice(product.pricing.base);
+  return parsePrice(product.price);
+};
+
+/**
+ * Normalise the bulk pricing of a product into a sorted list of tiers.
+ * Supports `pricing.bulkPricing` arrays (minQuantity/maxQuantity/price) and the
+ * admin `pricing.bulk` map keyed by minimum quantity ({ '10': 22, '50': 20 }).
+ * @param {Object} product - Product from the API or mock data
+ * @returns {Array<{minQuantity: number, maxQuantity: number|null, price: number}>} - Tiers sorted by minQuantity
+ */
+export const getBulkTiers = (product) => {
+  if (!product) return [];
+
+  let tiers = [];
+  const bulkPricing = product.pricing?.bulkPricing || product.bulkPricing;
+
+  if (Array.isArray(bulkPricing)) {
+    tiers = bulkPricing.map(tier => ({
+      minQuantity: parseInt(tier.minQuantity, 10),
+      maxQuantity: tier.maxQuantity ? parseInt(tier.maxQuantity, 10) : null,
+      price: parsePrice(tier.price)
+    }));
+  } else if (product.pricing?.bulk && typeof product.pricing.bulk === 'object') {
+    tiers = Object.entries(product.pricing.bulk).map(([minQuantity, price]) => ({
+      minQuantity: parseInt(minQuantity, 10),
+      maxQuantity: null,
+      price: parsePrice(price)
+    }));
+  }
+
+  tiers = tiers
+    .filter(tier => tier.minQuantity > 0 && tier.price > 0)
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+  // The admin map only stores lower bounds, so close each tier at the next one
+  return tiers.map((tier, index) => ({
+    ...tier,
+    maxQuantity: tier.maxQuantity ?? (tiers[index + 1] ? tiers[index + 1].minQuantity - 1 : null)
+  }));
+};
+
+/**
+ * Find the bulk tier that applies to a quantity
+ * @param {Array} tiers - Tiers from getBulkTiers
+ * @param {number} quantity - Requested quantity
+ * @returns {Object|null} - Matching tier, or null when the unit price applies
+ */
+export const getTierForQuantity = (tiers = [], quantity) => {
+  const matching = tiers.filter(tier =>
+    quantity >= tier.minQuantity && (tier.maxQuantity === null || quantity <= tier.maxQuantity)
+  );
+  return matching.length > 0 ? matching[matching.length - 1] : null;
+};
+
+/**
+ * Get the per-unit price for a quantity, falling back to the unit price
+ * @param {number} unitPrice - Single-unit price
+ * @param {Array} tiers - Tiers from getBulkTiers
+ * @param {number} quantity - Requested quantity
+ * @returns {number} - Effective per-unit price
+ */
+export const getPriceForQuantity = (unitPrice, tiers = [], quantity) => {
+  const tier = getTierForQuantity(tiers, quantity);
+  return tier ? tier.price : unitPrice;
+};
+
+/**
+ * Get the next cheaper tier above a quantity and how many more units reach it
+ * @param {Array} tiers - Tiers from getBulkTiers
+ * @param {number} quantity - Current quantity
+ * @returns {Object|null} - Tier with an extra `quantityNeeded`, or null at the top tier
+ */
+export const getNextTier = (tiers = [], quantity) => {
+  const nextTier = tiers.find(tier => tier.minQuantity > quantity);
+  return nextTier ? { ...nextTier, quantityNeeded: nextTier.minQuantity - quantity } : null;
+};
+
+/**
+ * Re-price a basket line for its current quantity
+ * @param {Object} item - Basket line with unitPrice, bulkTiers and quantity
+ * @returns {Object} - Line with price, tierMinQuantity and savings updated
+ */
+export const priceLineItem = (item) => {
+  const unitPrice = item.unitPrice ?? item.price ?? 0;
+  const bulkTiers = item.bulkTiers || [];
+  const tier = getTierForQuantity(bulkTiers, item.quantity);
+  const price = tier ? tier.price : unitPrice;
+
+  return {
+    ...item,
+    unitPrice,
+    bulkTiers,
+    price,
+    tierMinQuantity: tier ? tier.minQuantity : null,
+    savings: Math.max(0, (unitPrice - price) * item.quantity)
+  };
+};
+
+/**
+ * Calculate basket totals from priced lines
+ * @param {Array} items - Lines from priceLineItem
+ * @returns {{totalItems: number, totalAmount: number, totalSavings: number}} - Basket totals
+ */
+export const calculateTotals = (items = []) => {
+  return items.reduce((totals, item) => ({
+    totalItems: totals.totalItems + item.quantity,
+    totalAmount: totals.totalAmount + (item.price * item.quantity),
+    totalSavings: totals.totalSavings + (item.savings || 0)
+  }), { totalItems: 0, totalAmount: 0, totalSavings: 0 });
+};
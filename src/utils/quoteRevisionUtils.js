@@ -0,0 +1,161 @@
+/**
+ * Quote revision utility functions. Staff revise a request's quote by changing line prices,
+ * quantities and discounts and adding charge lines; every save is kept as an immutable
+ * revision (R1, R2…) on the request:
+ * {
+ *   revision, note, createdAt, createdBy: { name },
+ *   lines: [{ lineId, productId, name, selectedOptions, quantity, unitPrice, price, discountPercent, taxExempt }],
+ *   charges: [{ label, amount }],
+ *   subtotal, discountTotal, chargesTotal, total
+ * }
+ * `unitPrice` is the list price and `price` the negotiated price before the line discount.
+ */
+
+import { formatVariantOptions } from './variantUtils';
+
+export const CHARGE_SUGGESTIONS = ['Packaging', 'Handling', 'Palletising', 'Documentation'];
+
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Label a revision number the way staff and customers refer to it
+ * @param {number} revision - Revision number
+ * @returns {string} - e.g. "R2"
+ */
+export const formatRevisionLabel = (revision) => `R${revision}`;
+
+/**
+ * Get the price of one unit after the line discount
+ * @param {Object} line - Revision line
+ * @returns {number} - Net unit price
+ */
+export const getNetUnitPrice = (line) => {
+  const discount = Math.min(Math.max(Number(line.discountPercent) || 0, 0), 100);
+  return roundMoney((Number(line.price) || 0) * (1 - discount / 100));
+};
+
+/**
+ * Total a set of revision lines and charges
+ * @param {Array} lines - Revision lines
+ * @param {Array} charges - Extra charge lines
+ * @returns {{subtotal: number, discountTotal: number, chargesTotal: number, total: number}} - Totals in GHS
+ */
+export const calculateQuoteTotals = (lines = [], charges = []) => {
+  const subtotal = lines.reduce((sum, line) => sum + (Number(line.price) || 0) * (Number(line.quantity) || 0), 0);
+  const net = lines.reduce((sum, line) => sum + getNetUnitPrice(line) * (Number(line.quantity) || 0), 0);
+  const chargesTotal = charges.reduce((sum, charge) => sum + (Number(charge.amount) || 0), 0);
+
+  return {
+    subtotal: roundMoney(subtotal),
+    discountTotal: roundMoney(subtotal - net),
+    chargesTotal: roundMoney(chargesTotal),
+    total: roundMoney(net + chargesTotal)
+  };
+};
+
+/**
+ * Get a request's quote revisions, oldest first
+ * @param {Object} request - Request with optional quoteRevisions
+ * @returns {Array} - Revisions
+ */
+export const getQuoteRevisions = (request) => {
+  const revisions = Array.isArray(request?.quoteRevisions) ? request.quoteRevisions : [];
+  return [...revisions].sort((a, b) => a.revision - b.revision);
+};
+
+/**
+ * Get a request's revision by number, or its latest revision
+ * @param {Object} request - Request with optional quoteRevisions
+ * @param {number} [revision] - Revision number; defaults to the latest
+ * @returns {Object|null} - Revision, or null when the quote was never revised
+ */
+export const getQuoteRevision = (request, revision) => {
+  const revisions = getQuoteRevisions(request);
+  if (revision) return revisions.find(candidate => candidate.revision === revision) || null;
+  return revisions[revisions.length - 1] || null;
+};
+
+/**
+ * Get the amount currently quoted to the customer: the latest revision, else the requested total
+ * @param {Object} request - Request
+ * @returns {number} - Total in GHS
+ */
+export const getQuotedTotal = (request) => {
+  const latest = getQuoteRevision(request);
+  return latest ? Number(latest.total) || 0 : Number(request?.totalAmount) || 0;
+};
+
+/**
+ * Seed the revision editor from the latest revision, or from the requested items
+ * @param {Object} request - Request
+ * @returns {{lines: Array, charges: Array}} - Editable lines and charges
+ */
+export const getRevisionDraft = (request) => {
+  const latest = getQuoteRevision(request);
+  if (latest) {
+    return {
+      lines: latest.lines.map(line => ({ ...line })),
+      charges: (latest.charges || []).map(charge => ({ ...charge }))
+    };
+  }
+
+  return {
+    lines: (request?.items || []).map((item, index) => ({
+      lineId: item.lineId || `line_${index}`,
+      productId: item.productId || item._id || item.id || '',
+      name: item.name,
+      selectedOptions: item.selectedOptions,
+      quantity: Number(item.quantity) || 0,
+      unitPrice: Number(item.unitPrice) || Number(item.price) || 0,
+      price: Number(item.price) || 0,
+      discountPercent: 0,
+      taxExempt: !!item.taxExempt
+    })),
+    charges: []
+  };
+};
+
+// Lines are matched on product and chosen options; the same product can appear with different options
+const getLineKey = (line) => `${line.productId || line.name}|${formatVariantOptions(line.selectedOptions)}`;
+
+/**
+ * Compare a revision with the items originally requested
+ * @param {Array} originalItems - Items on the request as submitted
+ * @param {Object} revision - Quote revision
+ * @returns {Array<{name: string, selectedOptions: Object, change: string, before: Object|null, after: Object|null}>}
+ *   - One entry per line; change is 'added', 'removed', 'changed' or 'unchanged'. before/after hold
+ *   { quantity, price, discountPercent, total } where price is the net unit price.
+ */
+export const diffQuoteRevision = (originalItems = [], revision) => {
+  const summarize = (line) => {
+    const price = getNetUnitPrice(line);
+    const quantity = Number(line.quantity) || 0;
+    return { quantity, price, discountPercent: Number(line.discountPercent) || 0, total: roundMoney(price * quantity) };
+  };
+
+  const revisedByKey = new Map((revision?.lines || []).map(line => [getLineKey(line), line]));
+  const seen = new Set();
+
+  const diff = originalItems.map(item => {
+    const key = getLineKey({ ...item, productId: item.productId || item._id || item.id });
+    const revised = revisedByKey.get(key);
+    const before = summarize(item);
+    seen.add(key);
+
+    if (!revised) {
+      return { name: item.name, selectedOptions: item.selectedOptions, change: 'removed', before, after: null };
+    }
+
+    const after = summarize(revised);
+    const changed = before.quantity !== after.quantity || before.price !== after.price;
+    return { name: item.name, selectedOptions: item.selectedOptions, change: changed ? 'changed' : 'unchanged', before, after };
+  });
+
+  (revision?.lines || []).forEach(line => {
+    if (!seen.has(getLineKey(line))) {
+      diff.push({ name: line.name, selectedOptions: line.selectedOptions, change: 'added', before: null, after: summarize(line) });
+    }
+  });
+
+  return diff;
+};
@@ -0,0 +1,98 @@
+/**
+ * Reorder utility functions for loading the items of a past request back into the basket
+ */
+
+import { getUnitPrice, getBulkTiers, priceLineItem } from './pricingUtils';
+import { getSelectableVariants, getDefaultOptions } from './variantUtils';
+import { getQuantityRules, snapQuantity } from './orderQuantityUtils';
+
+/**
+ * Get the items of a past request. The requests list returns `items`, older records a JSON `products` string.
+ * @param {Object} request - Request from /requests/my-requests
+ * @returns {Array} - Requested items
+ */
+export const getPastRequestItems = (request) => {
+  if (Array.isArray(request?.items)) return request.items;
+
+  if (typeof request?.products === 'string') {
+    try {
+      const products = JSON.parse(request.products);
+      return Array.isArray(products) ? products : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return Array.isArray(request?.products) ? request.products : [];
+};
+
+/**
+ * Keep the options that the product still offers and fill the rest with defaults
+ * @param {Object} product - Current product
+ * @param {Object} selectedOptions - Options chosen in the earlier request
+ * @returns {{options: Object, changed: boolean}} - Options to reorder with and whether any had to change
+ */
+const getCurrentOptions = (product, selectedOptions = {}) => {
+  const options = getDefaultOptions(product);
+  let changed = false;
+
+  getSelectableVariants(product).forEach(variant => {
+    const previous = selectedOptions?.[variant.name];
+    if (previous && variant.options.includes(previous)) {
+      options[variant.name] = previous;
+    } else if (previous) {
+      changed = true;
+    }
+  });
+
+  return { options, changed };
+};
+
+/**
+ * Match the items of a past request to the current catalogue
+ * @param {Array} pastItems - Items from getPastRequestItems
+ * @param {Array} products - Products from useProducts
+ * @returns {Array} - Lines with status 'available', 'optionsChanged', 'inactive' or 'deleted',
+ *   the earlier price and, for orderable lines, the current price for the quantity
+ */
+export const buildReorderLines = (pastItems, products = []) => {
+  return pastItems.map((item, index) => {
+    const productId = String(item.productId || item._id || item.product?._id || item.id || '');
+    const product = products.find(candidate =>
+      String(candidate._id) === productId || String(candidate.id) === productId || (item.slug && candidate.slug === item.slug)
+    );
+    const line = {
+      key: `${productId || item.name}-${index}`,
+      name: item.name || product?.name || `Product ${productId}`,
+      previousPrice: Number(item.price) || 0,
+      previousOptions: item.selectedOptions || {},
+      quantity: Number(item.quantity) || 1,
+      product: product || null
+    };
+
+    if (!product) return { ...line, status: 'deleted' };
+    if (product.isActive === false || product.inStock === false) return { ...line, status: 'inactive' };
+
+    const { options, changed } = getCurrentOptions(product, item.selectedOptions);
+    return {
+      ...line,
+      status: changed ? 'optionsChanged' : 'available',
+      selectedOptions: options,
+      quantity: snapQuantity(getQuantityRules(product), line.quantity)
+    };
+  });
+};
+
+/**
+ * Get today's per-unit price of a product for a quantity, including bulk tiers
+ * @param {Object} product - Current product
+ * @param {number} quantity - Quantity to price
+ * @returns {number} - Current unit price
+ */
+export const getCurrentPrice = (product, quantity) => {
+  return priceLineItem({
+    quantity,
+    unitPrice: getUnitPrice(product),
+    bulkTiers: getBulkTiers(product)
+  }).price;
+};
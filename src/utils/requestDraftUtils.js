@@ -0,0 +1,88 @@
+/**
+ * Request form draft utility functions. Drafts are kept in localStorage on every device
+ * and, for signed-in buyers, on the account through draftService.
+ * Drafts on the device are kept apart per account, so a shared computer never shows one
+ * buyer's company details to the next; guests have a store of their own.
+ */
+
+const getStorageKey = (accountId) => `ogla-request-drafts:${accountId || 'guest'}`;
+
+// Drafts saved before they were kept per account; the buyer they belong to is unknown
+const LEGACY_DRAFTS_STORAGE_KEY = 'ogla-request-drafts';
+
+/**
+ * Get the draft ID for a request list; each list has at most one draft
+ * @param {string} listId - Request list ID
+ * @returns {string} - Draft ID
+ */
+export const getDraftId = (listId) => `draft_${listId}`;
+
+/**
+ * Sort drafts so the most recently edited comes first
+ * @param {Array} drafts - Drafts
+ * @returns {Array} - Sorted copy
+ */
+const sortDrafts = (drafts) => {
+  return [...drafts].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+/**
+ * Read the drafts saved on this device
+ * @param {string|null} accountId - Signed-in account ID; null for a guest
+ * @returns {Array} - Drafts, newest first
+ */
+export const getLocalDrafts = (accountId) => {
+  try {
+    const drafts = JSON.parse(localStorage.getItem(getStorageKey(accountId)) || '[]');
+    return Array.isArray(drafts) ? sortDrafts(drafts) : [];
+  } catch (error) {
+    console.error('Error reading request drafts from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a draft on this device, replacing any older copy
+ * @param {Object} draft - Draft with id, listId, listName, formData, itemCount and updatedAt
+ * @param {string|null} accountId - Signed-in account ID; null for a guest
+ */
+export const saveLocalDraft = (draft, accountId) => {
+  const drafts = getLocalDrafts(accountId).filter(existing => existing.id !== draft.id);
+  localStorage.setItem(getStorageKey(accountId), JSON.stringify([draft, ...drafts]));
+};
+
+/**
+ * Remove a draft from this device
+ * @param {string} draftId - Draft ID
+ * @param {string|null} accountId - Signed-in account ID; null for a guest
+ */
+export const removeLocalDraft = (draftId, accountId) => {
+  const drafts = getLocalDrafts(accountId).filter(draft => draft.id !== draftId);
+  localStorage.setItem(getStorageKey(accountId), JSON.stringify(drafts));
+};
+
+/**
+ * Remove an account's drafts from this device, e.g. on sign-out; the account keeps its copies
+ * @param {string} accountId - Account ID
+ */
+export const clearLocalDrafts = (accountId) => {
+  localStorage.removeItem(getStorageKey(accountId));
+  localStorage.removeItem(LEGACY_DRAFTS_STORAGE_KEY);
+};
+
+/**
+ * Combine account and device drafts, keeping the most recently edited copy of each
+ * @param {Array} serverDrafts - Drafts from draftService
+ * @param {Array} localDrafts - Drafts from getLocalDrafts
+ * @returns {Array} - Drafts, newest first
+ */
+export const mergeDrafts = (serverDrafts = [], localDrafts = []) => {
+  const byId = {};
+  [...serverDrafts, ...localDrafts].forEach(draft => {
+    const existing = byId[draft.id];
+    if (!existing || new Date(draft.updatedAt) > new Date(existing.updatedAt)) {
+      byId[draft.id] = draft;
+    }
+  });
+  return sortDrafts(Object.values(byId));
+};
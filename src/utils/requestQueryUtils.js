@@ -0,0 +1,157 @@
+/**
+ * Admin request list query utility functions. The list is searched, filtered, sorted and paged
+ * on the server; the query lives in the page URL so a filtered view can be shared:
+ *   /admin/requests?status=pending&date=lastWeek&sort=total&order=desc&page=2
+ * `view` switches between the table and the status board; the board ignores the status filter
+ * and the page.
+ * Values at their defaults are left out of the URL. Relative date ranges (today, last 7 days…)
+ * stay relative in the URL and are turned into dates when the list is fetched.
+ */
+
+export const REQUEST_SORT_FIELDS = ['createdAt', 'total', 'customerName'];
+
+export const REQUEST_PAGE_SIZES = [5, 10, 20, 50];
+
+export const DATE_RANGE_OPTIONS = [
+  { value: 'all', label: 'All Time' },
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'lastWeek', label: 'Last 7 Days' },
+  { value: 'lastMonth', label: 'Last 30 Days' },
+  { value: 'custom', label: 'Custom Range' }
+];
+
+export const REQUEST_VIEWS = ['table', 'board'];
+
+export const DEFAULT_REQUEST_QUERY = {
+  view: 'table',
+  search: '',
+  status: 'all',
+  guest: 'all',
+  date: 'all',
+  from: '',
+  to: '',
+  sort: 'createdAt',
+  order: 'desc',
+  page: 1,
+  limit: 10
+};
+
+const GUEST_FILTERS = ['all', 'guest', 'registered'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+/**
+ * Read the list query from the page URL, falling back to the defaults for missing or invalid values
+ * @param {URLSearchParams} searchParams - Page query string
+ * @param {Array<string>} statuses - Status values that can be filtered on
+ * @returns {Object} - Query in the shape of DEFAULT_REQUEST_QUERY
+ */
+export const parseRequestQuery = (searchParams, statuses = []) => {
+  const page = parseInt(searchParams.get('page'), 10);
+  const limit = parseInt(searchParams.get('limit'), 10);
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+
+  return {
+    view: pick(searchParams.get('view'), REQUEST_VIEWS, DEFAULT_REQUEST_QUERY.view),
+    search: searchParams.get('search') || '',
+    status: pick(searchParams.get('status'), statuses, DEFAULT_REQUEST_QUERY.status),
+    guest: pick(searchParams.get('guest'), GUEST_FILTERS, DEFAULT_REQUEST_QUERY.guest),
+    date: pick(searchParams.get('date'), DATE_RANGE_OPTIONS.map(option => option.value), DEFAULT_REQUEST_QUERY.date),
+    from: DATE_PATTERN.test(from) ? from : '',
+    to: DATE_PATTERN.test(to) ? to : '',
+    sort: pick(searchParams.get('sort'), REQUEST_SORT_FIELDS, DEFAULT_REQUEST_QUERY.sort),
+    order: pick(searchParams.get('order'), ['asc', 'desc'], DEFAULT_REQUEST_QUERY.order),
+    page: page > 0 ? page : DEFAULT_REQUEST_QUERY.page,
+    limit: REQUEST_PAGE_SIZES.includes(limit) ? limit : DEFAULT_REQUEST_QUERY.limit
+  };
+};
+
+/**
+ * Write a list query to URL parameters, leaving out values at their defaults
+ * @param {Object} query - Query in the shape of DEFAULT_REQUEST_QUERY
+ * @returns {Object} - Parameters for setSearchParams
+ */
+export const toRequestSearchParams = (query) =>
+  Object.entries(query).reduce((params, [key, value]) => {
+    const isCustomDate = key === 'from' || key === 'to';
+    if (value !== DEFAULT_REQUEST_QUERY[key] && (!isCustomDate || query.date === 'custom')) {
+      params[key] = String(value);
+    }
+    return params;
+  }, {});
+
+/**
+ * Check whether any filter or search is applied
+ * @param {Object} query - Query in the shape of DEFAULT_REQUEST_QUERY
+ * @returns {boolean} - True when the list is narrowed down
+ */
+export const hasActiveFilters = (query) =>
+  !!query.search || query.status !== 'all' || query.guest !== 'all' || query.date !== 'all';
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Turn a date range option into the dates sent to the server
+ * @param {Object} query - Query with date, from and to
+ * @param {Date} [now] - Current time
+ * @returns {{dateFrom: string|undefined, dateTo: string|undefined}} - ISO timestamps; undefined when open-ended
+ */
+export const getDateRange = ({ date, from, to }, now = new Date()) => {
+  const today = startOfDay(now);
+  const daysAgo = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+
+  switch (date) {
+    case 'today':
+      return { dateFrom: today.toISOString(), dateTo: undefined };
+    case 'yesterday':
+      return { dateFrom: daysAgo(1).toISOString(), dateTo: new Date(today.getTime() - 1).toISOString() };
+    case 'lastWeek':
+      return { dateFrom: daysAgo(7).toISOString(), dateTo: undefined };
+    case 'lastMonth':
+      return { dateFrom: new Date(today.getFullYear(), today.getMonth() - 1, today.getDate()).toISOString(), dateTo: undefined };
+    case 'custom':
+      return {
+        dateFrom: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+        dateTo: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+      };
+    default:
+      return { dateFrom: undefined, dateTo: undefined };
+  }
+};
+
+/**
+ * Build the API parameters for a list query
+ * @param {Object} query - Query in the shape of DEFAULT_REQUEST_QUERY
+ * @returns {Object} - { page, limit, search, status, guest, dateFrom, dateTo, sortBy, sortOrder }; unset filters are left out
+ */
+export const toRequestApiParams = (query) => {
+  const { dateFrom, dateTo } = getDateRange(query);
+  const params = {
+    page: query.page,
+    limit: query.limit,
+    search: query.search.trim() || undefined,
+    status: query.status !== 'all' ? query.status : undefined,
+    guest: query.guest !== 'all' ? query.guest : undefined,
+    dateFrom,
+    dateTo,
+    sortBy: query.sort,
+    sortOrder: query.order
+  };
+
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+};
+
+// Cards loaded per board column; the column header shows how many more match
+export const BOARD_COLUMN_LIMIT = 50;
+
+/**
+ * Build the API parameters for one status column of the board
+ * @param {Object} query - Query in the shape of DEFAULT_REQUEST_QUERY
+ * @param {string} status - Status of the column
+ * @returns {Object} - API parameters for the first BOARD_COLUMN_LIMIT requests in that status
+ */
+export const toBoardColumnParams = (query, status) =>
+  toRequestApiParams({ ...query, status, page: 1, limit: BOARD_COLUMN_LIMIT });
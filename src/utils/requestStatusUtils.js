@@ -0,0 +1,72 @@
+/**
+ * Request status utility functions: the statuses a request moves through, which moves are
+ * allowed, and the history of moves. History entries look like
+ * { from, to, actor: { name, role }, comment, changedAt }
+ */
+
+export const REQUEST_STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'completed', label: 'Completed' }
+];
+
+// Statuses each status may move to. Rejected and completed requests are closed.
+export const STATUS_TRANSITIONS = {
+  pending: ['processing', 'approved', 'rejected'],
+  processing: ['approved', 'rejected'],
+  approved: ['processing', 'completed'],
+  rejected: [],
+  completed: []
+};
+
+/**
+ * Get the display label of a status
+ * @param {string} status - Status value
+ * @returns {string} - Label, e.g. "Processing"
+ */
+export const getStatusLabel = (status) => {
+  const match = REQUEST_STATUSES.find(candidate => candidate.value === status);
+  if (match) return match.label;
+  return status ? status.charAt(0).toUpperCase() + status.slice(1) : 'Pending';
+};
+
+/**
+ * Get the statuses a request can move to next
+ * @param {string} status - Current status
+ * @returns {Array<string>} - Allowed next statuses
+ */
+export const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status || 'pending'] || [];
+
+/**
+ * Check whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True when the move is allowed
+ */
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Get a request's status history, oldest first. Requests created before history was kept
+ * start with their submission so the timeline is never empty.
+ * @param {Object} request - Request with optional statusHistory
+ * @returns {Array} - History entries
+ */
+export const getStatusHistory = (request) => {
+  const history = Array.isArray(request?.statusHistory) ? request.statusHistory : [];
+  const sorted = [...history].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+  if (sorted.length > 0 && !sorted[0].from) return sorted;
+
+  return [
+    {
+      from: null,
+      to: 'pending',
+      actor: { name: request?.customerName || 'Customer', role: 'customer' },
+      comment: '',
+      changedAt: request?.createdAt
+    },
+    ...sorted
+  ];
+};
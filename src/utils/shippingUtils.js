@@ -0,0 +1,159 @@
+/**
+ * Shipping utility functions: Incoterms offered to buyers and freight estimates from the
+ * admin rate tables. Rate tables look like
+ * {
+ *   fob: { minimumCharge, brackets: [{ upToKg, ratePerKg }] },         // haulage to Tema port
+ *   zones: [{ id, name, minimumCharge, brackets: [{ upToKg, ratePerKg }] }], // sea freight for CIF
+ *   cifInsurancePercent                                                  // insurance on the goods value
+ * }
+ * A bracket with an empty upToKg covers every heavier shipment.
+ */
+
+export const INCOTERMS = [
+  {
+    code: 'EXW',
+    label: 'EXW – Ex Works',
+    description: 'You collect the goods from our warehouse and arrange all transport.',
+    needsDestination: false
+  },
+  {
+    code: 'FOB',
+    label: 'FOB Tema',
+    description: 'We deliver the goods on board at Tema port; you arrange the sea freight.',
+    needsDestination: true
+  },
+  {
+    code: 'CIF',
+    label: 'CIF',
+    description: 'We pay freight and insurance to your destination port.',
+    needsDestination: true
+  }
+];
+
+export const DEFAULT_SHIPPING = {
+  incoterm: 'EXW',
+  zoneId: '',
+  destination: ''
+};
+
+const WEIGHT_UNITS_IN_KG = {
+  kg: 1,
+  kgs: 1,
+  g: 0.001,
+  lb: 0.4536,
+  lbs: 0.4536,
+  // Volumes are taken at water density; close enough for an estimate
+  l: 1,
+  ml: 0.001
+};
+
+/**
+ * Find an Incoterm by code
+ * @param {string} code - Incoterm code
+ * @returns {Object|null} - Incoterm, or null for an unknown code
+ */
+export const getIncoterm = (code) => INCOTERMS.find(incoterm => incoterm.code === code) || null;
+
+/**
+ * Parse a product's listed weight ("500g", "50 kg", "1.5lb", "250ml") into kilograms
+ * @param {string|number} value - Weight from the product specifications; numbers are kilograms
+ * @returns {number|null} - Weight in kg, or null when it cannot be read
+ */
+export const parseWeightKg = (value) => {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^([\d.,]+)\s*(kgs?|g|lbs?|l|ml)\b/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  return amount > 0 ? amount * WEIGHT_UNITS_IN_KG[match[2]] : null;
+};
+
+/**
+ * Get the unit weight of a request line. A selected option that is a weight, such as a
+ * "Package Size" of 100kg, is used before the weight listed on the product.
+ * @param {Object} selectedOptions - Selected options keyed by variant name
+ * @param {Object} product - Product of the line
+ * @returns {number|null} - Weight in kg, or null when neither can be read
+ */
+export const getLineWeightKg = (selectedOptions, product) => {
+  const optionWeight = Object.values(selectedOptions || {}).map(parseWeightKg).find(Boolean);
+  return optionWeight || parseWeightKg(product?.specifications?.weight);
+};
+
+/**
+ * Total the weight of a shipment
+ * @param {Array<{quantity: number, weightKg: number|null}>} lines - Request lines with their unit weight
+ * @returns {{weightKg: number, unweighedCount: number}} - Total kg and how many lines had no weight
+ */
+export const getShipmentWeight = (lines) => {
+  return lines.reduce((totals, line) => {
+    if (!line.weightKg) {
+      return { ...totals, unweighedCount: totals.unweighedCount + 1 };
+    }
+    return { ...totals, weightKg: totals.weightKg + line.weightKg * line.quantity };
+  }, { weightKg: 0, unweighedCount: 0 });
+};
+
+/**
+ * Price a weight against a rate table: the whole shipment is charged at the rate of the
+ * bracket it falls in, and never less than the table's minimum charge
+ * @param {Object} table - { minimumCharge, brackets: [{ upToKg, ratePerKg }] }
+ * @param {number} weightKg - Shipment weight
+ * @returns {number|null} - Charge in GHS, or null when the table has no rates
+ */
+export const priceByWeight = (table, weightKg) => {
+  const brackets = (table?.brackets || [])
+    .filter(bracket => Number(bracket.ratePerKg) > 0)
+    .sort((a, b) => (Number(a.upToKg) || Infinity) - (Number(b.upToKg) || Infinity));
+  if (brackets.length === 0) return null;
+
+  const bracket = brackets.find(candidate => !Number(candidate.upToKg) || weightKg <= Number(candidate.upToKg))
+    || brackets[brackets.length - 1];
+  return Math.max(Number(table.minimumCharge) || 0, weightKg * Number(bracket.ratePerKg));
+};
+
+/**
+ * Estimate the freight a buyer pays us for their chosen Incoterm
+ * @param {Object} params - Estimate inputs
+ * @param {Object} params.shipping - { incoterm, zoneId }
+ * @param {number} params.weightKg - Shipment weight
+ * @param {number} params.goodsValue - Request total in GHS, for CIF insurance
+ * @param {Object} params.rates - Admin rate tables
+ * @returns {{freight: number, insurance: number, total: number}|null} - Estimate in GHS, or null when it cannot be priced
+ */
+export const estimateFreight = ({ shipping, weightKg, goodsValue, rates }) => {
+  if (!shipping || shipping.incoterm === 'EXW') {
+    return { freight: 0, insurance: 0, total: 0 };
+  }
+  if (!rates || weightKg <= 0) return null;
+
+  let freight = null;
+  let insurance = 0;
+
+  if (shipping.incoterm === 'FOB') {
+    freight = priceByWeight(rates.fob, weightKg);
+  } else if (shipping.incoterm === 'CIF') {
+    const zone = (rates.zones || []).find(candidate => candidate.id === shipping.zoneId);
+    freight = zone ? priceByWeight(zone, weightKg) : null;
+    insurance = (Number(goodsValue) || 0) * (Number(rates.cifInsurancePercent) || 0) / 100;
+  }
+
+  if (freight === null) return null;
+  return { freight, insurance, total: freight + insurance };
+};
+
+/**
+ * Describe a request's shipping terms on one line
+ * @param {Object} shipping - { incoterm, zoneName, destination }
+ * @returns {string} - e.g. "CIF · Rotterdam (Europe)" or "EXW"
+ */
+export const formatShippingTerms = (shipping) => {
+  if (!shipping?.incoterm) return '';
+
+  const incoterm = getIncoterm(shipping.incoterm);
+  const terms = incoterm ? incoterm.label.split(' – ')[0] : shipping.incoterm;
+  const place = [shipping.destination, shipping.zoneName && `(${shipping.zoneName})`].filter(Boolean).join(' ');
+  return place ? `${terms} · ${place}` : terms;
+};
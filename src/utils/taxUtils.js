@@ -0,0 +1,129 @@
+/**
+ * Tax utility functions: statutory levies and VAT on proformas. Tax settings are managed by
+ * admins and look like
+ * {
+ *   enabled,
+ *   pricesIncludeTax,                        // true when list prices already contain the taxes
+ *   rules: [{ id, label, rate, compound }]   // rate in %; compound rules are charged on the price plus the other levies
+ * }
+ * Requests keep a copy of the settings they were priced under as `taxConfig`, so later
+ * rate changes never alter an issued proforma. Products flagged `taxExempt` carry no tax.
+ */
+
+import { getQuoteRevision, getNetUnitPrice, getQuotedTotal } from './quoteRevisionUtils';
+
+// Ghana's standard-rated supplies: NHIL, GETFund and COVID-19 levies on the price, VAT on top
+export const DEFAULT_TAX_CONFIG = {
+  enabled: true,
+  pricesIncludeTax: false,
+  rules: [
+    { id: 'nhil', label: 'NHIL', rate: 2.5, compound: false },
+    { id: 'getfund', label: 'GETFund Levy', rate: 2.5, compound: false },
+    { id: 'covid', label: 'COVID-19 Health Recovery Levy', rate: 1, compound: false },
+    { id: 'vat', label: 'VAT', rate: 15, compound: true }
+  ]
+};
+
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Work out the taxes on a set of amounts
+ * @param {Array<{amount: number, taxExempt: boolean}>} lines - Line totals in GHS
+ * @param {Object} config - Tax settings
+ * @returns {Object|null} - { pricesIncludeTax, taxableAmount, exemptAmount, lines: [{ id, label, rate, base, amount }],
+ *   taxTotal, netTotal, grossTotal }, or null when taxes are switched off
+ */
+export const calculateTaxes = (lines, config) => {
+  const rules = (config?.rules || []).filter(rule => Number(rule.rate) > 0);
+  if (!config?.enabled || rules.length === 0) return null;
+
+  const taxableGross = lines.filter(line => !line.taxExempt).reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+  const exemptAmount = lines.filter(line => line.taxExempt).reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+
+  const levyRate = rules.filter(rule => !rule.compound).reduce((sum, rule) => sum + Number(rule.rate), 0) / 100;
+  const compoundRate = rules.filter(rule => rule.compound).reduce((sum, rule) => sum + Number(rule.rate), 0) / 100;
+
+  // Inclusive prices are grossed down to the amount the levies are charged on
+  const taxableNet = config.pricesIncludeTax
+    ? taxableGross / ((1 + levyRate) * (1 + compoundRate))
+    : taxableGross;
+
+  const taxLines = rules.map(rule => {
+    const base = rule.compound ? taxableNet * (1 + levyRate) : taxableNet;
+    return {
+      id: rule.id,
+      label: rule.label,
+      rate: Number(rule.rate),
+      base: roundMoney(base),
+      amount: roundMoney(base * Number(rule.rate) / 100)
+    };
+  });
+  const taxTotal = roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0));
+
+  // Keep inclusive totals equal to the prices shown; rounding lands in the taxable amount
+  const taxableAmount = config.pricesIncludeTax ? roundMoney(taxableGross - taxTotal) : roundMoney(taxableNet);
+  const netTotal = roundMoney(taxableAmount + exemptAmount);
+
+  return {
+    pricesIncludeTax: !!config.pricesIncludeTax,
+    taxableAmount,
+    exemptAmount: roundMoney(exemptAmount),
+    lines: taxLines,
+    taxTotal,
+    netTotal,
+    grossTotal: roundMoney(netTotal + taxTotal)
+  };
+};
+
+/**
+ * Work out the taxes on a request's current quote: its latest revision, or the requested items
+ * @param {Object} request - Request with a taxConfig
+ * @param {number} [revisionNumber] - Quote revision to use instead of the latest
+ * @returns {Object|null} - Tax breakdown from calculateTaxes
+ */
+export const getRequestTaxes = (request, revisionNumber) => {
+  if (!request?.taxConfig) return null;
+
+  const revision = getQuoteRevision(request, revisionNumber);
+  const lines = revision
+    ? [
+        ...revision.lines.map(line => ({
+          amount: getNetUnitPrice(line) * (Number(line.quantity) || 0),
+          taxExempt: !!line.taxExempt
+        })),
+        ...(revision.charges || []).map(charge => ({ amount: Number(charge.amount) || 0, taxExempt: false }))
+      ]
+    : (request.items || []).map(item => ({
+        amount: (Number(item.price) || 0) * (Number(item.quantity) || 0),
+        taxExempt: !!item.taxExempt
+      }));
+
+  return calculateTaxes(lines, request.taxConfig);
+};
+
+/**
+ * Get what the customer pays for the goods: the quoted total plus any taxes charged on top
+ * @param {Object} request - Request
+ * @returns {number} - Total in GHS
+ */
+export const getPayableTotal = (request) => {
+  const taxes = getRequestTaxes(request);
+  return taxes ? taxes.grossTotal : getQuotedTotal(request);
+};
+
+/**
+ * Check whether taxes are charged on top of a request's prices, i.e. its quoted total is before tax
+ * @param {Object} request - Request
+ * @returns {boolean} - True when the payable total adds taxes to the quoted total
+ */
+export const hasTaxesOnTop = (request) => {
+  const taxes = getRequestTaxes(request);
+  return !!taxes && !taxes.pricesIncludeTax;
+};
+
+/**
+ * Describe a tax line with its rate
+ * @param {{label: string, rate: number}} line - Tax line
+ * @returns {string} - e.g. "VAT (15%)"
+ */
+export const formatTaxLabel = (line) => `${line.label} (${line.rate}%)`;
@@ -0,0 +1,59 @@
+/**
+ * Variant utility functions for product options (size, colour, pack size)
+ */
+
+/**
+ * Get the variants of a product that have selectable options
+ * @param {Object} product - Product from the API or mock data
+ * @returns {Array<{name: string, options: string[]}>} - Selectable variants
+ */
+export const getSelectableVariants = (product) => {
+  if (!Array.isArray(product?.variants)) return [];
+  return product.variants.filter(variant => variant.name && Array.isArray(variant.options) && variant.options.length > 0);
+};
+
+/**
+ * Pick the first option of every variant as the initial selection
+ * @param {Object} product - Product from the API or mock data
+ * @returns {Object} - Selected options keyed by variant name, e.g. { Size: '250g' }
+ */
+export const getDefaultOptions = (product) => {
+  return getSelectableVariants(product).reduce((selected, variant) => ({
+    ...selected,
+    [variant.name]: variant.options[0]
+  }), {});
+};
+
+/**
+ * Build the basket line key for a product and its selected options.
+ * Options are sorted by name so the same selection always maps to the same line.
+ * @param {string} productId - Product ID
+ * @param {Object} selectedOptions - Selected options keyed by variant name
+ * @returns {string} - Line ID, e.g. "1::Size=500g"
+ */
+export const buildLineId = (productId, selectedOptions = {}) => {
+  const parts = Object.keys(selectedOptions || {})
+    .filter(name => selectedOptions[name])
+    .sort()
+    .map(name => `${name}=${selectedOptions[name]}`);
+
+  return parts.length > 0 ? `${productId}::${parts.join('|')}` : String(productId);
+};
+
+/**
+ * Format selected options for display
+ * @param {Object|Array} selectedOptions - Options keyed by variant name, or [{ name, value }] as stored by the API
+ * @returns {string} - Label such as "Size: 500g · Color: Blue", or '' when there are none
+ */
+export const formatVariantOptions = (selectedOptions) => {
+  if (!selectedOptions) return '';
+
+  const entries = Array.isArray(selectedOptions)
+    ? selectedOptions.map(option => [option.name, option.value])
+    : Object.entries(selectedOptions);
+
+  return entries
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(' · ');
+};